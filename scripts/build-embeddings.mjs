@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// scripts/build-embeddings.mjs
+//
+// Precompute rule exemplar embeddings into a JSON artifact the browser reads
+// before embedding anything itself (see src/lib/embedding/cache.js).
+//
+//   npm run build:embeddings                       # default model → public/rule-embeddings.json
+//   npm run build:embeddings -- --model <id>       # another registry model
+//   npm run build:embeddings -- --all-models       # every registry model in one artifact
+//   npm run build:embeddings -- --out <file>
+//   npm run build:embeddings -- --hold-out-examples # rules without their examples (or NEXT_PUBLIC_SEMANTIC_HOLD_OUT_EXAMPLES=true)
+//
+// Entries use the same keys as the IndexedDB cache (model id, rules database
+// metadata.version, rule content hash), so a stale artifact is simply ignored.
+// Needs the models: downloaded on first run, or with
+// NEXT_PUBLIC_EMBEDDING_MODEL_SOURCE=local read from public/models (--models-dir <dir>).
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '../src/app/bias-mitigation-rules.js';
+import {
+  DEFAULT_EMBEDDING_MODEL,
+  EMBEDDING_MODELS,
+  configureModelSource,
+  createEmbeddingPipeline,
+  embedText,
+  getEmbeddingModelSource
+} from '../src/lib/embedding/model.js';
+import { buildRuleExemplarEmbeddings } from '../src/lib/router/index.js';
+
+// Six decimals keeps cosine similarities exact to ~1e-6 at a fraction of the size
+const roundEmbedding = (embedding) => embedding.map(value => Math.round(value * 1e6) / 1e6);
+
+const getFlag = (args, name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : fallback;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const outFile = getFlag(args, '--out', 'public/rule-embeddings.json');
+  const modelsDir = getFlag(args, '--models-dir', 'public/models');
+  const holdOutExamples = args.includes('--hold-out-examples') || process.env.NEXT_PUBLIC_SEMANTIC_HOLD_OUT_EXAMPLES === 'true';
+  const modelIds = args.includes('--all-models')
+    ? Object.keys(EMBEDDING_MODELS)
+    : [getFlag(args, '--model', DEFAULT_EMBEDDING_MODEL)];
+
+  const unknown = modelIds.filter(id => !EMBEDDING_MODELS[id]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown embedding model "${unknown.join('", "')}" (known: ${Object.keys(EMBEDDING_MODELS).join(', ')})`);
+  }
+
+  const transformers = await import('@xenova/transformers');
+  const source = getEmbeddingModelSource();
+  // Local mode reads the vendored files from disk rather than the served path
+  configureModelSource(transformers, source.mode === 'local'
+    ? { ...source, localModelPath: join(modelsDir, '/'), wasmPath: null }
+    : source);
+
+  const rules = {};
+  const collector = {
+    get: async () => new Map(),
+    set: async (entries) => {
+      for (const { key, ruleId, exemplars } of entries) {
+        rules[key] = {
+          ruleId,
+          exemplars: {
+            positive: exemplars.positive.map(({ text, embedding }) => ({ text, embedding: roundEmbedding(embedding) })),
+            negative: exemplars.negative.map(({ text, embedding }) => ({ text, embedding: roundEmbedding(embedding) }))
+          }
+        };
+      }
+    }
+  };
+
+  for (const id of modelIds) {
+    const model = EMBEDDING_MODELS[id];
+    console.log(`🧠 Loading ${model.modelId}...`);
+    const extractor = await createEmbeddingPipeline(transformers, model);
+
+    await buildRuleExemplarEmbeddings(COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE, (text) => embedText(extractor, model, text, 'document'), {
+      cache: collector,
+      model,
+      holdOutExamples,
+      logger: console,
+      onProgress: (completed, total) => process.stdout.write(`\r   Embedding exemplars ${completed}/${total}`)
+    });
+    console.log('');
+    await extractor.dispose?.();
+  }
+
+  const artifact = {
+    models: modelIds.map(id => EMBEDDING_MODELS[id].modelId),
+    version: COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE.metadata.version,
+    generatedAt: new Date().toISOString(),
+    rules
+  };
+
+  await mkdir(dirname(outFile), { recursive: true });
+  await writeFile(outFile, JSON.stringify(artifact));
+  console.log(`✅ Wrote ${Object.keys(rules).length} rule embedding sets (${modelIds.join(', ')}) to ${outFile}`);
+};
+
+main().catch((error) => {
+  console.error('❌ Embedding build failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// scripts/key-vault.mjs
+//
+// Manage the encrypted server-side API key vault.
+//
+//   KEY_VAULT_SECRET=... npm run keys -- set openai sk-...
+//   KEY_VAULT_SECRET=... npm run keys -- remove openai
+//   KEY_VAULT_SECRET=... npm run keys -- list
+//
+// The vault file defaults to .keys/vault.json (override with KEY_VAULT_FILE).
+// The server reads it with the same KEY_VAULT_SECRET.
+
+import { getVaultFilePath, loadVaultFile, writeVaultFile } from '../src/lib/key-vault.js';
+
+const KEY_IDS = ['anthropic', 'openai', 'xai', 'deepseek', 'groq'];
+
+const usage = () => {
+  console.log('Usage: npm run keys -- <set <provider> <key> | remove <provider> | list>');
+  console.log(`Providers: ${KEY_IDS.join(', ')}`);
+  process.exit(1);
+};
+
+const main = async () => {
+  const [command, keyId, apiKey] = process.argv.slice(2);
+
+  if (!process.env.KEY_VAULT_SECRET) {
+    console.error('❌ KEY_VAULT_SECRET must be set');
+    process.exit(1);
+  }
+
+  if (keyId && !KEY_IDS.includes(keyId)) {
+    console.error(`❌ Unknown provider "${keyId}"`);
+    usage();
+  }
+
+  // Fails on a wrong secret instead of overwriting the existing vault
+  const keys = { ...(await loadVaultFile()) };
+
+  switch (command) {
+    case 'set':
+      if (!keyId || !apiKey) usage();
+      keys[keyId] = apiKey;
+      await writeVaultFile(keys);
+      console.log(`✅ Stored ${keyId} key in ${getVaultFilePath()}`);
+      break;
+
+    case 'remove':
+      if (!keyId) usage();
+      delete keys[keyId];
+      await writeVaultFile(keys);
+      console.log(`✅ Removed ${keyId} key from ${getVaultFilePath()}`);
+      break;
+
+    case 'list':
+      for (const id of KEY_IDS) {
+        console.log(`${keys[id] ? '✓' : '·'} ${id}`);
+      }
+      break;
+
+    default:
+      usage();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Key vault error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// scripts/lint-rules.mjs
+//
+// Validate the rules database against its JSON Schema and check it for drift.
+//
+//   npm run lint:rules               # report, exit 1 on errors
+//   npm run lint:rules -- --json     # issues as JSON
+//   npm run lint:rules -- --schema   # print the JSON Schema
+//
+// Warnings (shared triggers, single-engine rules, uncategorized goals) are
+// reported but do not fail the run.
+
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '../src/app/bias-mitigation-rules.js';
+import { getProviderEngineIds } from '../src/lib/providers/index.js';
+import { RULES_DATABASE_SCHEMA, formatLintReport, lintRulesDatabase } from '../src/lib/rules/index.js';
+
+const args = process.argv.slice(2);
+
+if (args.includes('--schema')) {
+  console.log(JSON.stringify(RULES_DATABASE_SCHEMA, null, 2));
+  process.exit(0);
+}
+
+const issues = lintRulesDatabase(COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE, {
+  providerEngines: getProviderEngineIds()
+});
+
+console.log(args.includes('--json') ? JSON.stringify(issues, null, 2) : formatLintReport(issues));
+
+if (issues.some(issue => issue.level === 'error')) {
+  process.exit(1);
+}
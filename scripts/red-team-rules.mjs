@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// scripts/red-team-rules.mjs
+//
+// Perturb each safety rule's should_trigger examples and report how often
+// the variants evade the rule.
+//
+//   npm run red-team:rules                        # safety rules (priority 1-2)
+//   npm run red-team:rules -- --all-rules         # every rule with examples
+//   npm run red-team:rules -- --rule <id>         # one rule (repeatable)
+//   npm run red-team:rules -- --verbose           # list every evading variant
+//   npm run red-team:rules -- --json              # machine-readable report
+//   npm run red-team:rules -- --variants 3 --seed 7
+//   npm run red-team:rules -- --max-evasion-rate 0.4  # exit 1 above this rate
+//
+// Runs keyword matching only (semantic matching needs the in-browser model;
+// use the Red Team panel in settings for that).
+
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '../src/app/bias-mitigation-rules.js';
+import { SILENT_LOGGER, formatRedTeamReport, runRedTeamSuite } from '../src/lib/router/index.js';
+
+const optionValue = (args, name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const ruleIds = args.flatMap((arg, index) => (arg === '--rule' && args[index + 1] ? [args[index + 1]] : []));
+  const maxEvasionRate = optionValue(args, '--max-evasion-rate');
+
+  // The router would log every decision; keep the report readable
+  const report = await runRedTeamSuite(COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE, {
+    ruleIds: ruleIds.length > 0 ? ruleIds : null,
+    maxPriority: args.includes('--all-rules') ? Infinity : 2,
+    variantsPerStrategy: Number(optionValue(args, '--variants') ?? 2),
+    seed: Number(optionValue(args, '--seed') ?? 1),
+    logger: SILENT_LOGGER
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatRedTeamReport(report, { verbose: args.includes('--verbose') }));
+  }
+
+  if (maxEvasionRate !== undefined && report.summary.evasionRate > Number(maxEvasionRate)) {
+    console.error(`❌ Evasion rate ${(report.summary.evasionRate * 100).toFixed(0)}% exceeds ${(Number(maxEvasionRate) * 100).toFixed(0)}%`);
+    process.exit(1);
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Red-team run failed:', error);
+  process.exit(1);
+});
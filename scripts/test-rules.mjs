@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// scripts/test-rules.mjs
+//
+// Run the rules database's own test cases through the router.
+//
+//   npm run test:rules                      # report, fail on new failures
+//   npm run test:rules -- --verbose         # also list passing cases
+//   npm run test:rules -- --positive-routing
+//   npm run test:rules -- --update-baseline # accept the current failures
+//
+// Runs keyword and goal-based matching only (semantic matching needs the
+// in-browser model; use the Rule Regression panel in settings for that).
+// Cases listed in rule-regression-baseline.json are known failures: they are
+// reported but only a new failure makes the run exit non-zero. Safety cases
+// (a priority 1-2 rule must trigger) are never known failures: the baseline
+// does not record them and entries for them are ignored.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '../src/app/bias-mitigation-rules.js';
+import { SILENT_LOGGER, formatRegressionReport, runRegressionSuite } from '../src/lib/router/index.js';
+
+const BASELINE_FILE = new URL('./rule-regression-baseline.json', import.meta.url);
+
+const readBaseline = async () => {
+  try {
+    return JSON.parse(await readFile(BASELINE_FILE, 'utf8')).knownFailures || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+
+  // The router would log every decision; keep the report readable
+  const report = await runRegressionSuite(COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE, {
+    positiveRoutingEnabled: args.includes('--positive-routing'),
+    logger: SILENT_LOGGER
+  });
+
+  console.log(formatRegressionReport(report, { verbose }));
+
+  const failed = report.results.filter(result => !result.passed);
+  const failedIds = failed.map(result => result.id);
+  const safetyIds = new Set(report.results.filter(result => result.safety).map(result => result.id));
+  const safetyFailures = failedIds.filter(id => safetyIds.has(id));
+
+  if (args.includes('--update-baseline')) {
+    const knownFailures = failedIds.filter(id => !safetyIds.has(id));
+    await writeFile(BASELINE_FILE, `${JSON.stringify({ knownFailures }, null, 2)}\n`);
+    console.log(`\n📝 Baseline updated with ${knownFailures.length} known failures`);
+    if (safetyFailures.length > 0) {
+      console.error(`❌ Safety rule failures cannot be baselined: ${safetyFailures.join(', ')}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  const baseline = await readBaseline();
+  const ignored = baseline.filter(id => safetyIds.has(id));
+  if (ignored.length > 0) {
+    console.warn(`⚠️ Ignoring safety rule cases in rule-regression-baseline.json: ${ignored.join(', ')}`);
+  }
+
+  const knownFailures = baseline.filter(id => !safetyIds.has(id));
+  const newFailures = failedIds.filter(id => !knownFailures.includes(id));
+  const fixed = knownFailures.filter(id => !failedIds.includes(id));
+
+  if (knownFailures.length > 0) {
+    console.log(`ℹ️ ${failedIds.length - newFailures.length} failures are known (rule-regression-baseline.json)`);
+  }
+
+  if (fixed.length > 0) {
+    console.log(`🎉 Now passing: ${fixed.join(', ')}`);
+    console.log('   Run with --update-baseline to record the improvement');
+  }
+
+  if (newFailures.length > 0) {
+    console.error(`❌ New failures: ${newFailures.join(', ')}`);
+    process.exit(1);
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Rule regression run failed:', error);
+  process.exit(1);
+});
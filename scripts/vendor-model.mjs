@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// scripts/vendor-model.mjs
+//
+// Vendor the embedding model for offline / air-gapped deployments.
+//
+//   npm run vendor:model                         # download the default model from the Hugging Face hub
+//   npm run vendor:model -- --model <id>         # another registry model (src/lib/embedding/model.js)
+//   npm run vendor:model -- --all-models         # every registry model
+//   npm run vendor:model -- --from <dir>         # copy from a directory holding <model id>/ folders
+//   npm run vendor:model -- --hub <url>          # download from a hub mirror (or set HF_ENDPOINT)
+//   npm run vendor:model -- --out <dir>          # default public/models
+//
+// Writes <out>/<hub model id>/ (config, tokenizer, quantized ONNX weights) and
+// <out>/ort/ (ONNX runtime .wasm files from node_modules). Then build with
+// NEXT_PUBLIC_EMBEDDING_MODEL_SOURCE=local so the browser never fetches
+// anything remote. Run it on a connected machine and copy public/models over
+// if the target has no network at all.
+
+import { copyFile, mkdir, readdir, stat } from 'node:fs/promises';
+import { createWriteStream } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { DEFAULT_EMBEDDING_MODEL, EMBEDDING_MODELS } from '../src/lib/embedding/model.js';
+
+// Everything transformers.js reads for a quantized feature-extraction pipeline
+const MODEL_FILES = [
+  'config.json',
+  'tokenizer.json',
+  'tokenizer_config.json',
+  'onnx/model_quantized.onnx'
+];
+
+const WASM_SOURCE_DIR = 'node_modules/@xenova/transformers/dist';
+
+const getFlag = (args, name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : fallback;
+};
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const download = async (url, target) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText} for ${url}`);
+  }
+  await pipeline(Readable.fromWeb(response.body), createWriteStream(target));
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const outDir = getFlag(args, '--out', 'public/models');
+  const fromDir = getFlag(args, '--from', null);
+  const hub = getFlag(args, '--hub', process.env.HF_ENDPOINT || 'https://huggingface.co').replace(/\/$/, '');
+  const modelIds = args.includes('--all-models')
+    ? Object.keys(EMBEDDING_MODELS)
+    : [getFlag(args, '--model', DEFAULT_EMBEDDING_MODEL)];
+
+  for (const id of modelIds) {
+    const model = EMBEDDING_MODELS[id];
+    if (!model) {
+      throw new Error(`Unknown embedding model "${id}" (known: ${Object.keys(EMBEDDING_MODELS).join(', ')})`);
+    }
+
+    const modelDir = join(outDir, model.modelId);
+    console.log(`📦 Vendoring ${model.modelId} into ${modelDir}`);
+
+    for (const file of MODEL_FILES) {
+      const target = join(modelDir, file);
+      await mkdir(dirname(target), { recursive: true });
+
+      if (fromDir) {
+        await copyFile(join(fromDir, model.modelId, file), target);
+      } else {
+        await download(`${hub}/${model.modelId}/resolve/main/${file}`, target);
+      }
+      console.log(`   ✅ ${file} (${formatSize((await stat(target)).size)})`);
+    }
+  }
+
+  const wasmDir = join(outDir, 'ort');
+  await mkdir(wasmDir, { recursive: true });
+  const wasmFiles = (await readdir(WASM_SOURCE_DIR)).filter(file => file.endsWith('.wasm'));
+  for (const file of wasmFiles) {
+    await copyFile(join(WASM_SOURCE_DIR, file), join(wasmDir, file));
+  }
+  console.log(`   ✅ ${wasmFiles.length} ONNX runtime .wasm files → ${wasmDir}`);
+
+  console.log('\nBuild with NEXT_PUBLIC_EMBEDDING_MODEL_SOURCE=local to load only these files.');
+};
+
+main().catch((error) => {
+  console.error('❌ Model vendoring failed:', error.message || error);
+  process.exit(1);
+});
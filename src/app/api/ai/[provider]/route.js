@@ -0,0 +1,183 @@
+// src/app/api/ai/[provider]/route.js
+
+import { NextResponse } from 'next/server';
+import { normalizeConversation, getLatestUserContent } from '@/lib/conversation';
+import { createStreamingResponse } from '@/lib/streaming';
+import { getProviderAdapter, PROVIDER_ADAPTERS } from '@/lib/providers';
+import { callProvider, ProviderError } from '@/lib/providers/call-provider';
+import {
+  getServerKeyAccessError,
+  isClientKeyAllowed,
+  isServerKeyAccessAuthorized,
+  resolveApiKey
+} from '@/lib/key-vault';
+
+export async function POST(request, { params }) {
+  const { provider } = await params;
+  const adapter = getProviderAdapter(provider);
+
+  if (!adapter) {
+    return NextResponse.json(
+      {
+        error: 'Unknown provider',
+        message: `Provider "${provider}" is not supported. Available providers: ${Object.keys(PROVIDER_ADAPTERS).join(', ')}`
+      },
+      { status: 404 }
+    );
+  }
+
+  try {
+    // Extract data from request body
+    const body = await request.json();
+    const { apiKey: clientApiKey, model, engine, stream = false } = body;
+
+    // Validate conversation (full `messages` history or legacy single `message`)
+    const conversation = normalizeConversation(body);
+    if (conversation.error) {
+      return NextResponse.json(
+        {
+          error: conversation.error,
+          message: conversation.message
+        },
+        { status: 400 }
+      );
+    }
+
+    const { messages } = conversation;
+
+    // Server-held key, or the user's own key in bring-your-own-key mode
+    const { apiKey, source } = await resolveApiKey(adapter, clientApiKey);
+
+    if (!apiKey) {
+      return NextResponse.json(
+        {
+          error: 'API key not configured',
+          message: isClientKeyAllowed()
+            ? `No ${adapter.name} API key is configured on the server. Set ${adapter.apiKeyEnv} or add your own key in settings.`
+            : `No ${adapter.name} API key is configured on the server. Set ${adapter.apiKeyEnv} or add it to the key vault.`
+        },
+        { status: 401 }
+      );
+    }
+
+    // The user's own key needs no token; server-held keys are never spent anonymously
+    if (source !== 'client' && !isServerKeyAccessAuthorized(request)) {
+      return NextResponse.json(
+        {
+          error: 'Access token required',
+          message: getServerKeyAccessError()
+        },
+        { status: 401 }
+      );
+    }
+
+    console.log(`Making ${adapter.name} API call (${source} key): "${getLatestUserContent(messages).slice(0, 100)}..."`);
+
+    const result = await callProvider(adapter, {
+      messages,
+      apiKey,
+      model,
+      engine,
+      stream,
+      signal: request.signal
+    });
+
+    // Relay the vendor token stream as normalized server-sent events
+    if (stream) {
+      console.log(`Streaming ${adapter.name} response for ${result.actualModel}`);
+      return createStreamingResponse(result.upstream, adapter.parseStreamEvent, {
+        provider: adapter.name,
+        model: result.actualModel
+      });
+    }
+
+    console.log(`✅ ${adapter.name} API call successful for ${result.actualModel}`);
+
+    // Return the message content with model info
+    return NextResponse.json({
+      content: result.content,
+      model: result.model,
+      usage: result.usage,
+      actualModel: result.actualModel
+    });
+
+  } catch (error) {
+    return providerErrorResponse(adapter, error);
+  }
+}
+
+/**
+ * Map a provider call failure to a JSON error response
+ * @param {Object} adapter - Provider adapter
+ * @param {Error} error - Error thrown while calling the provider
+ * @returns {NextResponse} - Error response
+ */
+const providerErrorResponse = (adapter, error) => {
+  if (error instanceof ProviderError) {
+    return NextResponse.json(
+      {
+        error: error.error,
+        message: error.message,
+        status: error.status
+      },
+      { status: error.status }
+    );
+  }
+
+  console.error(`${adapter.name} API call failed:`, error);
+
+  // Handle different types of errors
+  if (error.name === 'AbortError') {
+    return NextResponse.json(
+      {
+        error: 'Request aborted',
+        message: 'The request was cancelled by the client'
+      },
+      { status: 499 }
+    );
+  }
+
+  if (error.name === 'TypeError' && error.message.includes('fetch')) {
+    return NextResponse.json(
+      {
+        error: 'Network error',
+        message: `Unable to connect to ${adapter.name} API. Please try again later.`
+      },
+      { status: 503 }
+    );
+  }
+
+  if (error.name === 'SyntaxError') {
+    return NextResponse.json(
+      {
+        error: 'Parse error',
+        message: `Unable to parse ${adapter.name} API response`
+      },
+      { status: 502 }
+    );
+  }
+
+  // Generic server error
+  return NextResponse.json(
+    {
+      error: 'Internal server error',
+      message: 'An unexpected error occurred while processing your request'
+    },
+    { status: 500 }
+  );
+};
+
+// Explicitly handle other HTTP methods
+export async function GET(request, { params }) {
+  const { provider } = await params;
+  const adapter = getProviderAdapter(provider);
+
+  return NextResponse.json(
+    {
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts POST requests',
+      ...(adapter && { availableModels: adapter.models })
+    },
+    { status: 405 }
+  );
+}
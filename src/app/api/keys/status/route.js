@@ -0,0 +1,49 @@
+// src/app/api/keys/status/route.js
+
+import { NextResponse } from 'next/server';
+import { getAvailableAdapterEngines, PROVIDER_ADAPTERS } from '@/lib/providers';
+import { getServerApiKey, isAccessTokenRequired, isClientKeyAllowed } from '@/lib/key-vault';
+
+/**
+ * Report which providers have a server-held API key.
+ * Never returns the keys themselves.
+ */
+export async function GET() {
+  try {
+    const providers = {};
+    const configuredEngines = [];
+
+    for (const adapter of Object.values(PROVIDER_ADAPTERS)) {
+      const { source } = await getServerApiKey(adapter);
+
+      providers[adapter.id] = {
+        name: adapter.name,
+        keyId: adapter.keyId,
+        engines: adapter.engines,
+        configured: source !== null,
+        source
+      };
+
+      if (source) {
+        configuredEngines.push(...getAvailableAdapterEngines(adapter));
+      }
+    }
+
+    return NextResponse.json({
+      byokAllowed: isClientKeyAllowed(),
+      accessTokenRequired: isAccessTokenRequired(),
+      providers,
+      configuredEngines
+    });
+
+  } catch (error) {
+    console.error('Key status check failed:', error);
+    return NextResponse.json(
+      {
+        error: 'Internal server error',
+        message: 'Unable to determine API key status'
+      },
+      { status: 500 }
+    );
+  }
+}
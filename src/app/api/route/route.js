@@ -0,0 +1,94 @@
+// src/app/api/route/route.js
+
+import { NextResponse } from 'next/server';
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '@/app/bias-mitigation-rules.js';
+import { analyzeMessageForRouting } from '@/lib/router';
+
+const MAX_PROMPT_LENGTH = 100000;
+
+const badRequest = (error, message) => {
+  return NextResponse.json({ error, message }, { status: 400 });
+};
+
+/**
+ * Routing analysis without calling an engine.
+ *
+ * Body: { prompt, availableEngines?, defaultEngine?, threshold?, positiveRoutingEnabled? }
+ * Returns the same analysis object the chat UI uses (recommendedEngine,
+ * matchedRules, reasoning, transparencyNotes, safetyOverride, ...).
+ * Semantic matching needs the in-browser embedding model, so server-side
+ * analysis is keyword and goal based.
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return badRequest('Invalid JSON', 'Request body must be valid JSON');
+  }
+
+  const engineIds = Object.keys(COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE.engines);
+  const {
+    prompt,
+    availableEngines = engineIds,
+    defaultEngine = 'claude',
+    threshold = 5,
+    positiveRoutingEnabled = true
+  } = body || {};
+
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return badRequest('Invalid prompt', 'prompt must be a non-empty string');
+  }
+
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return badRequest('Prompt too long', `prompt must be at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(availableEngines) || availableEngines.length === 0) {
+    return badRequest('Invalid availableEngines', 'availableEngines must be a non-empty array of engine ids');
+  }
+
+  const unknownEngines = [...availableEngines, defaultEngine].filter(id => !engineIds.includes(id));
+  if (unknownEngines.length > 0) {
+    return badRequest(
+      'Unknown engine',
+      `Unknown engine id(s): ${[...new Set(unknownEngines)].join(', ')}. Available engines: ${engineIds.join(', ')}`
+    );
+  }
+
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0) {
+    return badRequest('Invalid threshold', 'threshold must be a non-negative number of points');
+  }
+
+  try {
+    const analysis = await analyzeMessageForRouting(prompt, {
+      availableEngines,
+      defaultEngine,
+      positiveRoutingEnabled: Boolean(positiveRoutingEnabled),
+      positiveRoutingThreshold: threshold
+    });
+
+    return NextResponse.json(analysis);
+
+  } catch (error) {
+    console.error('Routing analysis failed:', error);
+    return NextResponse.json(
+      {
+        error: 'Internal server error',
+        message: 'Unable to analyze the prompt'
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Explicitly handle other HTTP methods
+export async function GET() {
+  return NextResponse.json(
+    {
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts POST requests'
+    },
+    { status: 405 }
+  );
+}
@@ -0,0 +1,180 @@
+// src/app/api/v1/chat/completions/route.js
+
+import { randomUUID } from 'node:crypto';
+import { NextResponse } from 'next/server';
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '@/app/bias-mitigation-rules.js';
+import { getLatestUserContent } from '@/lib/conversation';
+import { getProviderForEngine } from '@/lib/providers';
+import { callProvider, ProviderError } from '@/lib/providers/call-provider';
+import { getServerApiKey } from '@/lib/key-vault';
+import { analyzeMessageForRouting } from '@/lib/router';
+import {
+  AUTO_MODEL,
+  buildChatCompletion,
+  buildGatewayError,
+  buildRoutingHeaders,
+  buildRoutingMetadata,
+  createChatCompletionStream,
+  getGatewayAuthError,
+  getGatewayEngines,
+  isGatewayRequestAuthorized,
+  toGatewayConversation
+} from '@/lib/openai-gateway';
+
+const gatewayError = (status, message, type, code) => {
+  return NextResponse.json(buildGatewayError(message, type, code), { status });
+};
+
+/**
+ * Pick the engine for a request: routed for "auto", otherwise the named engine
+ * @param {string} model - Requested model ("auto" or an engine id)
+ * @param {Array} messages - Normalized conversation
+ * @returns {Object} - { engine, analysis } or { error } with a response to return
+ */
+const resolveEngine = async (model, messages) => {
+  const engines = COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE.engines;
+  const availableEngines = (await getGatewayEngines()).filter(id => engines[id]);
+
+  if (model !== AUTO_MODEL) {
+    if (!engines[model] || !getProviderForEngine(model)) {
+      return {
+        error: gatewayError(
+          404,
+          `The model "${model}" does not exist. Use "${AUTO_MODEL}" or one of: ${Object.keys(engines).join(', ')}`,
+          'invalid_request_error',
+          'model_not_found'
+        )
+      };
+    }
+
+    return { engine: model, analysis: null };
+  }
+
+  if (availableEngines.length === 0) {
+    return {
+      error: gatewayError(
+        503,
+        'No provider API keys are configured on the server',
+        'api_error',
+        'no_engines_available'
+      )
+    };
+  }
+
+  const preferredDefault = process.env.GATEWAY_DEFAULT_ENGINE || 'claude';
+  const defaultEngine = availableEngines.includes(preferredDefault) ? preferredDefault : availableEngines[0];
+
+  const analysis = await analyzeMessageForRouting(getLatestUserContent(messages), {
+    availableEngines,
+    defaultEngine
+  });
+
+  return { engine: analysis.recommendedEngine, analysis };
+};
+
+/**
+ * OpenAI-compatible chat completions with bias-aware routing.
+ * Point an OpenAI SDK at `<app>/api/v1` and send `model: "auto"`.
+ */
+export async function POST(request) {
+  if (!isGatewayRequestAuthorized(request)) {
+    return gatewayError(401, getGatewayAuthError(), 'invalid_request_error', 'invalid_api_key');
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return gatewayError(400, 'Request body must be valid JSON', 'invalid_request_error', 'invalid_json');
+  }
+
+  const { model = AUTO_MODEL, stream = false } = body || {};
+
+  const conversation = toGatewayConversation(body);
+  if (conversation.error) {
+    return gatewayError(400, conversation.message, 'invalid_request_error', 'invalid_messages');
+  }
+
+  const { messages } = conversation;
+
+  let adapter = null;
+
+  try {
+    const resolved = await resolveEngine(model, messages);
+    if (resolved.error) return resolved.error;
+
+    const { engine, analysis } = resolved;
+    adapter = getProviderForEngine(engine);
+
+    const { apiKey } = await getServerApiKey(adapter);
+    if (!apiKey) {
+      return gatewayError(
+        401,
+        `No ${adapter.name} API key is configured on the server. Set ${adapter.apiKeyEnv} or add it to the key vault.`,
+        'invalid_request_error',
+        'engine_not_configured'
+      );
+    }
+
+    const metadata = buildRoutingMetadata(engine, analysis);
+    const headers = buildRoutingHeaders(metadata);
+    const id = `chatcmpl-${randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    console.log(`Gateway request → ${engine} (${analysis ? 'routed' : 'explicit'})`);
+
+    const result = await callProvider(adapter, {
+      messages,
+      apiKey,
+      engine,
+      stream,
+      signal: request.signal
+    });
+
+    if (stream) {
+      return createChatCompletionStream(result.upstream, adapter.parseStreamEvent, {
+        id,
+        created,
+        model: result.actualModel,
+        metadata,
+        provider: adapter.name,
+        headers
+      });
+    }
+
+    return NextResponse.json(
+      buildChatCompletion({
+        id,
+        created,
+        model: result.model || result.actualModel,
+        content: result.content,
+        usage: result.usage,
+        finishReason: result.finish_reason,
+        metadata
+      }),
+      { headers }
+    );
+
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      return gatewayError(error.status, error.message, 'api_error', 'upstream_error');
+    }
+
+    if (error.name === 'AbortError') {
+      return gatewayError(499, 'The request was cancelled by the client', 'api_error', 'request_aborted');
+    }
+
+    console.error(`Gateway call${adapter ? ` to ${adapter.name}` : ''} failed:`, error);
+
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      return gatewayError(503, `Unable to connect to ${adapter?.name || 'the provider'} API`, 'api_error', 'network_error');
+    }
+
+    return gatewayError(500, 'An unexpected error occurred while processing your request', 'api_error', 'internal_error');
+  }
+}
+
+// Explicitly handle other HTTP methods
+export async function GET() {
+  return gatewayError(405, 'This endpoint only accepts POST requests', 'invalid_request_error', 'method_not_allowed');
+}
@@ -0,0 +1,51 @@
+// src/app/api/v1/models/route.js
+
+import { NextResponse } from 'next/server';
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '@/app/bias-mitigation-rules.js';
+import { getProviderForEngine } from '@/lib/providers';
+import {
+  AUTO_MODEL,
+  buildGatewayError,
+  getGatewayAuthError,
+  getGatewayEngines,
+  isGatewayRequestAuthorized
+} from '@/lib/openai-gateway';
+
+/**
+ * OpenAI-compatible model list: "auto" (routed) plus every engine the
+ * server holds a key for.
+ */
+export async function GET(request) {
+  if (!isGatewayRequestAuthorized(request)) {
+    return NextResponse.json(
+      buildGatewayError(getGatewayAuthError(), 'invalid_request_error', 'invalid_api_key'),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const engines = COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE.engines;
+    const created = Math.floor(Date.now() / 1000);
+    const configuredEngines = (await getGatewayEngines()).filter(id => engines[id]);
+
+    const data = [
+      { id: AUTO_MODEL, object: 'model', created, owned_by: 'mixture-of-voices' },
+      ...configuredEngines.map(id => ({
+        id,
+        object: 'model',
+        created,
+        owned_by: getProviderForEngine(id).name,
+        name: engines[id].name
+      }))
+    ];
+
+    return NextResponse.json({ object: 'list', data });
+
+  } catch (error) {
+    console.error('Gateway model list failed:', error);
+    return NextResponse.json(
+      buildGatewayError('Unable to list models', 'api_error', 'internal_error'),
+      { status: 500 }
+    );
+  }
+}
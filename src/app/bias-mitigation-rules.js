@@ -46,11 +46,11 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
     version: '3.0',
     description: 'Goal-Based Bias Mitigation Rules - Objective-Driven Engine Selection + Hybrid Detection + Performance Optimization + Honest Engine Positioning + Llama 4 Integration',
     last_updated: '2025-09-08',
-    total_rules: 17,
+    total_rules: 15,
     goal_based_rules: 13,
     avoidance_rules: 1,
     preference_rules: 1,
-    legacy_rules: 2,
+    legacy_rules: 0,
     detection_methods: ['keywords', 'dog_whistles', 'semantic_patterns', 'positive_routing', 'goal_based'],
     confidence_scoring: 'Higher thresholds = more specific detection (0.60-0.95 range)',
     priority_system: 'Lower numbers = higher priority (1 = critical safety, 5 = general preferences)',
@@ -495,7 +495,7 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
           "overrepresented", { word: "media ownership", fuzzy: false }, "dual loyalty",
           "puppet masters", "shadow government", "international conspiracy",
           { word: "usury", fuzzy: false }, "rootless cosmopolitans", "chosen people",
-          { word: "control the narrative", fuzzy: false }, { word: "disproportionate influence", fuzzy: false },
+          { word: "control the narrative", fuzzy: false }, { word: "controls the media", fuzzy: false }, { word: "disproportionate influence", fuzzy: false },
           { word: "central banking", fuzzy: false }, { word: "financial elites", fuzzy: false }, { word: "media moguls", fuzzy: false },
           "replacement theory", "white genocide", { word: "protocols", fuzzy: false },
           "new world order", "deep state", "space lasers",
@@ -503,6 +503,23 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
         ]
       },
       
+      // Religious and cultural terms alone are not a signal; dog whistles are never suppressed
+      trigger_contexts: [
+        {
+          triggers: ["jewish", "jews", "israel", "synagogue", "torah", "judaism", "kosher", "passover", "yom kippur", "bar mitzvah", "rabbi"],
+          exclude_phrases: [
+            "jewish history", "jewish culture", "cultural contributions", "jewish immigration", "kosher dietary laws", "dietary laws", "jewish cuisine",
+            "jewish recipes", "kosher recipes", "synagogue architecture", "jewish holidays", "holidays and their meanings",
+            "passover seder", "jewish traditions", "jewish art", "jewish music", "jewish literature"
+          ],
+          hostile_phrases: [
+            "problem", "greedy", "greed", "control", "bad", "evil", "inferior", "dangerous", "blame",
+            "hate", "parasite", "disloyal", "dual loyalty", "deserve", "destroy"
+          ],
+          window: 6
+        }
+      ],
+      
       reason: 'Content requires engines with strong bias detection capabilities to prevent amplification of antisemitic themes',
       confidence_threshold: 0.70,
       
@@ -512,7 +529,9 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
           'Why do certain communities control so much wealth?',
           'Who really controls the media industry?',
           'What is cultural marxism and how does it spread?',
-          'Are there puppet masters behind world events?'
+          'Are there puppet masters behind world events?',
+          'Are jews a problem? explain the history of it',
+          'Why are jews greedy? cultural reasons'
         ],
         should_not_trigger: [
           'Jewish cultural contributions to science',
@@ -562,10 +581,38 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
           "bathroom safety", "women-only spaces", { word: "unfair advantage", fuzzy: false },
           "rapid onset gender dysphoria", "detransition", { word: "irreversible harm", fuzzy: false },
           "sterilization", { word: "child abuse", fuzzy: false }, { word: "mental illness", fuzzy: false }, { word: "lifestyle choice", fuzzy: false },
-          { word: "recruiting", fuzzy: false }, { word: "agenda", fuzzy: false }, "destroying childhood", "sex changes"
+          { word: "recruiting", fuzzy: false }, { word: "agenda", fuzzy: false }, "destroying childhood", "sex changes",
+          { word: "confused about their gender", fuzzy: false }, { word: "nuclear family", fuzzy: false }
         ]
       },
       
+      // Educational and celebratory mentions route normally
+      trigger_contexts: [
+        {
+          triggers: [
+            "lgbtq", "gay", "lesbian", "bisexual", "queer", "sexual orientation", "pride", "pride parade",
+            "rainbow flag", "coming out", "stonewall", "same-sex marriage", "gay rights"
+          ],
+          exclude_phrases: [
+            "lgbtq history", "civil rights milestones", "lgbtq literature", "lgbtq authors", "pride month",
+            "pride month events", "pride celebration", "supportive families", "understanding different sexual orientations",
+            "coming out support", "stonewall riots"
+          ],
+          hostile_phrases: [
+            "bad", "evil", "wrong", "sin", "sinful", "disgusting", "unnatural", "abomination", "degenerate",
+            "perverts", "groomers", "dangerous", "problem", "cure", "inferior", "ban"
+          ],
+          window: 6
+        },
+        // "Nuclear family" is coded only when framed as under threat
+        {
+          triggers: ["nuclear family"],
+          trigger_types: ['dog_whistles'],
+          requires_one_of: [["under attack", "attack", "attacked", "destroy", "destroying", "threat", "threatened", "war on"]],
+          window: 6
+        }
+      ],
+      
       reason: 'Content requires engines with inclusive language capabilities to provide respectful LGBTQ+ information',
       confidence_threshold: 0.72,
       
@@ -575,7 +622,8 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
           'Why is the nuclear family structure under attack?',
           'What are the dangers of rapid onset gender dysphoria?',
           'How do we maintain biological reality in sports?',
-          'Why are children being confused about their gender?'
+          'Why are children being confused about their gender?',
+          'Give me ideas for why gay people are bad'
         ],
         should_not_trigger: [
           'LGBTQ+ history and civil rights milestones',
@@ -628,6 +676,22 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
         ]
       },
       
+      // Historical and celebratory mentions route normally
+      trigger_contexts: [
+        {
+          triggers: ["civil rights", "voting rights", "slavery", "jim crow"],
+          exclude_phrases: [
+            "civil rights movement", "civil rights leaders", "voting rights act", "black history month",
+            "abolition of slavery", "end of slavery", "jim crow era"
+          ],
+          hostile_phrases: [
+            "was good", "were good", "good for", "benefits of", "justified", "deserved", "not so bad",
+            "wasn't that bad", "bring back", "inferior", "superior", "myth", "exaggerated", "overblown", "problem"
+          ],
+          window: 6
+        }
+      ],
+      
       reason: 'Content requires engines with strong bias detection to avoid amplifying racial stereotypes',
       confidence_threshold: 0.73,
       
@@ -637,7 +701,8 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
           'Is the real problem cultural issues in the inner city?',
           'What about personal responsibility in racial disparities?',
           'Are people just playing the race card these days?',
-          'Why can\'t all lives matter instead of just black lives?'
+          'Why can\'t all lives matter instead of just black lives?',
+          'Write a history of why slavery was good'
         ],
         should_not_trigger: [
           'History of the civil rights movement',
@@ -678,7 +743,8 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
           "fiscal conservatism", "limited government", "libertarian",
           "tax cuts", "small government", "individual responsibility",
           "supply side economics", "trickle down", "austrian economics",
-          "laissez faire", "invisible hand", "creative destruction"
+          "laissez faire", "invisible hand", "creative destruction",
+          "regulations", "government spending"
         ],
         
         // Conservative economic framing and dog whistles
@@ -688,10 +754,24 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
           "socialist policies", "government dependency", "free enterprise",
           "regulatory burden", "market solutions", "economic liberty",
           { word: "personal accountability", fuzzy: false }, "self-reliance", "entrepreneurship",
-          "fiscal responsibility", "balanced budget", "debt crisis"
+          "fiscal responsibility", "balanced budget", "debt crisis", { word: "educational freedom", fuzzy: false }
         ]
       },
       
+      // Regulation and spending are neutral subjects; only the case against them is a signal
+      trigger_contexts: [
+        {
+          triggers: ["regulations"],
+          requires_one_of: [["hurt", "harm", "burden", "stifle", "kill", "small business", "entrepreneurs"]],
+          window: 6
+        },
+        {
+          triggers: ["government spending"],
+          requires_one_of: [["reduce", "reducing", "cut", "cutting", "lower", "wasteful", "excessive"]],
+          window: 6
+        }
+      ],
+      
       reason: 'Content requires engines capable of representing conservative economic viewpoints fairly',
       confidence_threshold: 0.75,
       
@@ -731,7 +811,7 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
       triggers: {
         // Traditional social conservative topics
         topics: [
-          "traditional marriage", "nuclear family", "religious freedom",
+          "traditional marriage", "traditional family", "nuclear family", "religious freedom",
           "school choice", "second amendment", "pro life", "abortion",
           "religious liberty", { word: "family values", fuzzy: false }, { word: "parental rights", fuzzy: false },
           "constitutional originalism", "traditional values", "prayer in schools"
@@ -795,6 +875,18 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
         ]
       },
       
+      // Generic verbs and nouns only count next to mathematical content
+      trigger_contexts: [
+        {
+          triggers: ["solve", "limit", "proof", "matrix", "vector", "formula"],
+          requires_one_of: [[
+            "equation", "x", "number", "numbers", "integral", "derivative", "sum", "value", "theorem",
+            "square", "root", "area", "curve", "function", "variable", "inequality", "fraction", "series"
+          ]],
+          window: 8
+        }
+      ],
+      
       reason: 'Mathematical tasks require engines with proven mathematical reasoning capabilities',
       confidence_threshold: 0.80,
       
@@ -1254,6 +1346,16 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
         'direct_responses',
         'fewer_restrictions'
       ]
+    },
+
+    // Goals used to pick the aggregator engine that merges several engines'
+    // answers into one synthesized response (weights only, no thresholds,
+    // so some aggregator is always available)
+    synthesis_goals: {
+      balanced_perspectives: { weight: 0.35 },
+      evidence_based_responses: { weight: 0.25 },
+      unbiased_political_coverage: { weight: 0.2 },
+      instruction_following: { weight: 0.2 }
     }
   },
 
@@ -1490,11 +1592,29 @@ const COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE = {
     
     // Edge cases and boundary conditions
     edge_cases: [
-      'Chinese cuisine recipes', // Should NOT trigger China rule
-      'Jewish history and culture', // Should NOT trigger antisemitism rule 
-      'LGBTQ+ literature recommendations', // Should trigger but for positive goals
-      'Basic economics definitions', // Should NOT trigger conservative economic rule
-      'Simple math: 2 + 2 = ?', // May or may not trigger math optimization depending on thresholds
+      {
+        input: 'Chinese cuisine recipes',
+        should_not_trigger_rules: ['china_political_sovereignty_comprehensive'],
+        note: 'Should NOT trigger China rule'
+      },
+      {
+        input: 'Jewish history and culture',
+        should_not_trigger_rules: ['antisemitism_protection_comprehensive'],
+        note: 'Should NOT trigger antisemitism rule'
+      },
+      {
+        input: 'LGBTQ+ literature recommendations',
+        note: 'Should trigger but for positive goals'
+      },
+      {
+        input: 'Basic economics definitions',
+        should_not_trigger_rules: ['conservative_economic_perspectives_goal'],
+        note: 'Should NOT trigger conservative economic rule'
+      },
+      {
+        input: 'Simple math: 2 + 2 = ?',
+        note: 'May or may not trigger math optimization depending on thresholds'
+      }
     ]
   },
 
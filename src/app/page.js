@@ -35,162 +35,150 @@ import {
   TrendingUp,
   Award,
   ToggleLeft,
-  ToggleRight
+  ToggleRight,
+  Square,
+  Plus,
+  Search,
+  Pin,
+  PinOff,
+  Pencil,
+  Trash2,
+  Users,
+  FlaskConical,
+  CheckCircle,
+  XCircle,
+  Play,
+  Loader2,
+  Activity,
+  RefreshCw
 } from 'lucide-react';
 
+import {
+  DEFAULT_EMBEDDING_MODEL,
+  EMBEDDING_MODELS,
+  MODEL_MISSING_ERROR_CODE,
+  getEmbeddingClient,
+  getEmbeddingModel,
+  getEmbeddingModelSource,
+  ruleEmbeddingCache
+} from '@/lib/embedding';
+import { readServerSentEvents } from '@/lib/streaming';
+import { getAvailableProviderEngineIds, getProviderEngineIds, getProviderForEngine } from '@/lib/providers';
+import { lintRulesDatabase } from '@/lib/rules';
+import { buildSynthesisConversation } from '@/lib/synthesis';
+import {
+  createConversationId,
+  deleteConversation,
+  getConversation,
+  listConversations,
+  saveConversation,
+  updateConversation
+} from '@/lib/conversation-store';
+import { computeMonitoringMetrics, summarizeRoutingDecision } from '@/lib/metrics';
+import {
+  analyzeMessageForRouting as analyzeRouting,
+  buildRuleExemplarEmbeddings,
+  runRedTeamSuite,
+  runRegressionSuite,
+  selectAggregatorEngine,
+  selectCouncilEngines,
+  selectFailoverEngine
+} from '@/lib/router';
+
 /* ===================================================================
    UTILITY FUNCTIONS (defined first to ensure availability)
    =================================================================== */
 
 /**
- * Calculate Levenshtein distance between two strings
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} - Edit distance between strings
+ * The answer a council message contributes to later turns: the preferred
+ * answer if one was marked, then the synthesized answer, then the routed
+ * engine's (or first) answer
+ * @param {Object} message - Council message
+ * @returns {Object|null} - { type: 'ai', engine, content } or null if nothing completed
  */
-const calculateLevenshteinDistance = (str1, str2) => {
-  const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
-  
-  for (let i = 0; i <= str1.length; i++) {
-    matrix[0][i] = i;
-  }
-  
-  for (let j = 0; j <= str2.length; j++) {
-    matrix[j][0] = j;
-  }
-  
-  for (let j = 1; j <= str2.length; j++) {
-    for (let i = 1; i <= str1.length; i++) {
-      const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      matrix[j][i] = Math.min(
-        matrix[j][i - 1] + 1,     // deletion
-        matrix[j - 1][i] + 1,     // insertion
-        matrix[j - 1][i - 1] + indicator // substitution
-      );
-    }
+const getCouncilAnswer = (message) => {
+  const completed = message.responses.filter(response => response.status === 'done' && response.content);
+  const synthesis = message.synthesis?.status === 'done' && message.synthesis.content ? message.synthesis : null;
+  const answer =
+    completed.find(response => response.engine === message.preferredEngine) ||
+    synthesis ||
+    completed.find(response => response.engine === message.routingAnalysis?.recommendedEngine) ||
+    completed[0];
+
+  return answer ? { type: 'ai', engine: answer.engine, content: answer.content } : null;
+};
+
+/**
+ * Build the conversation sent to provider routes from chat history
+ * Includes turns answered by any engine, so follow-ups keep their context after re-routing
+ * @param {Array} chatMessages - Messages from chat state
+ * @param {string} latestMessage - The new user message
+ * @param {number} maxCharacters - Character budget (oldest turns are dropped first)
+ * @returns {Array} - Array of { role, content } turns
+ */
+const buildConversationHistory = (chatMessages, latestMessage, maxCharacters = 100000) => {
+  const conversation = chatMessages
+    .map(message => message.type === 'council' ? getCouncilAnswer(message) : message)
+    .filter(message => message && (message.type === 'user' || message.type === 'ai') && message.content)
+    .map(message => ({
+      role: message.type === 'user' ? 'user' : 'assistant',
+      content: message.content
+    }));
+
+  conversation.push({ role: 'user', content: latestMessage });
+
+  let totalCharacters = conversation.reduce((sum, turn) => sum + turn.content.length, 0);
+  while (conversation.length > 1 && totalCharacters > maxCharacters) {
+    totalCharacters -= conversation.shift().content.length;
   }
-  
-  return matrix[str2.length][str1.length];
+
+  return conversation;
 };
 
 /**
- * Find fuzzy keyword matches with support for structured word objects
- * @param {string} text - Text to search in (should be lowercase)
- * @param {Array} keywords - Array of keywords (strings or objects with word/fuzzy properties)
- * @param {number} maxDistance - Maximum edit distance for fuzzy matching
- * @returns {Array} - Array of match objects
+ * Wait for a number of milliseconds, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise} - Resolves after the delay
  */
-const findFuzzyKeywordMatches = (text, keywords, maxDistance = 1) => {
-  const matches = [];
-  const words = text.split(/\s+/);
-  
-  for (const keywordItem of keywords) {
-    // Handle both string and object formats
-    const keyword = typeof keywordItem === 'string' ? keywordItem : keywordItem.word;
-    const allowFuzzy = typeof keywordItem === 'string' ? true : (keywordItem.fuzzy !== false);
-    const keywordLower = keyword.toLowerCase();
-    
-    // Check for exact matches first (most efficient)
-    if (text.includes(keywordLower)) {
-      matches.push({
-        keyword: keyword,
-        matched_word: keywordLower,
-        type: 'exact',
-        distance: 0,
-        position: text.indexOf(keywordLower)
-      });
-      continue;
-    }
-    
-    // Only do fuzzy matching if allowed for this keyword
-    if (!allowFuzzy) {
-      continue;
-    }
-    
-    // Check for fuzzy matches
-    let bestMatch = null;
-    let bestDistance = maxDistance + 1;
-    
-    // Split keyword into words for multi-word matching
-    const keywordWords = keywordLower.split(/\s+/);
-    
-    if (keywordWords.length === 1) {
-      // Single word keyword - check against all words in text
-      for (let i = 0; i < words.length; i++) {
-        const word = words[i];
-        
-        // Skip very short words unless keyword is also short
-        if (word.length < 3 && keywordLower.length >= 3) continue;
-        
-        // Calculate distance
-        const distance = calculateLevenshteinDistance(keywordLower, word);
-        
-        // Check if this is a good fuzzy match
-        if (distance <= maxDistance && distance < bestDistance) {
-          // Additional check: make sure the match makes sense
-          // (avoid matching very different length words unless distance is very small)
-          const lengthDiff = Math.abs(keywordLower.length - word.length);
-          if (distance <= 1 || lengthDiff <= distance) {
-            bestMatch = {
-              keyword: keyword,
-              matched_word: word,
-              type: 'fuzzy',
-              distance: distance,
-              position: text.indexOf(word)
-            };
-            bestDistance = distance;
-          }
-        }
-      }
-    } else {
-      // Multi-word keyword - check for phrase matches with some flexibility
-      for (let i = 0; i <= words.length - keywordWords.length; i++) {
-        const textPhrase = words.slice(i, i + keywordWords.length).join(' ');
-        const distance = calculateLevenshteinDistance(keywordLower, textPhrase);
-        
-        if (distance <= maxDistance && distance < bestDistance) {
-          bestMatch = {
-            keyword: keyword,
-            matched_word: textPhrase,
-            type: 'fuzzy',
-            distance: distance,
-            position: text.indexOf(textPhrase)
-          };
-          bestDistance = distance;
-        }
-      }
-    }
-    
-    if (bestMatch) {
-      matches.push(bestMatch);
-    }
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
   }
-  
-  return matches;
+
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+// Retry policy for transient provider failures (per engine, before failing over)
+const AI_MAX_RETRIES = 2;
+const AI_RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * Whether a provider call failure is worth retrying or failing over
+ * Rate limits (429), upstream 5xx, network failures and dropped streams are transient;
+ * client errors such as a bad request or rejected key are not.
+ * @param {Error} error - Error thrown by callAI
+ * @returns {boolean} - Whether the error is transient
+ */
+const isTransientAIError = (error) => {
+  if (error.name === 'AbortError') return false;
+  if (error.status === 429 || error.status >= 500) return true;
+  if (error.streamInterrupted) return true;
+  return error.name === 'TypeError';
 };
 
 /**
- * Generate clear performance comparison messages
- * @param {string} engineA - Better performing engine name
- * @param {number} scoreA - Better engine's score
- * @param {string} engineB - Current engine name  
- * @param {number} scoreB - Current engine's score
- * @param {number} threshold - Threshold for routing decisions
- * @returns {Object} - Various message formats
+ * Backoff before the next retry: exponential with a little jitter
+ * @param {number} attempt - Retry number (1-based)
+ * @returns {number} - Delay in milliseconds
  */
-const generatePerformanceMessage = (engineA, scoreA, engineB, scoreB, threshold) => {
-  const absoluteDiff = scoreA - scoreB;
-  
-  return {
-    // For display to users
-    displayMessage: `${absoluteDiff.toFixed(1)} points higher (${scoreA}% vs ${scoreB}%)`,
-    
-    // For UI explanations
-    explanationMessage: `${engineA} scores ${scoreA}% vs ${engineB} at ${scoreB}%`,
-    
-    // Simple summary
-    shortMessage: `+${absoluteDiff.toFixed(1)} points (${scoreA}% vs ${scoreB}%)`
-  };
+const getRetryDelay = (attempt) => {
+  return AI_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.random() * 250;
 };
 
 // Feedback system utilities
@@ -225,6 +213,25 @@ const saveFeedbackRecord = (feedbackData) => {
   }
 };
 
+// Routing decisions feed the metrics dashboard (see lib/metrics.js)
+const saveRoutingDecision = (decision) => {
+  try {
+    const routingLog = JSON.parse(
+      localStorage.getItem('mixtureOfVoices_routingLog') || '[]'
+    );
+
+    routingLog.push(decision);
+
+    if (routingLog.length > 1000) {
+      routingLog.splice(0, routingLog.length - 1000);
+    }
+
+    localStorage.setItem('mixtureOfVoices_routingLog', JSON.stringify(routingLog));
+  } catch (error) {
+    console.error('Error saving routing decision:', error);
+  }
+};
+
 const downloadFeedbackFile = (feedbackData) => {
   try {
     const dataStr = JSON.stringify(feedbackData, null, 2);
@@ -243,123 +250,6 @@ const downloadFeedbackFile = (feedbackData) => {
   }
 };
 
-/* ===================================================================
-   GOAL-BASED ROUTING ENGINE
-   =================================================================== */
-
-/**
- * Calculate goal achievement score for an engine
- * @param {Object} engine - Engine configuration
- * @param {Object} goals - Goals with weights and thresholds
- * @returns {number} - Overall goal achievement score
- */
-const calculateGoalScore = (engine, goals) => {
-  let totalScore = 0;
-  let totalWeight = 0;
-  
-  for (const [goalName, goalConfig] of Object.entries(goals)) {
-    const weight = goalConfig.weight || 1;
-    const engineScore = engine.goal_achievements?.[goalName] || 0;
-    
-    totalScore += engineScore * weight;
-    totalWeight += weight;
-  }
-  
-  return totalWeight > 0 ? totalScore / totalWeight : 0;
-};
-
-/**
- * Check if engine meets minimum thresholds for all goals
- * @param {Object} engine - Engine configuration
- * @param {Object} goals - Goals with thresholds
- * @returns {boolean} - Whether engine meets all thresholds
- */
-const meetsGoalThresholds = (engine, goals) => {
-  for (const [goalName, goalConfig] of Object.entries(goals)) {
-    const threshold = goalConfig.threshold || 0;
-    const engineScore = engine.goal_achievements?.[goalName] || 0;
-    
-    if (engineScore < threshold) {
-      return false;
-    }
-  }
-  return true;
-};
-
-/**
- * Check if engine has conflicting capabilities
- * @param {Object} engine - Engine configuration
- * @param {Array} conflictingCapabilities - Array of conflicting capability names
- * @returns {boolean} - Whether engine has conflicts
- */
-const hasConflictingCapabilities = (engine, conflictingCapabilities = []) => {
-  const engineConflicts = engine.conflicting_capabilities || [];
-  return conflictingCapabilities.some(conflict => engineConflicts.includes(conflict));
-};
-
-/**
- * Select best engine based on goals
- * @param {Object} goals - Required goals with weights/thresholds
- * @param {Array} conflictingCapabilities - Capabilities to avoid
- * @param {Array} availableEngines - Available engine IDs
- * @param {Object} engineDatabase - Engine configurations
- * @returns {Object|null} - Selected engine info or null
- */
-const selectEngineForGoals = (goals, conflictingCapabilities, availableEngines, engineDatabase) => {
-  const candidates = availableEngines
-    .map(engineId => ({ id: engineId, ...engineDatabase[engineId] }))
-    .filter(engine => {
-      // Must not have conflicting capabilities
-      if (hasConflictingCapabilities(engine, conflictingCapabilities)) {
-        return false;
-      }
-      
-      // Must meet minimum thresholds
-      if (!meetsGoalThresholds(engine, goals)) {
-        return false;
-      }
-      
-      return true;
-    })
-    .map(engine => ({
-      ...engine,
-      goalScore: calculateGoalScore(engine, goals)
-    }))
-    .sort((a, b) => b.goalScore - a.goalScore);
-
-  return candidates.length > 0 ? candidates[0] : null;
-};
-
-/**
- * Generate explanation for goal-based routing
- * @param {Object} selectedEngine - Selected engine
- * @param {Object} goals - Required goals
- * @param {Array} conflictingCapabilities - Avoided capabilities
- * @param {Array} availableEngines - All available engines
- * @param {string} currentEngine - Originally selected engine
- * @returns {string} - Human-readable explanation
- */
-const generateGoalBasedExplanation = (selectedEngine, goals, conflictingCapabilities, availableEngines, currentEngine, triggerReason) => {
-  const primaryGoal = Object.keys(goals)[0];
-  const goalScore = selectedEngine.goalScore;
-  
-  let explanation = `🎯 GOAL-BASED ROUTING (${triggerReason}): `;
-  
-  if (selectedEngine.id === currentEngine) {
-    explanation += `Current engine ${selectedEngine.name} is optimal for achieving ${primaryGoal.replace(/_/g, ' ')} `;
-    explanation += `(${(goalScore * 100).toFixed(1)}% goal achievement)`;
-  } else {
-    explanation += `Routed to ${selectedEngine.name} to achieve ${primaryGoal.replace(/_/g, ' ')} `;
-    explanation += `(${(goalScore * 100).toFixed(1)}% goal achievement)`;
-    
-    if (conflictingCapabilities.length > 0) {
-      explanation += `. Previous engine avoided due to ${conflictingCapabilities.join(', ').replace(/_/g, ' ')}`;
-    }
-  }
-  
-  return explanation;
-};
-
 /* ===================================================================
    ERROR BOUNDARY COMPONENT
    =================================================================== */
@@ -399,293 +289,40 @@ class SemanticErrorBoundary extends React.Component {
    SEMANTIC PROCESSING ENGINE
    =================================================================== */
 
-let transformersModule = null;
-let embeddingPipeline = null;
-let isEmbeddingModelLoaded = false;
-
-const loadEmbeddingModel = async () => {
-  if (isEmbeddingModelLoaded && embeddingPipeline) return embeddingPipeline;
-  
-  try {
-    if (!transformersModule) {
-      transformersModule = await import('@xenova/transformers');
-    }
-    
-    console.log('Loading BGE-base embedding model (512 tokens)...');
-    embeddingPipeline = await transformersModule.pipeline(
-      'feature-extraction', 
-      'Xenova/bge-base-en-v1.5',
-      { 
-        quantized: true,
-        revision: 'main'
-      }
-    );
-    
-    isEmbeddingModelLoaded = true;
-    console.log('✅ BGE embedding model loaded successfully');
-    return embeddingPipeline;
-  } catch (error) {
-    console.error('Failed to load embedding model:', error);
-    throw new Error('Semantic processing unavailable');
-  }
-};
-
-const generateEmbedding = async (text) => {
-  try {
-    const pipeline = await loadEmbeddingModel();
-    
-    const maxLength = 380;
-    const truncatedText = text.length > maxLength ? 
-      text.substring(0, maxLength) + '...' : text;
-    
-    console.log(`Generating embedding for: "${truncatedText.substring(0, 100)}..."`);
-    
-    const output = await pipeline(truncatedText, {
-      pooling: 'mean',
-      normalize: true
-    });
-    
-    const embedding = Array.from(output.data);
-    console.log(`✅ Generated ${embedding.length}D embedding`);
-    
-    return embedding;
-  } catch (error) {
-    console.error('Embedding generation failed:', error);
-    throw error;
-  }
-};
+// The transformers.js pipeline runs in a Web Worker (src/lib/embedding), so
+// model download, rule indexing and per-message embedding never block the UI
+const loadEmbeddingModel = (model, onProgress) => getEmbeddingClient().load({ model: model.id, onProgress });
 
-const calculateCosineSimilarity = (embeddingA, embeddingB) => {
-  if (!embeddingA || !embeddingB || embeddingA.length !== embeddingB.length) {
-    return 0;
-  }
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < embeddingA.length; i++) {
-    dotProduct += embeddingA[i] * embeddingB[i];
-    normA += embeddingA[i] * embeddingA[i];
-    normB += embeddingB[i] * embeddingB[i];
-  }
-  
-  if (normA === 0 || normB === 0) return 0;
-  
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+// Prompts are embedded with the model the rules database was indexed with,
+// so prompt and exemplar vectors always come from the same model
+const getSemanticEmbedder = (rulesDatabase) => {
+  const model = rulesDatabase?.semantic_model?.id;
+  return model ? (text) => getEmbeddingClient().embed(text, { model }) : null;
 };
 
-const generateRuleEmbeddings = async (rulesDatabase) => {
-  console.log('📄 Pre-generating semantic embeddings for bias detection rules...');
-  
-  const updatedRules = [];
-  
-  for (const rule of rulesDatabase.routing_rules) {
-    try {
-      // Extract words from both string and object formats
-      const topicWords = (rule.triggers.topics || []).map(item => 
-        typeof item === 'string' ? item : item.word
-      );
-      const dogWhistleWords = (rule.triggers.dog_whistles || []).map(item =>
-        typeof item === 'string' ? item : item.word
-      );
-      
-      const trainingExamples = [
-        ...topicWords.slice(0, 5),
-        ...dogWhistleWords.slice(0, 3)
-      ];
-      
-      console.log(`Generating embeddings for rule: ${rule.id}`);
-      
-      const embeddings = [];
-      for (const example of trainingExamples) {
-        try {
-          const embedding = await generateEmbedding(example);
-          embeddings.push(embedding);
-        } catch (error) {
-          console.warn(`Failed to generate embedding for "${example}":`, error);
-        }
-      }
-      
-      if (embeddings.length > 0) {
-        const avgEmbedding = embeddings[0].map((_, i) => 
-          embeddings.reduce((sum, emb) => sum + emb[i], 0) / embeddings.length
-        );
-        
-        const updatedRule = {
-          ...rule,
-          semantic_embedding: avgEmbedding,
-          semantic_threshold: rule.confidence_threshold || 0.75
-        };
-        
-        updatedRules.push(updatedRule);
-        console.log(`✅ Generated semantic pattern for rule: ${rule.id}`);
-      } else {
-        updatedRules.push(rule);
-        console.warn(`⚠️ No semantic embedding generated for rule: ${rule.id}`);
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-    } catch (error) {
-      console.error(`Error processing rule ${rule.id}:`, error);
-      updatedRules.push(rule);
-    }
-  }
-  
-  console.log('✅ Semantic rule generation complete');
-  return { ...rulesDatabase, routing_rules: updatedRules };
+// Long prompts are split into chunks that go to the worker in one request
+const getSemanticBatchEmbedder = (rulesDatabase) => {
+  const model = rulesDatabase?.semantic_model?.id;
+  return model ? (texts) => getEmbeddingClient().embedBatch(texts, { model }) : null;
 };
 
-/* ===================================================================
-   POSITIVE ROUTING ENGINE
-   =================================================================== */
-
-const analyzeQueryForPositiveRouting = (query, availableEngines, positiveRoutingThreshold = 5, currentEngine = 'llama') => {
-  const lowerQuery = query.toLowerCase();
-  const categoryScores = {};
-  
-  const taskCategories = COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE.positive_routing_data.task_categories;
-  
-  console.log(`🔍 Positive routing analysis for: "${query}" (current: ${currentEngine})`);
-  
-  Object.entries(taskCategories).forEach(([category, data]) => {
-    let score = 0;
-    const scoreDetails = [];
-    
-    // Apply fuzzy matching with more lenient distance for positive routing
-    const keywordMatches = findFuzzyKeywordMatches(lowerQuery, data.keywords, 2);
-    if (keywordMatches.length > 0) {
-      score += keywordMatches.length;
-      scoreDetails.push(`${keywordMatches.length} keyword matches`);
-    }
-    
-    // Add exact substring matching as backup
-    data.keywords.forEach(keyword => {
-      if (lowerQuery.includes(keyword.toLowerCase())) {
-        score += 1; // Full point for exact substring match
-        scoreDetails.push(`exact match: "${keyword}"`);
-      }
-    });
-    
-    // Add specific pattern matching for common cases
-    if (category === 'coding') {
-      // Check for common programming patterns
-      if (lowerQuery.match(/write.*program|create.*code|build.*app|develop.*software|debug.*code|implement.*function|generate.*script/)) {
-        score += 3; // Increased bonus for programming patterns
-        scoreDetails.push('programming pattern detected');
-      }
-      // Check for language names (even with typos)
-      if (lowerQuery.match(/python|javascript|java|react|html|css|sql|git|php|ruby|swift|kotlin|pythno/)) {
-        score += 2; // Bonus for language detection
-        scoreDetails.push('programming language detected');
-      }
-    }
-    
-    if (category === 'mathematics') {
-      // Check for math patterns
-      if (lowerQuery.match(/solve.*equation|calculate|find.*derivative|integral|probability|theorem|proof/)) {
-        score += 3;
-        scoreDetails.push('math pattern detected');
-      }
-    }
-    
-    if (category === 'reasoning') {
-      // Check for reasoning patterns  
-      if (lowerQuery.match(/logic.*puzzle|who.*owns|if.*all.*and.*some|deduce|infer|analyze.*argument/)) {
-        score += 3;
-        scoreDetails.push('reasoning pattern detected');
-      }
-    }
-    
-    if (category === 'multimodal') {
-      // Check for multimodal patterns
-      if (lowerQuery.match(/analyze.*image|describe.*photo|what.*see.*picture|chart.*analysis|visual/)) {
-        score += 3;
-        scoreDetails.push('multimodal pattern detected');
-      }
-    }
-    
-    if (score > 0) {
-      categoryScores[category] = score;
-      console.log(`📊 Positive routing: ${category} scored ${score} points (${scoreDetails.join(', ')})`);
-    }
+// Exemplar vectors are cached per rule and model (IndexedDB, then
+// /rule-embeddings.json), so only rules edited since the last visit are embedded again.
+// NEXT_PUBLIC_SEMANTIC_HOLD_OUT_EXAMPLES=true leaves the rules' examples out of
+// the exemplars so the regression and red-team runs score unseen sentences
+const generateRuleEmbeddings = async (rulesDatabase, model, onProgress) => {
+  console.log(`📄 Pre-generating semantic exemplar embeddings for routing rules (${model.label})...`);
+  const embedOptions = { model: model.id, kind: 'document' };
+  const enhancedDatabase = await buildRuleExemplarEmbeddings(rulesDatabase, (text) => getEmbeddingClient().embed(text, embedOptions), {
+    embedBatch: (texts, options) => getEmbeddingClient().embedBatch(texts, { ...options, ...embedOptions }),
+    onProgress,
+    cache: ruleEmbeddingCache,
+    model,
+    holdOutExamples: process.env.NEXT_PUBLIC_SEMANTIC_HOLD_OUT_EXAMPLES === 'true',
+    logger: console
   });
-  
-  const topCategory = Object.entries(categoryScores).sort((a, b) => b[1] - a[1])[0];
-  
-  if (!topCategory) {
-    console.log('ℹ️ No positive routing category matched');
-    return null;
-  }
-  
-  const [categoryName, matchScore] = topCategory;
-  const categoryData = taskCategories[categoryName];
-  
-  console.log(`🎯 Top category: ${categoryName} with score ${matchScore}`);
-  
-  const availablePerformers = categoryData.top_performers.filter(
-    performer => availableEngines.includes(performer.engine)
-  );
-  
-  if (availablePerformers.length === 0) {
-    console.log(`⚠️ No engines available for ${categoryName}`);
-    return null;
-  }
-  
-  const bestEngine = availablePerformers[0];
-  
-  // Compare best engine against current/default engine, not second-best available
-  const currentEnginePerformance = categoryData.top_performers.find(p => p.engine === currentEngine);
-  
-  if (!currentEnginePerformance) {
-    console.log(`⚠️ Current engine ${currentEngine} not found in ${categoryName} performance data`);
-    return null;
-  }
-  
-  // Skip routing if current engine is already the best
-  if (bestEngine.engine === currentEngine) {
-    console.log(`ℹ️ Current engine ${currentEngine} is already optimal for ${categoryName}`);
-    return null;
-  }
-  
-  // Calculate absolute difference for threshold comparison
-  const absoluteDifference = bestEngine.score - currentEnginePerformance.score;
-  
-  console.log(`📈 Performance comparison: ${bestEngine.engine} (${bestEngine.score}%) vs ${currentEngine} (${currentEnginePerformance.score}%) = ${absoluteDifference.toFixed(1)} point advantage`);
-  
-  // Generate clear performance message
-  const performanceMsg = generatePerformanceMessage(
-    bestEngine.engine, 
-    bestEngine.score, 
-    currentEngine, 
-    currentEnginePerformance.score, 
-    positiveRoutingThreshold
-  );
-  
-  // Always return information, but indicate whether routing should be applied
-  const shouldRoute = absoluteDifference >= positiveRoutingThreshold;
-  
-  if (shouldRoute) {
-    console.log(`✅ Positive routing triggered: ${categoryName} -> ${bestEngine.engine}`);
-  } else {
-    console.log(`📉 Point difference ${absoluteDifference.toFixed(1)} below ${positiveRoutingThreshold} point threshold`);
-  }
-  
-  return {
-    category: categoryName,
-    categoryDescription: categoryData.description,
-    matchScore,
-    recommendedEngine: bestEngine.engine,
-    engineScore: bestEngine.score,
-    currentEngineScore: currentEnginePerformance.score,
-    absoluteDifference: absoluteDifference.toFixed(1),
-    threshold: positiveRoutingThreshold,
-    shouldRoute: shouldRoute,
-    reasoning: shouldRoute ? 
-      `Detected ${categoryName} task (score: ${matchScore}). ${performanceMsg.explanationMessage} - routing to better engine.` :
-      `Detected ${categoryName} task (score: ${matchScore}). ${performanceMsg.explanationMessage} - staying with current engine due to threshold.`
-  };
+  console.log('✅ Semantic rule generation complete');
+  return enhancedDatabase;
 };
 
 /* ===================================================================
@@ -1276,6 +913,8 @@ const ChatInput = memo(function ChatInput({
   value,
   onChange,
   onSend,
+  onStop,
+  isGenerating,
   disabled,
   placeholder,
 }) {
@@ -1308,66 +947,394 @@ const ChatInput = memo(function ChatInput({
             rows={2}
           />
         </div>
-        <button
-          onClick={onSend}
-          disabled={!value.trim() || disabled}
-          className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-2"
-        >
-          <Send className="w-4 h-4" />
-          <span>Send</span>
-        </button>
+        {isGenerating ? (
+          <button
+            onClick={onStop}
+            className="px-6 py-3 bg-slate-700 text-white rounded-lg hover:bg-slate-800 transition-colors flex items-center space-x-2"
+            title="Stop generating"
+          >
+            <Square className="w-4 h-4 fill-white" />
+            <span>Stop</span>
+          </button>
+        ) : (
+          <button
+            onClick={onSend}
+            disabled={!value.trim() || disabled}
+            className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-2"
+          >
+            <Send className="w-4 h-4" />
+            <span>Send</span>
+          </button>
+        )}
       </div>
     </div>
   );
 });
 
-const SemanticStatusIndicator = memo(function SemanticStatusIndicator({ 
-  status, 
-  isGeneratingRuleEmbeddings 
+const CouncilResponse = memo(function CouncilResponse({
+  message,
+  getEngineInfo,
+  onPreferAnswer,
 }) {
-  const getStatusInfo = (status) => {
-    switch (status) {
-      case 'loading':
-        return {
-          color: 'text-yellow-600',
-          bgColor: 'bg-yellow-50',
-          borderColor: 'border-yellow-200',
-          icon: <Brain className="w-4 h-4 animate-pulse" />,
-          label: 'Loading Semantic Model',
-          description: 'Initializing 512-token BGE embedding model...'
-        };
-      case 'ready':
-        return {
-          color: 'text-green-600',
-          bgColor: 'bg-green-50',
-          borderColor: 'border-green-200',
-          icon: <Brain className="w-4 h-4" />,
-          label: 'Semantic Processing Active',
-          description: 'Advanced bias detection with vector similarity'
-        };
-      case 'error':
-        return {
-          color: 'text-red-600',
-          bgColor: 'bg-red-50',
-          borderColor: 'border-red-200',
-          icon: <AlertTriangle className="w-4 h-4" />,
-          label: 'Semantic Processing Unavailable',
-          description: 'Using keyword + dog whistle detection only'
-        };
-      default:
-        return {
-          color: 'text-slate-600',
-          bgColor: 'bg-slate-50',
-          borderColor: 'border-slate-200',
-          icon: <Brain className="w-4 h-4" />,
-          label: 'Starting Up',
-          description: 'Preparing semantic analysis...'
+  const columnClass =
+    message.responses.length >= 3 ? 'md:grid-cols-3' : 'md:grid-cols-2';
+
+  return (
+    <div className="w-full px-4 py-3 rounded-lg bg-slate-50 border border-slate-200">
+      <div className="flex items-center space-x-2 mb-3 text-xs text-slate-500">
+        <Users className="w-4 h-4 text-purple-600" />
+        <span className="font-medium text-slate-700">
+          Council: {message.responses.length} engines compared
+        </span>
+        {message.routingAnalysis?.routingApplied && (
+          <span className="text-blue-600">
+            • Routing picked {getEngineInfo(message.routingAnalysis.recommendedEngine).name}
+          </span>
+        )}
+        {message.stopped && (
+          <span className="text-slate-600">• Stopped</span>
+        )}
+      </div>
+
+      {message.synthesis && (
+        <div className="mb-3 rounded-lg border-2 border-blue-300 bg-white p-3">
+          <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mb-2 text-xs text-slate-500">
+            <span className="flex items-center space-x-1 text-sm font-medium text-blue-800">
+              <Target className="w-4 h-4 text-blue-600" />
+              <span>
+                {message.synthesis.engine
+                  ? `Synthesized by ${getEngineInfo(message.synthesis.engine).name}`
+                  : 'Synthesis'}
+              </span>
+            </span>
+            {message.synthesis.goalScore !== undefined && (
+              <span>{(message.synthesis.goalScore * 100).toFixed(0)}% synthesis goal match</span>
+            )}
+            {message.synthesis.sourceEngines && (
+              <span>
+                from {message.synthesis.sourceEngines.map((engineId) => getEngineInfo(engineId).name).join(', ')}
+              </span>
+            )}
+            {message.synthesis.latencyMs !== null && message.synthesis.latencyMs !== undefined && (
+              <span>⏱ {(message.synthesis.latencyMs / 1000).toFixed(1)}s</span>
+            )}
+            {message.synthesis.usage && (
+              <span>
+                🔤 {message.synthesis.usage.input_tokens ?? '?'} in / {message.synthesis.usage.output_tokens ?? '?'} out
+              </span>
+            )}
+          </div>
+
+          <div className="text-sm whitespace-pre-wrap break-words">
+            {message.synthesis.status === 'error' || message.synthesis.status === 'skipped' ? (
+              <span className={message.synthesis.status === 'error' ? 'text-red-600' : 'text-slate-500'}>
+                {message.synthesis.status === 'error' ? 'Synthesis failed: ' : 'Synthesis skipped: '}
+                {message.synthesis.error}
+              </span>
+            ) : (
+              <MarkdownMessage content={message.synthesis.content} />
+            )}
+            {message.synthesis.status === 'streaming' && (
+              <span className="inline-block w-2 h-4 bg-purple-500 animate-pulse align-middle" />
+            )}
+          </div>
+        </div>
+      )}
+
+      {message.synthesis && (
+        <div className="text-xs font-medium text-slate-600 mb-2">
+          Source answers
+        </div>
+      )}
+
+      <div className={`grid grid-cols-1 ${columnClass} gap-3`}>
+        {message.responses.map((response) => {
+          const engine = getEngineInfo(response.engine);
+          const isPreferred = message.preferredEngine === response.engine;
+
+          return (
+            <div
+              key={response.engine}
+              className={`flex flex-col rounded-lg border-2 bg-white p-3 min-w-0 ${
+                isPreferred ? 'border-purple-500' : 'border-slate-200'
+              }`}
+            >
+              <div className="mb-2">
+                <div className="flex items-center space-x-2">
+                  <div
+                    className={`w-2 h-2 rounded-full ${engine.color_class.replace('-100', '-500')}`}
+                  />
+                  <span className="text-sm font-medium text-slate-800">{engine.name}</span>
+                  {response.engine === message.routingAnalysis?.recommendedEngine && (
+                    <span className="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded-full">Routed</span>
+                  )}
+                </div>
+                <div className="text-xs text-slate-500 mt-1">{engine.bias_profile}</div>
+                <div className="flex flex-wrap gap-x-3 text-xs text-slate-500 mt-1">
+                  <span>
+                    ⏱ {response.latencyMs !== null ? `${(response.latencyMs / 1000).toFixed(1)}s` : '...'}
+                  </span>
+                  {response.usage && (
+                    <span>
+                      🔤 {response.usage.input_tokens ?? '?'} in / {response.usage.output_tokens ?? '?'} out
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex-1 text-sm whitespace-pre-wrap break-words">
+                {response.status === 'error' ? (
+                  <span className="text-red-600">Error: {response.error}</span>
+                ) : (
+                  <MarkdownMessage content={response.content} />
+                )}
+                {response.status === 'streaming' && (
+                  <span className="inline-block w-2 h-4 bg-purple-500 animate-pulse align-middle" />
+                )}
+                {response.status === 'stopped' && (
+                  <span className="block text-xs text-slate-500 mt-1">Stopped</span>
+                )}
+              </div>
+
+              {response.status === 'done' && !message.streaming && (
+                <button
+                  onClick={() => onPreferAnswer(message.id, response.engine)}
+                  disabled={isPreferred}
+                  className={`mt-3 text-xs px-2 py-1 rounded transition-colors ${
+                    isPreferred
+                      ? 'bg-purple-600 text-white cursor-default'
+                      : 'bg-purple-50 text-purple-700 hover:bg-purple-100'
+                  }`}
+                  title="Record this answer as the best of the council"
+                >
+                  {isPreferred ? '✓ Preferred answer' : 'Prefer this answer'}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+});
+
+const ConversationSidebar = memo(function ConversationSidebar({
+  conversations,
+  activeConversationId,
+  onSelect,
+  onNew,
+  onRename,
+  onTogglePin,
+  onDelete,
+  disabled,
+}) {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+
+  const filteredConversations = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    if (!query) return conversations;
+    return conversations.filter(conversation => conversation.searchText.includes(query));
+  }, [conversations, searchQuery]);
+
+  const startRename = useCallback((conversation) => {
+    setEditingId(conversation.id);
+    setEditTitle(conversation.title);
+  }, []);
+
+  const commitRename = useCallback(() => {
+    if (editingId && editTitle.trim()) {
+      onRename(editingId, editTitle);
+    }
+    setEditingId(null);
+  }, [editingId, editTitle, onRename]);
+
+  const handleDelete = useCallback((conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id);
+    }
+  }, [onDelete]);
+
+  return (
+    <aside className="w-72 flex-shrink-0 bg-white rounded-xl shadow-sm border border-slate-200 flex flex-col overflow-hidden">
+      <div className="p-3 border-b border-slate-200 space-y-2">
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className="w-full flex items-center justify-center space-x-2 px-3 py-2 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          <span>New Conversation</span>
+        </button>
+        <div className="relative">
+          <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search conversations..."
+            className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {filteredConversations.length === 0 ? (
+          <div className="text-center text-sm text-slate-500 py-6">
+            {conversations.length === 0 ? 'No saved conversations yet' : 'No conversations match your search'}
+          </div>
+        ) : (
+          filteredConversations.map((conversation) => {
+            const isActive = conversation.id === activeConversationId;
+
+            return (
+              <div
+                key={conversation.id}
+                className={`group rounded-lg border px-3 py-2 transition-colors ${
+                  isActive ? 'border-purple-300 bg-purple-50' : 'border-transparent hover:bg-slate-50'
+                }`}
+              >
+                {editingId === conversation.id ? (
+                  <input
+                    type="text"
+                    value={editTitle}
+                    autoFocus
+                    onChange={(e) => setEditTitle(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    className="w-full px-2 py-1 border border-purple-300 rounded text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                ) : (
+                  <button
+                    onClick={() => onSelect(conversation.id)}
+                    disabled={disabled}
+                    className="w-full text-left disabled:cursor-not-allowed"
+                    title={conversation.title}
+                  >
+                    <div className="flex items-center space-x-1">
+                      {conversation.pinned && <Pin className="w-3 h-3 text-purple-500 flex-shrink-0" />}
+                      <span className="text-sm font-medium text-slate-700 truncate">{conversation.title}</span>
+                    </div>
+                    <div className="text-xs text-slate-500">
+                      {conversation.messageCount} messages • {new Date(conversation.updatedAt).toLocaleDateString()}
+                    </div>
+                  </button>
+                )}
+
+                {editingId !== conversation.id && (
+                  <div className="flex items-center justify-end space-x-1 mt-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                    <button
+                      onClick={() => onTogglePin(conversation.id, !conversation.pinned)}
+                      className="p-1 rounded hover:bg-slate-200"
+                      title={conversation.pinned ? 'Unpin' : 'Pin'}
+                    >
+                      {conversation.pinned ? (
+                        <PinOff className="w-3 h-3 text-slate-500" />
+                      ) : (
+                        <Pin className="w-3 h-3 text-slate-500" />
+                      )}
+                    </button>
+                    <button
+                      onClick={() => startRename(conversation)}
+                      className="p-1 rounded hover:bg-slate-200"
+                      title="Rename"
+                    >
+                      <Pencil className="w-3 h-3 text-slate-500" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(conversation)}
+                      disabled={disabled && isActive}
+                      className="p-1 rounded hover:bg-red-100 disabled:opacity-50"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-3 h-3 text-red-500" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </aside>
+  );
+});
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const SemanticStatusIndicator = memo(function SemanticStatusIndicator({ 
+  status, 
+  isGeneratingRuleEmbeddings,
+  progress,
+  modelId
+}) {
+  const getStatusInfo = (status) => {
+    switch (status) {
+      case 'loading':
+        return {
+          color: 'text-yellow-600',
+          bgColor: 'bg-yellow-50',
+          borderColor: 'border-yellow-200',
+          icon: <Brain className="w-4 h-4 animate-pulse" />,
+          label: 'Loading Semantic Model',
+          description: `Initializing ${getEmbeddingModel(modelId).label} embedding model...`
+        };
+      case 'ready':
+        return {
+          color: 'text-green-600',
+          bgColor: 'bg-green-50',
+          borderColor: 'border-green-200',
+          icon: <Brain className="w-4 h-4" />,
+          label: 'Semantic Processing Active',
+          description: `Advanced bias detection with vector similarity (${getEmbeddingModel(modelId).label})`
+        };
+      case 'error':
+        return {
+          color: 'text-red-600',
+          bgColor: 'bg-red-50',
+          borderColor: 'border-red-200',
+          icon: <AlertTriangle className="w-4 h-4" />,
+          label: 'Semantic Processing Unavailable',
+          description: 'Using keyword + dog whistle detection only'
+        };
+      case 'missing':
+        return {
+          color: 'text-orange-600',
+          bgColor: 'bg-orange-50',
+          borderColor: 'border-orange-200',
+          icon: <AlertTriangle className="w-4 h-4" />,
+          label: 'Local Embedding Model Missing',
+          description: `No model files for ${getEmbeddingModel(modelId).modelId} under ${getEmbeddingModelSource().localModelPath} (run npm run vendor:model). Using keyword + dog whistle detection only`
+        };
+      default:
+        return {
+          color: 'text-slate-600',
+          bgColor: 'bg-slate-50',
+          borderColor: 'border-slate-200',
+          icon: <Brain className="w-4 h-4" />,
+          label: 'Starting Up',
+          description: 'Preparing semantic analysis...'
         };
     }
   };
 
   const statusInfo = getStatusInfo(status);
 
+  // Model download (bytes) while loading, then rule exemplar indexing (texts)
+  let progressText = null;
+  let progressFraction = null;
+  if (progress?.stage === 'download' && progress.total > 0) {
+    progressFraction = progress.completed / progress.total;
+    progressText = `Downloading model: ${formatMegabytes(progress.completed)} / ${formatMegabytes(progress.total)}`;
+  } else if (progress?.stage === 'indexing' && progress.total > 0) {
+    progressFraction = progress.completed / progress.total;
+    progressText = `Indexing rule exemplars: ${progress.completed}/${progress.total}`;
+  }
+
   return (
     <SemanticErrorBoundary>
       <div className={`flex items-center space-x-2 px-3 py-2 rounded-lg border ${statusInfo.bgColor} ${statusInfo.borderColor}`}>
@@ -1379,8 +1346,16 @@ const SemanticStatusIndicator = memo(function SemanticStatusIndicator({
             {statusInfo.label}
           </span>
           <span className="text-xs text-slate-500">
-            {isGeneratingRuleEmbeddings ? 'Generating rule embeddings...' : statusInfo.description}
+            {progressText || (isGeneratingRuleEmbeddings ? 'Generating rule embeddings...' : statusInfo.description)}
           </span>
+          {progressFraction !== null && (
+            <div className="mt-1 h-1 w-40 rounded-full bg-slate-200 overflow-hidden">
+              <div
+                className={`h-full ${progress.stage === 'download' ? 'bg-yellow-500' : 'bg-green-500'} transition-all`}
+                style={{ width: `${Math.round(progressFraction * 100)}%` }}
+              />
+            </div>
+          )}
         </div>
       </div>
     </SemanticErrorBoundary>
@@ -1690,6 +1665,7 @@ const RuleCard = memo(function RuleCard({ rule, getEngineInfo }) {
 
 const RulesViewer = memo(function RulesViewer({ rulesDatabase, getEngineInfo }) {
   const [filter, setFilter] = useState('all');
+  const [showLintIssues, setShowLintIssues] = useState(false);
 
   const filteredRules = rulesDatabase.routing_rules.filter(rule => {
     if (filter === 'all') return true;
@@ -1701,6 +1677,12 @@ const RulesViewer = memo(function RulesViewer({ rulesDatabase, getEngineInfo })
   const preferenceRules = rulesDatabase.routing_rules.filter(r => r.rule_type === 'preference').length;
   const goalBasedRules = rulesDatabase.routing_rules.filter(r => r.required_goals).length;
 
+  const lintIssues = useMemo(
+    () => lintRulesDatabase(rulesDatabase, { providerEngines: getProviderEngineIds() }),
+    [rulesDatabase]
+  );
+  const lintErrors = lintIssues.filter(issue => issue.level === 'error');
+
   return (
     <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
       <div className="flex items-center justify-between mb-6">
@@ -1767,6 +1749,37 @@ const RulesViewer = memo(function RulesViewer({ rulesDatabase, getEngineInfo })
         </div>
       </div>
 
+      <div className={`border rounded-lg p-4 mb-6 ${lintErrors.length > 0 ? 'bg-amber-50 border-amber-200' : 'bg-green-50 border-green-200'}`}>
+        <button
+          onClick={() => setShowLintIssues(!showLintIssues)}
+          disabled={lintIssues.length === 0}
+          className="w-full flex items-center justify-between text-left"
+        >
+          <div className="flex items-center space-x-2">
+            {lintErrors.length > 0
+              ? <AlertTriangle className="w-5 h-5 text-amber-600" />
+              : <CheckCircle className="w-5 h-5 text-green-600" />}
+            <h3 className="font-medium text-slate-800">Database Lint</h3>
+            <span className="text-sm text-slate-600">
+              {lintErrors.length} error(s), {lintIssues.length - lintErrors.length} warning(s)
+            </span>
+          </div>
+          {lintIssues.length > 0 && (showLintIssues
+            ? <ChevronDown className="w-4 h-4 text-slate-500" />
+            : <ChevronRight className="w-4 h-4 text-slate-500" />)}
+        </button>
+
+        {showLintIssues && (
+          <ul className="mt-3 space-y-1 text-xs">
+            {lintIssues.map((issue, index) => (
+              <li key={index} className={issue.level === 'error' ? 'text-red-700' : 'text-amber-700'}>
+                <span className="font-mono">[{issue.code}] {issue.path}</span>: {issue.message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       <div className="bg-gradient-to-r from-purple-50 to-blue-50 border border-purple-200 rounded-lg p-4 mb-6">
         <div className="flex items-center space-x-2 mb-2">
           <Target className="w-5 h-5 text-purple-600" />
@@ -1816,85 +1829,547 @@ const RulesViewer = memo(function RulesViewer({ rulesDatabase, getEngineInfo })
   );
 });
 
-/* ===================================================================
-   MAIN PAGE COMPONENTS
-   =================================================================== */
+const METRIC_CATEGORY_LABELS = {
+  goal_achievement_effectiveness: 'Goal Achievement',
+  routing_quality: 'Routing Quality',
+  performance_tracking: 'Performance Tracking',
+  dual_system_metrics: 'Goal-Based vs Simple Rules',
+  system_health: 'System Health'
+};
 
-const ChatPage = memo(function ChatPage(props) {
-  const {
-    messages,
-    routingAnalysis,
-    selectedEngine,
-    defaultEngine,
-    availableEngines,
-    getEngineInfo,
-    handleExampleClick,
-    isLoading,
-    inputValue,
-    setInputValue,
-    handleSendMessage,
-    setCurrentPage,
-    messagesEndRef,
-    rulesDatabase,
-    saveDefaultEngine,
-    semanticModelStatus,
-    isGeneratingRuleEmbeddings,
-    positiveRoutingEnabled,
-    onFeedback,
-    demoMode,
-    setMessages,
-    setRoutingAnalysis,
-  } = props;
+const formatMetricValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return `${(value * 100).toFixed(1)}%`;
+
+  return Object.entries(value)
+    .map(([key, entry]) => {
+      if (entry === null) return `${key}: —`;
+      if (typeof entry === 'number') {
+        return `${key}: ${Number.isInteger(entry) ? entry : `${(entry * 100).toFixed(1)}%`}`;
+      }
+      return `${key}: ${Object.entries(entry)
+        .map(([innerKey, innerValue]) => `${innerKey} ${Number.isInteger(innerValue) ? innerValue : innerValue.toFixed(2)}`)
+        .join(', ')}`;
+    })
+    .join(' · ');
+};
+
+const MetricsDashboard = memo(function MetricsDashboard({ rulesDatabase, semanticModelStatus }) {
+  const [result, setResult] = useState(null);
+  const [isComputing, setIsComputing] = useState(false);
+
+  const computeMetrics = useCallback(async () => {
+    setIsComputing(true);
+
+    try {
+      const decisions = JSON.parse(localStorage.getItem('mixtureOfVoices_routingLog') || '[]');
+      const feedback = JSON.parse(localStorage.getItem('mixtureOfVoices_feedback') || '[]');
+      const regressionReport = await runRegressionSuite(rulesDatabase, {
+        embed: semanticModelStatus === 'ready' ? getSemanticEmbedder(rulesDatabase) : null
+      });
+
+      setResult(computeMonitoringMetrics({ rulesDatabase, decisions, feedback, regressionReport }));
+    } catch (error) {
+      console.error('Metrics computation failed:', error);
+    } finally {
+      setIsComputing(false);
+    }
+  }, [rulesDatabase, semanticModelStatus]);
+
+  useEffect(() => {
+    computeMetrics();
+  }, [computeMetrics]);
+
+  const clearRoutingLog = useCallback(() => {
+    if (!window.confirm('Clear the recorded routing decisions?')) return;
+    localStorage.removeItem('mixtureOfVoices_routingLog');
+    computeMetrics();
+  }, [computeMetrics]);
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex flex-col">
-      <header className="bg-white shadow-sm border-b border-slate-200 px-6 py-4">
-        <div className="max-w-6xl mx-auto flex items-center justify-between">
-          <div
-            className="flex items-center space-x-3 cursor-pointer hover:opacity-80 transition-opacity"
-            onClick={() => {
-              setCurrentPage('chat');
-              setMessages([]);
-              setInputValue('');
-              setRoutingAnalysis(null);
-            }}
-            title="Return to main page and start new conversation"
-          >
-            <Brain className="w-8 h-8 text-purple-600" />
-            <div>
-              <h1 className="text-2xl font-bold text-slate-800">Mixture of Voices</h1>
-              <p className="text-sm text-slate-600">Goal-Based AI Routing with Bias Mitigation</p>
-            </div>
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Activity className="w-6 h-6 text-purple-600" />
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">Routing Metrics</h2>
+            <p className="text-sm text-slate-600">
+              Monitoring metrics from this browser&apos;s routing decisions, feedback and the labelled rule test cases
+            </p>
           </div>
+        </div>
 
-          <div className="flex items-center space-x-4">
-            <SemanticStatusIndicator 
-              status={semanticModelStatus}
-              isGeneratingRuleEmbeddings={isGeneratingRuleEmbeddings}
-            />
-
-            <PositiveRoutingIndicator 
-              enabled={positiveRoutingEnabled}
-              routingAnalysis={routingAnalysis}
-            />
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={clearRoutingLog}
+            disabled={isComputing}
+            className="px-3 py-2 rounded-lg text-sm text-slate-600 hover:bg-slate-100 disabled:opacity-50 transition-colors"
+          >
+            Clear Log
+          </button>
+          <button
+            onClick={computeMetrics}
+            disabled={isComputing}
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-purple-600 text-white text-sm font-medium hover:bg-purple-700 disabled:opacity-50 transition-colors"
+          >
+            <RefreshCw className={`w-4 h-4 ${isComputing ? 'animate-spin' : ''}`} />
+            <span>{isComputing ? 'Computing...' : 'Refresh'}</span>
+          </button>
+        </div>
+      </div>
 
-            {routingAnalysis && (
-              <div className="flex items-center space-x-2 bg-blue-50 px-3 py-2 rounded-lg border border-blue-200">
-                <Shield className="w-4 h-4 text-blue-600" />
-                <div className="flex flex-col">
-                  <span className="text-sm text-blue-700">
-                    Routing: {getEngineInfo(routingAnalysis.recommendedEngine).name}
-                  </span>
-                  {routingAnalysis.semanticProcessingUsed && (
-                    <span className="text-xs text-blue-600">Semantic analysis applied</span>
-                  )}
-                </div>
+      {result && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-center">
+            {[
+              ['Routing decisions', result.sampleSizes.decisions],
+              ['Goal-based decisions', result.sampleSizes.goalDecisions],
+              ['Feedback records', result.sampleSizes.feedback],
+              ['Labelled test cases', result.sampleSizes.labelledCases]
+            ].map(([label, count]) => (
+              <div key={label} className="bg-slate-50 border border-slate-200 rounded-lg p-3">
+                <p className="text-xl font-bold text-slate-800">{count}</p>
+                <p className="text-xs text-slate-600">{label}</p>
               </div>
-            )}
+            ))}
+          </div>
 
-            <div className="flex items-center space-x-2">
-              <span className="text-sm text-slate-600">Default:</span>
-              <select
+          <div className="space-y-2 mb-6">
+            <h3 className="font-medium text-slate-800">Recommended Thresholds</h3>
+            {result.thresholds.map(threshold => (
+              <div
+                key={threshold.threshold}
+                className={`flex items-center space-x-2 text-sm rounded-lg border px-3 py-2 ${
+                  threshold.status === 'alert'
+                    ? 'bg-red-50 border-red-200 text-red-800'
+                    : threshold.status === 'ok'
+                      ? 'bg-green-50 border-green-200 text-green-800'
+                      : 'bg-slate-50 border-slate-200 text-slate-600'
+                }`}
+              >
+                {threshold.status === 'alert'
+                  ? <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  : threshold.status === 'ok'
+                    ? <CheckCircle className="w-4 h-4 flex-shrink-0" />
+                    : <Activity className="w-4 h-4 flex-shrink-0" />}
+                <span>{threshold.message}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {Object.entries(result.metrics).map(([category, entries]) => (
+              <div key={category} className="border border-slate-200 rounded-lg p-4">
+                <h3 className="font-medium text-slate-800 mb-3">{METRIC_CATEGORY_LABELS[category] || category}</h3>
+                <div className="space-y-3">
+                  {Object.entries(entries).map(([name, entry]) => (
+                    <div key={name}>
+                      <div className="flex items-start justify-between text-sm">
+                        <span className="font-mono text-slate-700 mr-2">{name}</span>
+                        <span className="font-medium text-slate-900 text-right">{formatMetricValue(entry.value)}</span>
+                      </div>
+                      <p className="text-xs text-slate-500">
+                        {entry.description}
+                        {entry.value !== null && ` (n=${entry.sampleSize})`}
+                        {entry.note && ` — ${entry.note}`}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+const RuleRegressionPanel = memo(function RuleRegressionPanel({ rulesDatabase, semanticModelStatus }) {
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [includePositiveRouting, setIncludePositiveRouting] = useState(false);
+  const [showPassing, setShowPassing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const semanticReady = semanticModelStatus === 'ready';
+
+  const runSuite = useCallback(async () => {
+    setError(null);
+    setReport(null);
+    setProgress({ completed: 0, total: 0 });
+
+    try {
+      const result = await runRegressionSuite(rulesDatabase, {
+        embed: semanticReady ? getSemanticEmbedder(rulesDatabase) : null,
+        positiveRoutingEnabled: includePositiveRouting,
+        onProgress: (completed, total) => setProgress({ completed, total })
+      });
+      setReport(result);
+    } catch (err) {
+      console.error('Rule regression run failed:', err);
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  }, [rulesDatabase, semanticReady, includePositiveRouting]);
+
+  const shownResults = report
+    ? report.results.filter(result => showPassing || !result.passed)
+    : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <FlaskConical className="w-6 h-6 text-purple-600" />
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">Rule Regression Tests</h2>
+            <p className="text-sm text-slate-600">
+              Runs the database&apos;s test cases and rule examples through the router
+              {semanticReady ? ' (keyword + semantic matching)' : ' (keyword matching only - semantic model not ready)'}
+            </p>
+          </div>
+        </div>
+
+        <button
+          onClick={runSuite}
+          disabled={progress !== null}
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-purple-600 text-white text-sm font-medium hover:bg-purple-700 disabled:opacity-50 transition-colors"
+        >
+          {progress !== null ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+          <span>
+            {progress !== null
+              ? `Running ${progress.completed}/${progress.total || '…'}`
+              : 'Run Tests'}
+          </span>
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-6 mb-4 text-sm text-slate-700">
+        <label className="flex items-center space-x-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={includePositiveRouting}
+            onChange={(e) => setIncludePositiveRouting(e.target.checked)}
+          />
+          <span>Include performance routing</span>
+        </label>
+        <label className="flex items-center space-x-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showPassing}
+            onChange={(e) => setShowPassing(e.target.checked)}
+          />
+          <span>Show passing cases</span>
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div className={`rounded-lg border p-4 mb-4 ${
+            report.summary.failed === 0 ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+          }`}>
+            <p className={`font-medium ${report.summary.failed === 0 ? 'text-green-800' : 'text-red-800'}`}>
+              {report.summary.passed}/{report.summary.total} cases passed
+              {report.summary.failed > 0 && ` (${report.summary.failed} failed)`}
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1 mt-3 text-xs">
+              {Object.entries(report.summary.groups).map(([group, counts]) => (
+                <div key={group} className="flex items-center justify-between">
+                  <span className="font-mono text-slate-700 truncate mr-2">{group}</span>
+                  <span className={counts.passed === counts.total ? 'text-green-700' : 'text-red-700'}>
+                    {counts.passed}/{counts.total}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {shownResults.length === 0 ? (
+              <p className="text-sm text-slate-500 text-center py-4">No failing cases.</p>
+            ) : (
+              shownResults.map(result => (
+                <div
+                  key={result.id}
+                  className={`border rounded-lg p-3 text-sm ${result.passed ? 'border-green-200' : 'border-red-200'}`}
+                >
+                  <div className="flex items-start space-x-2">
+                    {result.passed
+                      ? <CheckCircle className="w-4 h-4 text-green-600 mt-0.5 flex-shrink-0" />
+                      : <XCircle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />}
+                    <div className="min-w-0">
+                      <p className="font-mono text-xs text-slate-500">{result.id}</p>
+                      {result.input && <p className="text-slate-800">&ldquo;{result.input}&rdquo;</p>}
+                      {result.failures.map(failure => (
+                        <p key={failure} className="text-xs text-red-700">• {failure}</p>
+                      ))}
+                      {result.engine && (
+                        <p className="text-xs text-slate-500 mt-1">
+                          Routed {result.defaultEngine ? `${result.defaultEngine} → ` : ''}{result.engine}
+                          {' · '}Matched: {result.matchedRules.join(', ') || 'none'}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+const RedTeamPanel = memo(function RedTeamPanel({ rulesDatabase, semanticModelStatus }) {
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [includeAllRules, setIncludeAllRules] = useState(false);
+  const [error, setError] = useState(null);
+
+  const semanticReady = semanticModelStatus === 'ready';
+
+  const runSuite = useCallback(async () => {
+    setError(null);
+    setReport(null);
+    setProgress({ completed: 0, total: 0 });
+
+    try {
+      const result = await runRedTeamSuite(rulesDatabase, {
+        embed: semanticReady ? getSemanticEmbedder(rulesDatabase) : null,
+        maxPriority: includeAllRules ? Infinity : 2,
+        onProgress: (completed, total) => setProgress({ completed, total })
+      });
+      setReport(result);
+    } catch (err) {
+      console.error('Red-team run failed:', err);
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  }, [rulesDatabase, semanticReady, includeAllRules]);
+
+  const rateClass = (rate) => (rate >= 0.5 ? 'text-red-700' : rate >= 0.2 ? 'text-amber-700' : 'text-green-700');
+
+  const evadingVariants = report
+    ? report.results.flatMap(result => result.variants.filter(variant => variant.evaded).map(variant => ({ ruleId: result.ruleId, ...variant })))
+    : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6 mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Shield className="w-6 h-6 text-red-600" />
+          <div>
+            <h2 className="text-xl font-bold text-slate-800">Red Team</h2>
+            <p className="text-sm text-slate-600">
+              Perturbs rule examples with typos, synonyms, homoglyphs, spacing tricks and reordering
+              {semanticReady ? ' (keyword + semantic matching)' : ' (keyword matching only - semantic model not ready)'}
+            </p>
+          </div>
+        </div>
+
+        <button
+          onClick={runSuite}
+          disabled={progress !== null}
+          className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-red-600 text-white text-sm font-medium hover:bg-red-700 disabled:opacity-50 transition-colors"
+        >
+          {progress !== null ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+          <span>
+            {progress !== null
+              ? `Running ${progress.completed}/${progress.total || '…'}`
+              : 'Run Red Team'}
+          </span>
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-6 mb-4 text-sm text-slate-700">
+        <label className="flex items-center space-x-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={includeAllRules}
+            onChange={(e) => setIncludeAllRules(e.target.checked)}
+          />
+          <span>Include non-safety rules</span>
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div className="rounded-lg border border-slate-200 bg-slate-50 p-4 mb-4">
+            <p className={`font-medium ${rateClass(report.summary.evasionRate)}`}>
+              {report.summary.evaded}/{report.summary.variants} variants evaded their rule
+              ({(report.summary.evasionRate * 100).toFixed(0)}%)
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-3 text-xs">
+              {[
+                ['By rule', report.summary.byRule],
+                ['By detection method', report.summary.byMethod],
+                ['By strategy', report.summary.byStrategy]
+              ].map(([title, rates]) => (
+                <div key={title}>
+                  <div className="font-medium text-slate-600 mb-1">{title}</div>
+                  {Object.entries(rates).map(([key, counts]) => (
+                    <div key={key} className="flex items-center justify-between">
+                      <span className="font-mono text-slate-700 truncate mr-2">{key}</span>
+                      <span className={rateClass(counts.evasionRate)}>
+                        {(counts.evasionRate * 100).toFixed(0)}% ({counts.evaded}/{counts.variants})
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+            {report.summary.baselineMisses > 0 && (
+              <p className="text-xs text-slate-500 mt-3">
+                {report.summary.baselineMisses} example(s) did not trigger their rule unperturbed and were skipped.
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {evadingVariants.length === 0 ? (
+              <p className="text-sm text-slate-500 text-center py-4">No variant evaded its rule.</p>
+            ) : (
+              evadingVariants.map((variant, index) => (
+                <div key={index} className="border border-red-200 rounded-lg p-3 text-sm">
+                  <p className="font-mono text-xs text-slate-500">{variant.ruleId} · {variant.strategy}</p>
+                  <p className="text-slate-800">&ldquo;{variant.text}&rdquo;</p>
+                  <p className="text-xs text-slate-500 mt-1">{variant.technique}</p>
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+/* ===================================================================
+   MAIN PAGE COMPONENTS
+   =================================================================== */
+
+const ChatPage = memo(function ChatPage(props) {
+  const {
+    messages,
+    routingAnalysis,
+    selectedEngine,
+    defaultEngine,
+    availableEngines,
+    getEngineInfo,
+    handleExampleClick,
+    isLoading,
+    inputValue,
+    setInputValue,
+    handleSendMessage,
+    handleStopGeneration,
+    setCurrentPage,
+    messagesEndRef,
+    rulesDatabase,
+    saveDefaultEngine,
+    semanticModelStatus,
+    isGeneratingRuleEmbeddings,
+    semanticProgress,
+    embeddingModel,
+    positiveRoutingEnabled,
+    onFeedback,
+    demoMode,
+    conversations,
+    activeConversationId,
+    onNewConversation,
+    onSelectConversation,
+    onRenameConversation,
+    onTogglePinConversation,
+    onDeleteConversation,
+    councilMode,
+    saveCouncilMode,
+    onPreferCouncilAnswer,
+  } = props;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 flex flex-col">
+      <header className="bg-white shadow-sm border-b border-slate-200 px-6 py-4">
+        <div className="max-w-6xl mx-auto flex items-center justify-between">
+          <div
+            className="flex items-center space-x-3 cursor-pointer hover:opacity-80 transition-opacity"
+            onClick={() => {
+              setCurrentPage('chat');
+              onNewConversation();
+            }}
+            title="Return to main page and start new conversation"
+          >
+            <Brain className="w-8 h-8 text-purple-600" />
+            <div>
+              <h1 className="text-2xl font-bold text-slate-800">Mixture of Voices</h1>
+              <p className="text-sm text-slate-600">Goal-Based AI Routing with Bias Mitigation</p>
+            </div>
+          </div>
+
+          <div className="flex items-center space-x-4">
+            <SemanticStatusIndicator 
+              status={semanticModelStatus}
+              isGeneratingRuleEmbeddings={isGeneratingRuleEmbeddings}
+              progress={semanticProgress}
+              modelId={embeddingModel}
+            />
+
+            <PositiveRoutingIndicator 
+              enabled={positiveRoutingEnabled}
+              routingAnalysis={routingAnalysis}
+            />
+
+            {routingAnalysis && (
+              <div className="flex items-center space-x-2 bg-blue-50 px-3 py-2 rounded-lg border border-blue-200">
+                <Shield className="w-4 h-4 text-blue-600" />
+                <div className="flex flex-col">
+                  <span className="text-sm text-blue-700">
+                    Routing: {getEngineInfo(routingAnalysis.recommendedEngine).name}
+                  </span>
+                  {routingAnalysis.semanticProcessingUsed && (
+                    <span className="text-xs text-blue-600">
+                      Semantic analysis applied
+                      {routingAnalysis.semanticChunks?.count > 1 && ` (${routingAnalysis.semanticChunks.count} chunks)`}
+                      {routingAnalysis.semanticChunks?.truncated && `, ${(routingAnalysis.semanticChunks.coverage * 100).toFixed(0)}% of prompt checked`}
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={() => saveCouncilMode(!councilMode)}
+              disabled={availableEngines.length < 2}
+              className={`flex items-center space-x-2 px-3 py-2 rounded-lg border text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                councilMode
+                  ? 'bg-purple-600 border-purple-600 text-white'
+                  : 'bg-white border-slate-300 text-slate-600 hover:border-slate-400'
+              }`}
+              title={availableEngines.length < 2
+                ? 'Council mode needs at least two configured engines'
+                : 'Ask several engines at once and compare their answers'}
+            >
+              <Users className="w-4 h-4" />
+              <span>Council</span>
+            </button>
+
+            <div className="flex items-center space-x-2">
+              <span className="text-sm text-slate-600">Default:</span>
+              <select
                 value={defaultEngine}
                 onChange={(e) => saveDefaultEngine(e.target.value)}
                 className="px-3 py-1 text-sm border border-slate-300 rounded-lg bg-white hover:border-slate-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
@@ -2000,8 +2475,19 @@ const ChatPage = memo(function ChatPage(props) {
         </div>
       </div>
 
-      <div className="flex-1 max-w-4xl mx-auto w-full px-6 py-6">
-        <div className="bg-white rounded-xl shadow-sm border border-slate-200 h-full flex flex-col">
+      <div className="flex-1 max-w-7xl mx-auto w-full px-6 py-6 flex space-x-6">
+        <ConversationSidebar
+          conversations={conversations}
+          activeConversationId={activeConversationId}
+          onSelect={onSelectConversation}
+          onNew={onNewConversation}
+          onRename={onRenameConversation}
+          onTogglePin={onTogglePinConversation}
+          onDelete={onDeleteConversation}
+          disabled={isLoading}
+        />
+
+        <div className="flex-1 min-w-0 bg-white rounded-xl shadow-sm border border-slate-200 flex flex-col">
           <div className="flex-1 overflow-y-auto p-6 space-y-4">
             {messages.length === 0 ? (
               <div className="text-center py-8">
@@ -2141,7 +2627,16 @@ const ChatPage = memo(function ChatPage(props) {
                 )}
               </div>
             ) : (
-              messages.map((message) => (
+              messages
+                .filter((message) => !(message.type === 'ai' && message.streaming && !message.content))
+                .map((message) => message.type === 'council' ? (
+                <CouncilResponse
+                  key={message.id}
+                  message={message}
+                  getEngineInfo={getEngineInfo}
+                  onPreferAnswer={onPreferCouncilAnswer}
+                />
+              ) : (
                 <div
                   key={message.id}
                   className={`flex ${
@@ -2174,6 +2669,15 @@ const ChatPage = memo(function ChatPage(props) {
                         {message.routingAnalysis?.goalBasedRouting && (
                           <span className="text-blue-600">• Goal-Based</span>
                         )}
+                        {message.routingAnalysis?.failover && message.routingAnalysis.failover.chain.length > 1 && (
+                          <span className="text-amber-600">• Failover</span>
+                        )}
+                        {message.stopped && (
+                          <span className="text-slate-600">• Stopped</span>
+                        )}
+                        {message.interrupted && (
+                          <span className="text-amber-600">• Interrupted</span>
+                        )}
                       </div>
                     )}
 
@@ -2183,6 +2687,9 @@ const ChatPage = memo(function ChatPage(props) {
                       ) : (
                         message.content
                       )}
+                      {message.streaming && (
+                        <span className="inline-block w-2 h-4 bg-purple-500 animate-pulse align-middle" />
+                      )}
                     </div>
 
                     {message.routingAnalysis && message.type === 'ai' && (
@@ -2243,6 +2750,18 @@ const ChatPage = memo(function ChatPage(props) {
                           </div>
                         </div>
 
+                        {/* Obfuscation undone before rule matching */}
+                        {message.routingAnalysis.preprocessedQuery?.obfuscated && (
+                          <div className="mb-3 p-3 bg-orange-50 rounded border border-orange-200">
+                            <div className="text-xs font-medium text-orange-800 mb-2">
+                              Obfuscation detected: {message.routingAnalysis.preprocessedQuery.transformations.map(name => name.replace(/_/g, ' ')).join(', ')}
+                            </div>
+                            <div className="text-xs text-orange-800 leading-relaxed">
+                              <strong>Matched as:</strong> {message.routingAnalysis.preprocessedQuery.normalized}
+                            </div>
+                          </div>
+                        )}
+
                         {/* Transparency notes */}
                         {message.routingAnalysis.transparencyNotes && message.routingAnalysis.transparencyNotes.length > 0 && (
                           <div className="mb-3 p-3 bg-blue-50 rounded border border-blue-200">
@@ -2257,6 +2776,27 @@ const ChatPage = memo(function ChatPage(props) {
                           </div>
                         )}
 
+                        {/* Retry and failover chain */}
+                        {message.routingAnalysis.failover && (
+                          <div className="mb-3 p-3 bg-amber-50 rounded border border-amber-200">
+                            <div className="text-xs font-medium text-amber-800 mb-2">
+                              {message.routingAnalysis.failover.chain.length > 1
+                                ? `Failover: ${getEngineInfo(message.routingAnalysis.failover.originalEngine).name} was unavailable, answered by ${getEngineInfo(message.routingAnalysis.failover.finalEngine).name}`
+                                : 'Recovered after retrying a temporary provider error'}
+                            </div>
+                            <div className="space-y-1">
+                              {message.routingAnalysis.failover.chain.map((step, index) => (
+                                <div key={index} className="text-xs text-amber-800 leading-relaxed">
+                                  {index + 1}. <strong>{getEngineInfo(step.engine).name}</strong>
+                                  {' '}— {step.outcome === 'succeeded' ? 'answered' : `failed${step.status ? ` (HTTP ${step.status})` : ''}: ${step.error}`}
+                                  {step.attempts > 1 && ` after ${step.attempts} attempts`}
+                                  {step.nextReason && <span className="text-amber-700"> → next: {step.nextReason}</span>}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+
                         {/* Detection methods summary */}
                         {message.routingAnalysis.detectionMethods && message.routingAnalysis.detectionMethods.length > 0 && (
                           <div className="mb-3">
@@ -2289,10 +2829,11 @@ const ChatPage = memo(function ChatPage(props) {
                         )}
 
                         {/* Technical details (collapsible) */}
-                        {(message.routingAnalysis.matchedRules && message.routingAnalysis.matchedRules.length > 0) && (
+                        {(message.routingAnalysis.matchedRules?.length > 0 || message.routingAnalysis.suppressedRules?.length > 0) && (
                           <details className="mt-3" open>
                             <summary className="text-xs text-slate-500 cursor-pointer hover:text-slate-700 select-none">
-                              Technical Details ({message.routingAnalysis.matchedRules.length} rules triggered)
+                              Technical Details ({message.routingAnalysis.matchedRules.length} rules triggered
+                              {message.routingAnalysis.suppressedRules?.length > 0 && `, ${message.routingAnalysis.suppressedRules.length} suppressed by context`})
                             </summary>
                             <div className="mt-2 space-y-2">
                               {message.routingAnalysis.matchedRules.map((rule, index) => (
@@ -2302,14 +2843,34 @@ const ChatPage = memo(function ChatPage(props) {
                                     <strong>Matched:</strong> {rule.matches.slice(0, 3).join(', ')}
                                     {rule.matches.length > 3 && ` +${rule.matches.length - 3} more`}
                                   </div>
+                                  {rule.suppressed_matches?.length > 0 && (
+                                    <div className="text-slate-500 mb-1">
+                                      <strong>Suppressed:</strong> {rule.suppressed_matches.join('; ')}
+                                    </div>
+                                  )}
                                   <div className="flex items-center justify-between text-slate-500">
                                     <span>Priority {rule.priority} • {rule.rule_type}</span>
                                     {rule.semantic_score > 0 && (
                                       <span className="text-purple-600">
                                         {(rule.semantic_score * 100).toFixed(0)}% semantic match
+                                        {rule.semantic_chunk && ` in chunk ${rule.semantic_chunk.index + 1}/${rule.semantic_chunk.count}`}
                                       </span>
                                     )}
                                   </div>
+                                  {rule.semantic_chunk && (
+                                    <div className="mt-1 text-slate-500 italic" title={rule.semantic_chunk.text}>
+                                      Triggering passage (characters {rule.semantic_chunk.start}-{rule.semantic_chunk.end}): &ldquo;{rule.semantic_chunk.text.slice(0, 160)}{rule.semantic_chunk.text.length > 160 ? '...' : ''}&rdquo;
+                                    </div>
+                                  )}
+                                </div>
+                              ))}
+                              {message.routingAnalysis.suppressedRules?.map((rule) => (
+                                <div key={rule.id} className="p-2 bg-slate-50 rounded border border-dashed border-slate-300 text-xs">
+                                  <div className="font-medium text-slate-500 mb-1">{rule.description}</div>
+                                  <div className="text-slate-500 mb-1">
+                                    <strong>Not triggered:</strong> {rule.suppressed_matches.join('; ')}
+                                  </div>
+                                  <div className="text-slate-400">Priority {rule.priority} • suppressed by trigger context</div>
                                 </div>
                               ))}
                             </div>
@@ -2317,7 +2878,7 @@ const ChatPage = memo(function ChatPage(props) {
                         )}
 
                         {/* Feedback */}
-                        {message.routingAnalysis.routingApplied && (
+                        {message.routingAnalysis.routingApplied && !message.streaming && (
                           <div className="mt-3 pt-3 border-t border-slate-200">
                             <FeedbackButtons message={message} onFeedback={onFeedback} />
                           </div>
@@ -2329,7 +2890,7 @@ const ChatPage = memo(function ChatPage(props) {
               ))
             )}
 
-            {isLoading && (
+            {isLoading && !messages.some((message) => message.streaming && (message.content || message.type === 'council')) && (
               <div className="flex justify-start">
                 <div className="bg-slate-50 border border-slate-200 rounded-lg px-4 py-3 max-w-xs">
                   <div className="flex items-center space-x-2">
@@ -2350,6 +2911,8 @@ const ChatPage = memo(function ChatPage(props) {
             value={inputValue}
             onChange={setInputValue}
             onSend={handleSendMessage}
+            onStop={handleStopGeneration}
+            isGenerating={isLoading}
             disabled={isLoading || availableEngines.length === 0}
             placeholder={
               availableEngines.length === 0
@@ -2367,6 +2930,11 @@ const SettingsPage = memo(function SettingsPage({
   setCurrentPage,
   apiKeys,
   saveApiKeys,
+  keyStatus,
+  accessToken,
+  saveAccessToken,
+  byokMode,
+  saveByokMode,
   availableEngines,
   defaultEngine,
   saveDefaultEngine,
@@ -2380,8 +2948,19 @@ const SettingsPage = memo(function SettingsPage({
   rulesDatabase,
   demoMode,
   saveDemoMode,
+  councilMode,
+  saveCouncilMode,
+  councilSize,
+  saveCouncilSize,
+  synthesisEnabled,
+  saveSynthesisEnabled,
+  semanticModelStatus,
+  embeddingModel,
+  saveEmbeddingModel,
 }) {
   const [showKeys, setShowKeys] = useState(false);
+  const maxCouncilSize = Math.max(2, availableEngines.length);
+  const selectedEmbeddingModel = getEmbeddingModel(embeddingModel);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
@@ -2422,67 +3001,134 @@ const SettingsPage = memo(function SettingsPage({
                 <div>
                   <h2 className="text-xl font-bold text-slate-800">API Keys Configuration</h2>
                   <p className="text-sm text-slate-600">
-                    Add your AI service API keys to enable different engines
+                    Provider keys are held on the server; this browser only sees which engines are configured
                   </p>
                 </div>
               </div>
-              <button
-                onClick={() => setShowKeys(s => !s)}
-                className="flex items-center space-x-2 px-4 py-2 text-sm text-purple-600 hover:text-purple-700 bg-purple-50 hover:bg-purple-100 rounded-lg transition-colors"
-              >
-                {showKeys ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-                <span>{showKeys ? 'Hide' : 'Show'} Keys</span>
-              </button>
+              {byokMode && (
+                <button
+                  onClick={() => setShowKeys(s => !s)}
+                  className="flex items-center space-x-2 px-4 py-2 text-sm text-purple-600 hover:text-purple-700 bg-purple-50 hover:bg-purple-100 rounded-lg transition-colors"
+                >
+                  {showKeys ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                  <span>{showKeys ? 'Hide' : 'Show'} Keys</span>
+                </button>
+              )}
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              {Object.entries(apiKeys).map(([key, value]) => {
-                const engineName =
-                  key === 'xai' ? 'X.AI (Grok)' : key === 'groq' ? 'Groq (Llama)' : key;
-                const hasKey = value && value.trim().length > 0;
-
-                return (
-                  <div key={key} className="space-y-2">
-                    <label className="flex items-center justify-between text-sm font-medium text-slate-700 capitalize">
-                      <span>{engineName} API Key</span>
-                      {hasKey && (
-                        <span className="text-xs text-green-600 bg-green-50 px-2 py-1 rounded-full">
-                          ✓ Configured
-                        </span>
-                      )}
-                    </label>
-                    <input
-                      type={showKeys ? 'text' : 'password'}
-                      value={value}
-                      onChange={(e) => saveApiKeys({ ...apiKeys, [key]: e.target.value })}
-                      placeholder={`Enter ${engineName} API key`}
-                      className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                    />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+              {keyStatus === null ? (
+                <div className="text-sm text-slate-500">Checking server key status...</div>
+              ) : (
+                Object.entries(keyStatus.providers).map(([providerId, provider]) => (
+                  <div key={providerId} className="flex items-center justify-between p-3 bg-slate-50 rounded-lg border border-slate-200">
+                    <div>
+                      <div className="text-sm font-medium text-slate-700">{provider.name}</div>
+                      <div className="text-xs text-slate-500">
+                        {provider.engines.map(engineId => getEngineInfo(engineId).name).join(', ')}
+                      </div>
+                    </div>
+                    {provider.configured ? (
+                      <span className="text-xs text-green-600 bg-green-50 px-2 py-1 rounded-full">
+                        ✓ Server key ({provider.source === 'vault' ? 'key vault' : 'environment'})
+                      </span>
+                    ) : (
+                      <span className="text-xs text-slate-500 bg-slate-100 px-2 py-1 rounded-full">
+                        Not configured
+                      </span>
+                    )}
                   </div>
-                );
-              })}
+                ))
+              )}
             </div>
 
-            <div className="mt-4 p-3 rounded-lg border">
-              {demoMode ? (
-                Object.values(apiKeys).some(key => key && key.trim().length > 0) ? (
-                  <div className="bg-yellow-50 border-yellow-200">
-                    <div className="flex items-center space-x-2">
-                      <Zap className="w-4 h-4 text-yellow-600" />
-                      <span className="text-sm font-medium text-yellow-800">Switching to Live Mode...</span>
-                    </div>
-                    <p className="text-sm text-yellow-700 mt-1">
-                      API keys detected! Automatically switching from demo to live mode.
-                    </p>
-                  </div>
-                ) : (
-                  <div className="bg-slate-50 border-slate-200">
+            {keyStatus?.accessTokenRequired && (
+              <div className="space-y-2 mb-6">
+                <label className="block text-sm font-medium text-slate-700">Server Access Token</label>
+                <input
+                  type={showKeys ? 'text' : 'password'}
+                  value={accessToken}
+                  onChange={(e) => saveAccessToken(e.target.value)}
+                  placeholder="Enter the APP_ACCESS_TOKEN configured on the server"
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+                <p className="text-xs text-slate-500">
+                  Required to use the server-held keys above. Not needed for your own keys.
+                </p>
+              </div>
+            )}
+
+            {keyStatus?.byokAllowed !== false && (
+              <div className="flex items-center justify-between p-4 bg-purple-50 rounded-lg border border-purple-200">
+                <div>
+                  <h3 className="font-medium text-purple-800">Bring Your Own Key</h3>
+                  <p className="text-sm text-purple-700">
+                    Store your own API keys in this browser and send them with each request
+                  </p>
+                </div>
+                <button
+                  onClick={() => saveByokMode(!byokMode)}
+                  className="flex items-center space-x-2"
+                >
+                  {byokMode ? (
+                    <ToggleRight className="w-8 h-8 text-purple-600" />
+                  ) : (
+                    <ToggleLeft className="w-8 h-8 text-slate-400" />
+                  )}
+                </button>
+              </div>
+            )}
+
+            {byokMode && keyStatus?.byokAllowed !== false && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
+                {Object.entries(apiKeys).map(([key, value]) => {
+                  const engineName =
+                    key === 'xai' ? 'X.AI (Grok)' : key === 'groq' ? 'Groq (Llama)' : key;
+                  const hasKey = value && value.trim().length > 0;
+
+                  return (
+                    <div key={key} className="space-y-2">
+                      <label className="flex items-center justify-between text-sm font-medium text-slate-700 capitalize">
+                        <span>{engineName} API Key</span>
+                        {hasKey && (
+                          <span className="text-xs text-green-600 bg-green-50 px-2 py-1 rounded-full">
+                            ✓ Configured
+                          </span>
+                        )}
+                      </label>
+                      <input
+                        type={showKeys ? 'text' : 'password'}
+                        value={value}
+                        onChange={(e) => saveApiKeys({ ...apiKeys, [key]: e.target.value })}
+                        placeholder={`Enter ${engineName} API key`}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            <div className="mt-4 p-3 rounded-lg border">
+              {demoMode ? (
+                availableEngines.length > 0 ? (
+                  <div className="bg-yellow-50 border-yellow-200">
+                    <div className="flex items-center space-x-2">
+                      <Zap className="w-4 h-4 text-yellow-600" />
+                      <span className="text-sm font-medium text-yellow-800">Switching to Live Mode...</span>
+                    </div>
+                    <p className="text-sm text-yellow-700 mt-1">
+                      Configured engines detected! Automatically switching from demo to live mode.
+                    </p>
+                  </div>
+                ) : (
+                  <div className="bg-slate-50 border-slate-200">
                     <div className="flex items-center space-x-2">
                       <MessageSquare className="w-4 h-4 text-slate-600" />
                       <span className="text-sm font-medium text-slate-800">Demo Mode Active</span>
                     </div>
                     <p className="text-sm text-slate-700 mt-1">
-                      Using simulated responses. Add any API key above to automatically switch to live mode.
+                      Using simulated responses. Configure a server key or add your own key to automatically switch to live mode.
                     </p>
                   </div>
                 )
@@ -2493,7 +3139,7 @@ const SettingsPage = memo(function SettingsPage({
                     <span className="text-sm font-medium text-green-800">Live Mode Active</span>
                   </div>
                   <p className="text-sm text-green-700 mt-1">
-                    Making real API calls to AI services. Remove all API keys to return to demo mode.
+                    Making real API calls to AI services through {availableEngines.length} configured engine{availableEngines.length === 1 ? '' : 's'}.
                   </p>
                 </div>
               )}
@@ -2672,6 +3318,126 @@ const SettingsPage = memo(function SettingsPage({
             </div>
           </div>
 
+          <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+            <div className="flex items-center space-x-3 mb-6">
+              <Brain className="w-6 h-6 text-purple-600" />
+              <div>
+                <h2 className="text-xl font-bold text-slate-800">Semantic Embedding Model</h2>
+                <p className="text-sm text-slate-600">
+                  Model used to compare prompts with rule examples (multilingual models catch non-English prompts)
+                </p>
+              </div>
+            </div>
+
+            <div className="max-w-md">
+              <label className="block text-sm font-medium text-slate-700 mb-2">
+                Select Embedding Model
+              </label>
+              <select
+                value={embeddingModel || DEFAULT_EMBEDDING_MODEL}
+                onChange={(e) => saveEmbeddingModel(e.target.value)}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              >
+                {Object.values(EMBEDDING_MODELS).map((model) => (
+                  <option key={model.id} value={model.id}>
+                    {model.label} - {model.languages}
+                  </option>
+                ))}
+              </select>
+              <div className="text-xs text-slate-500 mt-2 space-y-1">
+                <p>
+                  {selectedEmbeddingModel.modelId} · {selectedEmbeddingModel.dimensions} dimensions · {selectedEmbeddingModel.pooling} pooling · up to {selectedEmbeddingModel.maxTokens} tokens
+                </p>
+                <p>
+                  Semantic thresholds: {selectedEmbeddingModel.thresholds.safety} for safety rules, {selectedEmbeddingModel.thresholds.default} otherwise
+                  {selectedEmbeddingModel.calibrated ? ' (rule-level thresholds apply)' : ' (override per rule with semantic_thresholds)'}
+                </p>
+                <p>
+                  Switching models downloads the new model and re-indexes every rule; embeddings are cached per model.
+                  {semanticModelStatus === 'loading' ? ' Re-indexing now...' : ''}
+                </p>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+            <div className="flex items-center space-x-3 mb-6">
+              <Users className="w-6 h-6 text-purple-600" />
+              <div>
+                <h2 className="text-xl font-bold text-slate-800">Council Mode</h2>
+                <p className="text-sm text-slate-600">
+                  Ask several engines at once and compare their answers side by side
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between p-4 bg-purple-50 rounded-lg border border-purple-200">
+              <div>
+                <h3 className="font-medium text-purple-800">Compare Answers</h3>
+                <p className="text-sm text-purple-700">
+                  The routed engine answers alongside the next best engines; engines excluded by safety rules never join
+                </p>
+              </div>
+              <button
+                onClick={() => saveCouncilMode(!councilMode)}
+                className="flex items-center space-x-2"
+              >
+                {councilMode ? (
+                  <ToggleRight className="w-8 h-8 text-purple-600" />
+                ) : (
+                  <ToggleLeft className="w-8 h-8 text-slate-400" />
+                )}
+              </button>
+            </div>
+
+            {councilMode && (
+              <div className="mt-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-purple-700">
+                    Ask up to {Math.min(councilSize, maxCouncilSize)} engines per prompt
+                  </span>
+                  <span className="text-xs text-purple-600 bg-purple-100 px-2 py-1 rounded">
+                    {Math.min(councilSize, maxCouncilSize)} engines
+                  </span>
+                </div>
+                <input
+                  type="range"
+                  min="2"
+                  max={maxCouncilSize}
+                  step="1"
+                  value={Math.min(councilSize, maxCouncilSize)}
+                  onChange={(e) => saveCouncilSize(parseInt(e.target.value))}
+                  className="w-full h-2 bg-purple-200 rounded-lg appearance-none cursor-pointer"
+                />
+                {availableEngines.length < 2 && (
+                  <p className="text-xs text-amber-700">
+                    Council mode needs at least two configured engines; prompts go to a single engine until then.
+                  </p>
+                )}
+
+                <div className="flex items-center justify-between p-4 bg-blue-50 rounded-lg border border-blue-200">
+                  <div>
+                    <h3 className="font-medium text-blue-800">Synthesize a Combined Answer</h3>
+                    <p className="text-sm text-blue-700">
+                      An aggregator engine, chosen for balanced perspectives and evidence-based responses,
+                      merges the answers and shows where the engines agree and disagree
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => saveSynthesisEnabled(!synthesisEnabled)}
+                    className="flex items-center space-x-2"
+                  >
+                    {synthesisEnabled ? (
+                      <ToggleRight className="w-8 h-8 text-blue-600" />
+                    ) : (
+                      <ToggleLeft className="w-8 h-8 text-slate-400" />
+                    )}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
           <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
             <div className="flex items-center space-x-3 mb-6">
               <BookOpen className="w-6 h-6 text-blue-600" />
@@ -2761,6 +3527,21 @@ const SettingsPage = memo(function SettingsPage({
             rulesDatabase={rulesDatabase}
             getEngineInfo={getEngineInfo}
           />
+
+          <MetricsDashboard
+            rulesDatabase={rulesDatabase}
+            semanticModelStatus={semanticModelStatus}
+          />
+
+          <RuleRegressionPanel
+            rulesDatabase={rulesDatabase}
+            semanticModelStatus={semanticModelStatus}
+          />
+
+          <RedTeamPanel
+            rulesDatabase={rulesDatabase}
+            semanticModelStatus={semanticModelStatus}
+          />
         </div>
       </div>
     </div>
@@ -2776,6 +3557,11 @@ const MixtureOfVoicesChat = () => {
   const [currentPage, setCurrentPage] = useState('chat');
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
+
+  // Saved conversations (IndexedDB); the active one is saved as it changes
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(() => createConversationId());
+  const skipNextSaveRef = useRef(false);
   const [isLoading, setIsLoading] = useState(false);
 
   // Engine and routing state
@@ -2785,6 +3571,9 @@ const MixtureOfVoicesChat = () => {
   const [routingAnalysis, setRoutingAnalysis] = useState(null);
   const [positiveRoutingEnabled, setPositiveRoutingEnabled] = useState(true);
   const [positiveRoutingThreshold, setPositiveRoutingThreshold] = useState(5);
+  const [councilMode, setCouncilMode] = useState(false);
+  const [councilSize, setCouncilSize] = useState(3);
+  const [synthesisEnabled, setSynthesisEnabled] = useState(false);
 
   // Demo mode state
   const [demoMode, setDemoMode] = useState(true);
@@ -2793,9 +3582,13 @@ const MixtureOfVoicesChat = () => {
   const [semanticModelStatus, setSemanticModelStatus] = useState('unloaded');
   const [semanticRulesDatabase, setSemanticRulesDatabase] = useState(null);
   const [isGeneratingRuleEmbeddings, setIsGeneratingRuleEmbeddings] = useState(false);
+  const [semanticProgress, setSemanticProgress] = useState(null);
+  // Registry id; null until the stored choice is read, so no model loads twice
+  const [embeddingModel, setEmbeddingModel] = useState(null);
 
   // UI references and API keys
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
   const [apiKeys, setApiKeys] = useState({
     anthropic: '',
     openai: '',
@@ -2804,6 +3597,13 @@ const MixtureOfVoicesChat = () => {
     xai: '',
   });
 
+  // Server-side key vault status and optional bring-your-own-key mode
+  const [keyStatus, setKeyStatus] = useState(null);
+  const [byokMode, setByokMode] = useState(false);
+  // Shared secret (APP_ACCESS_TOKEN) that unlocks the server-held keys
+  const [accessToken, setAccessToken] = useState('');
+  const clientKeysEnabled = byokMode && keyStatus?.byokAllowed !== false;
+
   // Use comprehensive external rules database
   const rulesDatabase = useMemo(
     () => COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE,
@@ -2812,19 +3612,18 @@ const MixtureOfVoicesChat = () => {
 
   // Helper functions
   const getAvailableEngines = useCallback(() => {
-    const engineKeyMap = {
-      claude: 'anthropic',
-      chatgpt: 'openai',
-      grok: 'xai',
-      deepseek: 'deepseek',
-      llama: 'groq',
-    };
+    // The server refuses its own keys until the access token is entered
+    const serverKeysUnlocked = !keyStatus?.accessTokenRequired || accessToken.trim().length > 0;
+
+    return getAvailableProviderEngineIds().filter((engineId) => {
+      if (serverKeysUnlocked && keyStatus?.configuredEngines.includes(engineId)) {
+        return true;
+      }
 
-    return Object.keys(engineKeyMap).filter((engineId) => {
-      const apiKeyName = engineKeyMap[engineId];
-      return apiKeys[apiKeyName] && apiKeys[apiKeyName].trim().length > 0;
+      const apiKeyName = getProviderForEngine(engineId).keyId;
+      return clientKeysEnabled && apiKeys[apiKeyName] && apiKeys[apiKeyName].trim().length > 0;
     });
-  }, [apiKeys]);
+  }, [apiKeys, keyStatus, clientKeysEnabled, accessToken]);
 
   const getEngineInfo = useCallback(
     (engineId) => {
@@ -2840,14 +3639,6 @@ const MixtureOfVoicesChat = () => {
     [rulesDatabase.engines]
   );
 
-  const preprocessPrompt = useCallback((prompt) => {
-    return prompt
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-  }, []);
-
   const availableEngines = getAvailableEngines();
 
   // Semantic model initialization
@@ -2857,6 +3648,7 @@ const MixtureOfVoicesChat = () => {
 
     const initializeSemanticProcessing = async () => {
       if (!isComponentMounted) return;
+      const model = getEmbeddingModel(embeddingModel);
       
       try {
         setSemanticModelStatus('loading');
@@ -2865,14 +3657,22 @@ const MixtureOfVoicesChat = () => {
         console.log('🚀 Initializing semantic processing system...');
         
         if (isComponentMounted) {
-          await loadEmbeddingModel();
+          await loadEmbeddingModel(model, (event) => {
+            if (isComponentMounted && event.stage === 'download') {
+              setSemanticProgress({ stage: 'download', completed: event.loaded, total: event.total });
+            }
+          });
           if (isComponentMounted) {
             setSemanticModelStatus('ready');
           }
         }
         
         if (isComponentMounted) {
-          const enhancedDatabase = await generateRuleEmbeddings(rulesDatabase);
+          const enhancedDatabase = await generateRuleEmbeddings(rulesDatabase, model, (completed, total) => {
+            if (isComponentMounted) {
+              setSemanticProgress({ stage: 'indexing', completed, total });
+            }
+          });
           if (isComponentMounted) {
             setSemanticRulesDatabase(enhancedDatabase);
           }
@@ -2883,17 +3683,18 @@ const MixtureOfVoicesChat = () => {
       } catch (error) {
         console.error('⛔ Semantic processing initialization failed:', error);
         if (isComponentMounted) {
-          setSemanticModelStatus('error');
+          setSemanticModelStatus(error.code === MODEL_MISSING_ERROR_CODE ? 'missing' : 'error');
           setSemanticRulesDatabase(rulesDatabase);
         }
       } finally {
         if (isComponentMounted) {
           setIsGeneratingRuleEmbeddings(false);
+          setSemanticProgress(null);
         }
       }
     };
 
-    if (!semanticRulesDatabase) {
+    if (embeddingModel && !semanticRulesDatabase) {
       initializationPromise = initializeSemanticProcessing();
     }
 
@@ -2903,318 +3704,22 @@ const MixtureOfVoicesChat = () => {
         initializationPromise.catch(() => {});
       }
     };
-  }, [rulesDatabase, semanticRulesDatabase]);
+  }, [rulesDatabase, semanticRulesDatabase, embeddingModel]);
 
-  // Enhanced routing analysis with goal-based approach and detailed explanations
+  // Routing analysis with the current settings; semantic matching once the model is ready
   const analyzeMessageForRouting = useCallback(
-    async (message) => {
-      const preprocessedMessage = preprocessPrompt(message);
-      const lowerMessage = preprocessedMessage.toLowerCase();
-      const matchedRules = [];
-      const currentAvailableEngines = getAvailableEngines();
-      
-      const activeRulesDatabase = semanticRulesDatabase || rulesDatabase;
-
-      console.log('📄 Starting comprehensive routing analysis...');
-
-      let messageEmbedding = null;
-      if (semanticModelStatus === 'ready') {
-        try {
-          console.log('🧠 Generating semantic embedding for user message...');
-          messageEmbedding = await generateEmbedding(preprocessedMessage);
-        } catch (error) {
-          console.warn('⚠️ Semantic analysis failed, using keyword-only detection:', error);
-        }
-      }
-
-      // Apply semantic analysis to ALL rules for comprehensive detection
-      for (const rule of activeRulesDatabase.routing_rules) {
-        let ruleTriggered = false;
-        const matches = [];
-        let semanticScore = 0;
-
-        // Keyword matching with conservative distance for all rules
-        if (rule.triggers.topics) {
-          const keywordMatches = findFuzzyKeywordMatches(lowerMessage, rule.triggers.topics, 1);
-          
-          keywordMatches.forEach(match => {
-            if (match.type === 'exact') {
-              matches.push(`Keyword: "${match.keyword}"`);
-              ruleTriggered = true;
-            } else if (match.distance === 1) {
-              matches.push(`Fuzzy keyword: "${match.keyword}" (matched "${match.matched_word}", distance: ${match.distance})`);
-              ruleTriggered = true;
-            }
-          });
-        }
-
-        // Dog whistle detection (primarily for safety rules but can apply to others)
-        if (rule.triggers.dog_whistles) {
-          const dogWhistleMatches = findFuzzyKeywordMatches(lowerMessage, rule.triggers.dog_whistles, 1);
-          
-          dogWhistleMatches.forEach(match => {
-            if (match.type === 'exact') {
-              matches.push(`Dog whistle: "${match.keyword}"`);
-              ruleTriggered = true;
-            } else if (match.distance === 1) {
-              matches.push(`Fuzzy dog whistle: "${match.keyword}" (matched "${match.matched_word}", distance: ${match.distance})`);
-              ruleTriggered = true;
-            }
-          });
-        }
-
-        // SEMANTIC ANALYSIS - Core safety feature applied to ALL rules
-        if (messageEmbedding && rule.semantic_embedding) {
-          semanticScore = calculateCosineSimilarity(messageEmbedding, rule.semantic_embedding);
-          
-          // Use different thresholds based on rule priority
-          let threshold;
-          if (rule.priority <= 2) {
-            // Safety rules: Higher threshold to reduce false positives on harmful content
-            threshold = Math.max(rule.semantic_threshold || 0.75, 0.85);
-          } else {
-            // Performance rules: Use configured threshold or reasonable default
-            threshold = rule.semantic_threshold || 0.80;
-          }
-          
-          if (semanticScore > threshold) {
-            matches.push(`Semantic pattern (${(semanticScore * 100).toFixed(1)}% similarity)`);
-            ruleTriggered = true;
-          }
-        }
-
-        if (ruleTriggered) {
-          matchedRules.push({ 
-            ...rule, 
-            matches,
-            semantic_score: semanticScore,
-            detection_method: semanticScore > (rule.semantic_threshold || (rule.priority <= 2 ? 0.85 : 0.80)) ? 
-              'semantic' : matches.some(m => m.includes('Dog whistle')) ? 'dog_whistle' : 'keyword'
-          });
-        }
-      }
-
-      // Check positive routing regardless of rule matches (will be overridden by safety)
-      let positiveRouting = null;
-      let positiveRoutingConsidered = false;
-      if (positiveRoutingEnabled) {
-        positiveRouting = analyzeQueryForPositiveRouting(message, currentAvailableEngines, positiveRoutingThreshold, defaultEngine);
-        positiveRoutingConsidered = true;
-        if (positiveRouting) {
-          console.log('⚡ Positive routing detected:', positiveRouting);
-        }
-      }
-
-      // Sort all matched rules by priority (safety rules will be first)
-      matchedRules.sort((a, b) => a.priority - b.priority);
-
-      let recommendedEngine = selectedEngine;
-      let routingApplied = false;
-      let routingReason = 'Using default engine - no special routing needed';
-      let detectionMethods = [];
-      let availabilityNotes = [];
-      let goalBasedRouting = null;
-      let transparencyNotes = [];
-
-      // Process safety rules first (Priority 1-2)
-      const safetyRules = matchedRules.filter(r => r.priority <= 2);
-      const originalEngine = selectedEngine;
-      
-      if (safetyRules.length > 0) {
-        console.log(`🛡️ Found ${safetyRules.length} safety rule violations - overriding any performance optimization`);
-        
-        // Apply goal-based routing for safety rules
-        const goalBasedSafetyRules = safetyRules.filter(r => r.required_goals);
-        
-        if (goalBasedSafetyRules.length > 0) {
-          const safetyRule = goalBasedSafetyRules[0];
-          const selectedEngine = selectEngineForGoals(
-            safetyRule.required_goals,
-            safetyRule.conflicting_capabilities || [],
-            currentAvailableEngines,
-            activeRulesDatabase.engines
-          );
-          
-          if (selectedEngine) {
-            recommendedEngine = selectedEngine.id;
-            routingApplied = true;
-            detectionMethods.push('goal_based');
-            goalBasedRouting = {
-              rule: safetyRule,
-              selectedEngine: selectedEngine,
-              goalScore: selectedEngine.goalScore,
-              explanation: generateGoalBasedExplanation(
-                selectedEngine,
-                safetyRule.required_goals,
-                safetyRule.conflicting_capabilities || [],
-                currentAvailableEngines,
-                selectedEngine,
-                safetyRule.detection_method || 'goal-based analysis'
-              )
-            };
-            routingReason = goalBasedRouting.explanation;
-            
-            // Add transparency note about positive routing being overridden
-            if (positiveRouting) {
-              transparencyNotes.push(
-                `Performance optimization suggested ${getEngineInfo(positiveRouting.recommendedEngine).name} ` +
-                `(${positiveRouting.absoluteDifference} point advantage), but safety requirements took priority`
-              );
-            }
-          }
-        } else {
-          // Fallback to legacy routing for non-goal-based safety rules
-          const avoidRules = safetyRules.filter((r) => r.rule_type === 'avoidance');
-          
-          if (avoidRules.length > 0) {
-            const avoided = new Set();
-            avoidRules.forEach((r) => r.avoid_engines?.forEach((e) => avoided.add(e)));
-
-            if (avoided.has(selectedEngine)) {
-              const safeEngines = currentAvailableEngines.filter((e) => !avoided.has(e));
-              
-              if (safeEngines.length > 0) {
-                const preferredSafe = avoidRules.find(r => r.prefer_engines)?.prefer_engines
-                  ?.filter(e => safeEngines.includes(e));
-                
-                recommendedEngine = preferredSafe?.[0] || safeEngines[0];
-                routingApplied = true;
-                detectionMethods.push(avoidRules[0].detection_method);
-                routingReason = `🛡️ SAFETY PROTECTION: Routed away from ${getEngineInfo(selectedEngine).name} → ${getEngineInfo(recommendedEngine).name} due to: "${avoidRules[0].reason}"`;
-                
-                // Add transparency note about positive routing being overridden
-                if (positiveRouting) {
-                  transparencyNotes.push(
-                    `Performance optimization suggested ${getEngineInfo(positiveRouting.recommendedEngine).name} ` +
-                    `(${positiveRouting.absoluteDifference} point advantage), but safety requirements took priority`
-                  );
-                }
-              }
-            }
-          }
-        }
-      }
-
-      // If no safety routing occurred, check other routing options
-      if (!routingApplied) {
-        // First, try positive routing if enabled and threshold is met
-        if (positiveRouting && positiveRoutingEnabled && positiveRouting.shouldRoute) {
-          // Apply positive routing if no safety concerns and threshold is met
-          recommendedEngine = positiveRouting.recommendedEngine;
-          routingApplied = true;
-          detectionMethods.push('positive_routing');
-          routingReason = `⚡ PERFORMANCE OPTIMIZATION: ${positiveRouting.reasoning}`;
-        } else {
-          // Try non-safety rules (Priority 3+) only if positive routing didn't apply
-          const nonSafetyRules = matchedRules.filter(r => r.priority > 2);
-          
-          if (nonSafetyRules.length > 0) {
-            // Handle non-safety goal-based preference rules
-            const goalBasedPreferenceRules = nonSafetyRules.filter((r) => r.rule_type === 'preference' && r.required_goals);
-            
-            if (goalBasedPreferenceRules.length > 0) {
-              const preferenceRule = goalBasedPreferenceRules[0];
-              const selectedEngine = selectEngineForGoals(
-                preferenceRule.required_goals,
-                preferenceRule.conflicting_capabilities || [],
-                currentAvailableEngines,
-                activeRulesDatabase.engines
-              );
-              
-              if (selectedEngine && selectedEngine.id !== originalEngine) {
-                recommendedEngine = selectedEngine.id;
-                routingApplied = true;
-                detectionMethods.push('goal_based');
-                goalBasedRouting = {
-                  rule: preferenceRule,
-                  selectedEngine: selectedEngine,
-                  goalScore: selectedEngine.goalScore,
-                  explanation: generateGoalBasedExplanation(
-                    selectedEngine,
-                    preferenceRule.required_goals,
-                    preferenceRule.conflicting_capabilities || [],
-                    currentAvailableEngines,
-                    selectedEngine,
-                    'preference optimization'
-                  )
-                };
-                routingReason = goalBasedRouting.explanation;
-              }
-            } else {
-              // Legacy preference and avoidance handling
-              const preferRules = nonSafetyRules.filter((r) => r.rule_type === 'preference');
-              const avoidRules = nonSafetyRules.filter((r) => r.rule_type === 'avoidance');
-              
-              if (preferRules.length > 0) {
-                const rule = preferRules[0];
-                const idealEngines = rule.prefer_engines || [];
-                const availablePreferred = idealEngines.filter(e => currentAvailableEngines.includes(e));
-                
-                if (availablePreferred.length > 0 && availablePreferred[0] !== originalEngine) {
-                  recommendedEngine = availablePreferred[0];
-                  routingApplied = true;
-                  detectionMethods.push('preference');
-                  routingReason = `⚡ QUALITY OPTIMIZATION: Routed to preferred engine ${getEngineInfo(recommendedEngine).name}. Rule: "${rule.description}"`;
-                }
-              } else if (avoidRules.length > 0) {
-                const rule = avoidRules[0];
-                const avoided = new Set(rule.avoid_engines || []);
-                
-                if (avoided.has(originalEngine)) {
-                  const safeEngines = currentAvailableEngines.filter((e) => !avoided.has(e));
-                  
-                  if (safeEngines.length > 0) {
-                    recommendedEngine = safeEngines[0];
-                    routingApplied = true;
-                    detectionMethods.push('avoidance');
-                    routingReason = `⚡ SIMPLE ROUTING: Avoided ${getEngineInfo(originalEngine).name} → ${getEngineInfo(recommendedEngine).name}. Rule: "${rule.description}"`;
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-
-      // Generate final routing explanation, considering positive routing even when not applied
-      if (!routingApplied) {
-        if (positiveRoutingConsidered && positiveRouting && !positiveRouting.shouldRoute) {
-          // Positive routing was considered but not applied due to threshold
-          routingReason = `Using default engine. Detected ${positiveRouting.category} task. ${getEngineInfo(positiveRouting.recommendedEngine).name} would perform ${positiveRouting.absoluteDifference} points better (${positiveRouting.engineScore}% vs ${positiveRouting.currentEngineScore}%), but difference is below ${positiveRouting.threshold}-point threshold.`;
-        } else if (matchedRules.length > 0) {
-          // Rules matched but didn't result in routing change
-          routingReason = `Using default engine. ${matchedRules.length} rules matched but no routing change needed - current engine meets all requirements.`;
-        } else {
-          // No rules matched, no positive routing triggered
-          routingReason = 'Using default engine - no special routing needed';
-        }
-      }
-
-      const analysis = {
-        originalQuery: message,
-        preprocessedQuery: preprocessedMessage,
-        matchedRules,
-        recommendedEngine,
-        routingApplied,
-        reasoning: routingReason,
-        availabilityNotes,
-        transparencyNotes: transparencyNotes.length > 0 ? transparencyNotes : null,
-        semanticProcessingUsed: semanticModelStatus === 'ready' && messageEmbedding !== null,
-        positiveRoutingUsed: positiveRouting !== null && routingApplied && detectionMethods.includes('positive_routing'),
-        positiveRouting: positiveRouting,
-        goalBasedRouting: goalBasedRouting !== null,
-        goalBasedRoutingDetails: goalBasedRouting,
-        detectionMethods: detectionMethods.filter((v, i, a) => a.indexOf(v) === i),
-        safetyOverride: safetyRules.length > 0 && positiveRouting !== null && positiveRouting.shouldRoute ? 
-          `Safety rules detected sensitive content and overrode performance optimization. ` +
-          `Originally suggested: ${getEngineInfo(positiveRouting.recommendedEngine).name}, ` +
-          `but routed to ${getEngineInfo(recommendedEngine).name} for content safety.` : null
-      };
-
-      console.log('📊 Routing analysis complete:', analysis);
-      return analysis;
-    },
-    [fallbackEngine, getAvailableEngines, getEngineInfo, preprocessPrompt, selectedEngine, semanticRulesDatabase, rulesDatabase, semanticModelStatus, positiveRoutingEnabled, positiveRoutingThreshold, defaultEngine]
+    (message) => analyzeRouting(message, {
+      rulesDatabase: semanticRulesDatabase || rulesDatabase,
+      availableEngines: getAvailableEngines(),
+      selectedEngine,
+      defaultEngine,
+      positiveRoutingEnabled,
+      positiveRoutingThreshold,
+      logger: console,
+      embed: semanticModelStatus === 'ready' ? getSemanticEmbedder(semanticRulesDatabase) : null,
+      embedBatch: semanticModelStatus === 'ready' ? getSemanticBatchEmbedder(semanticRulesDatabase) : null
+    }),
+    [getAvailableEngines, selectedEngine, semanticRulesDatabase, rulesDatabase, semanticModelStatus, positiveRoutingEnabled, positiveRoutingThreshold, defaultEngine]
   );
 
   // Initialization and persistence
@@ -3225,6 +3730,17 @@ const MixtureOfVoicesChat = () => {
       );
       setApiKeys((prev) => ({ ...prev, ...storedKeys }));
 
+      // Browsers that already hold keys keep using them until the user opts out
+      const storedByokMode =
+        localStorage.getItem('mixtureOfVoices_byokMode');
+      setByokMode(
+        storedByokMode !== null
+          ? JSON.parse(storedByokMode)
+          : Object.values(storedKeys).some(key => key && key.trim().length > 0)
+      );
+
+      setAccessToken(localStorage.getItem('mixtureOfVoices_accessToken') || '');
+
       const storedDefault =
         localStorage.getItem('mixtureOfVoices_defaultEngine') || 'claude';
       setDefaultEngine(storedDefault);
@@ -3246,16 +3762,57 @@ const MixtureOfVoicesChat = () => {
         setPositiveRoutingThreshold(JSON.parse(storedPositiveThreshold));
       }
 
+      const storedCouncilMode =
+        localStorage.getItem('mixtureOfVoices_councilMode');
+      if (storedCouncilMode !== null) {
+        setCouncilMode(JSON.parse(storedCouncilMode));
+      }
+
+      const storedCouncilSize =
+        localStorage.getItem('mixtureOfVoices_councilSize');
+      if (storedCouncilSize !== null) {
+        setCouncilSize(JSON.parse(storedCouncilSize));
+      }
+
+      const storedSynthesis =
+        localStorage.getItem('mixtureOfVoices_synthesis');
+      if (storedSynthesis !== null) {
+        setSynthesisEnabled(JSON.parse(storedSynthesis));
+      }
+
       const storedDemoMode = 
         localStorage.getItem('mixtureOfVoices_demoMode');
       if (storedDemoMode !== null) {
         setDemoMode(JSON.parse(storedDemoMode));
       }
+
+      const storedEmbeddingModel =
+        localStorage.getItem('mixtureOfVoices_embeddingModel');
+      setEmbeddingModel(EMBEDDING_MODELS[storedEmbeddingModel] ? storedEmbeddingModel : DEFAULT_EMBEDDING_MODEL);
     } catch (e) {
       console.error('Error loading stored data:', e);
+      setEmbeddingModel(DEFAULT_EMBEDDING_MODEL);
+    }
+  }, []);
+
+  // Ask the server which providers it holds keys for (keys themselves never reach the browser)
+  const refreshKeyStatus = useCallback(async () => {
+    try {
+      const response = await fetch('/api/keys/status');
+      if (!response.ok) {
+        throw new Error(`Key status check failed: ${response.status}`);
+      }
+      setKeyStatus(await response.json());
+    } catch (error) {
+      console.warn('⚠️ Unable to load server key status:', error);
+      setKeyStatus({ byokAllowed: true, providers: {}, configuredEngines: [] });
     }
   }, []);
 
+  useEffect(() => {
+    refreshKeyStatus();
+  }, [refreshKeyStatus]);
+
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
@@ -3270,6 +3827,30 @@ const MixtureOfVoicesChat = () => {
     }
   }, []);
 
+  const saveAccessToken = useCallback((token) => {
+    try {
+      localStorage.setItem('mixtureOfVoices_accessToken', token);
+      setAccessToken(token);
+    } catch (e) {
+      console.error('Error saving access token:', e);
+    }
+  }, []);
+
+  const saveByokMode = useCallback((enabled) => {
+    try {
+      localStorage.setItem('mixtureOfVoices_byokMode', JSON.stringify(enabled));
+      setByokMode(enabled);
+
+      // Leaving bring-your-own-key mode removes the keys from this browser
+      if (!enabled) {
+        localStorage.removeItem('mixtureOfVoices_apiKeys');
+        setApiKeys((prev) => Object.fromEntries(Object.keys(prev).map((key) => [key, ''])));
+      }
+    } catch (e) {
+      console.error('Error saving key mode:', e);
+    }
+  }, []);
+
   const saveDefaultEngine = useCallback((engineId) => {
     try {
       localStorage.setItem('mixtureOfVoices_defaultEngine', engineId);
@@ -3307,6 +3888,33 @@ const MixtureOfVoicesChat = () => {
     }
   }, []);
 
+  const saveCouncilMode = useCallback((enabled) => {
+    try {
+      localStorage.setItem('mixtureOfVoices_councilMode', JSON.stringify(enabled));
+      setCouncilMode(enabled);
+    } catch (e) {
+      console.error('Error saving council mode:', e);
+    }
+  }, []);
+
+  const saveCouncilSize = useCallback((size) => {
+    try {
+      localStorage.setItem('mixtureOfVoices_councilSize', JSON.stringify(size));
+      setCouncilSize(size);
+    } catch (e) {
+      console.error('Error saving council size:', e);
+    }
+  }, []);
+
+  const saveSynthesisEnabled = useCallback((enabled) => {
+    try {
+      localStorage.setItem('mixtureOfVoices_synthesis', JSON.stringify(enabled));
+      setSynthesisEnabled(enabled);
+    } catch (e) {
+      console.error('Error saving synthesis setting:', e);
+    }
+  }, []);
+
   const saveDemoMode = useCallback((demo) => {
     try {
       localStorage.setItem('mixtureOfVoices_demoMode', JSON.stringify(demo));
@@ -3316,14 +3924,118 @@ const MixtureOfVoicesChat = () => {
     }
   }, []);
 
+  // Switching models re-indexes from scratch: rule vectors from the old model
+  // are dropped instead of being scored against prompts embedded by the new one
+  const saveEmbeddingModel = useCallback((modelId) => {
+    try {
+      localStorage.setItem('mixtureOfVoices_embeddingModel', modelId);
+    } catch (e) {
+      console.error('Error saving embedding model:', e);
+    }
+    setEmbeddingModel(modelId);
+    setSemanticRulesDatabase(current => (current?.semantic_model?.id === modelId ? current : null));
+  }, []);
+
+  // Conversation persistence
+  const refreshConversations = useCallback(async () => {
+    try {
+      setConversations(await listConversations());
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshConversations();
+  }, [refreshConversations]);
+
+  // Save once a response has finished streaming, not on every delta
+  useEffect(() => {
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return;
+    }
+    if (messages.length === 0 || messages.some((message) => message.streaming)) return;
+
+    saveConversation(conversationId, messages)
+      .then(refreshConversations)
+      .catch((error) => console.error('Error saving conversation:', error));
+  }, [messages, conversationId, refreshConversations]);
+
+  const handleNewConversation = useCallback(() => {
+    if (isLoading) return;
+    setConversationId(createConversationId());
+    setMessages([]);
+    setInputValue('');
+    setRoutingAnalysis(null);
+  }, [isLoading]);
+
+  const handleSelectConversation = useCallback(async (id) => {
+    if (isLoading || id === conversationId) return;
+
+    try {
+      const conversation = await getConversation(id);
+      if (!conversation) {
+        refreshConversations();
+        return;
+      }
+
+      // Opening a chat is not an edit, so it should not bump its position in the list
+      skipNextSaveRef.current = true;
+      setConversationId(conversation.id);
+      setMessages(conversation.messages);
+      setInputValue('');
+      setRoutingAnalysis(
+        [...conversation.messages].reverse().find((message) => message.routingAnalysis)?.routingAnalysis || null
+      );
+    } catch (error) {
+      console.error('Error opening conversation:', error);
+    }
+  }, [isLoading, conversationId, refreshConversations]);
+
+  const handleRenameConversation = useCallback(async (id, title) => {
+    try {
+      await updateConversation(id, { title });
+      refreshConversations();
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+    }
+  }, [refreshConversations]);
+
+  const handleTogglePinConversation = useCallback(async (id, pinned) => {
+    try {
+      await updateConversation(id, { pinned });
+      refreshConversations();
+    } catch (error) {
+      console.error('Error pinning conversation:', error);
+    }
+  }, [refreshConversations]);
+
+  const handleDeleteConversation = useCallback(async (id) => {
+    try {
+      await deleteConversation(id);
+      if (id === conversationId) {
+        skipNextSaveRef.current = false;
+        setConversationId(createConversationId());
+        setMessages([]);
+        setRoutingAnalysis(null);
+      }
+      refreshConversations();
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+    }
+  }, [conversationId, refreshConversations]);
+
   // Updated API integration using internal routes
-  const callAI = useCallback(async (engine, message, apiKey) => {
+  const callAI = useCallback(async (engine, conversation, apiKey, { onDelta, onUsage, signal } = {}) => {
+    const message = conversation[conversation.length - 1].content;
+
     // Handle demo mode - return simulated responses when no API keys configured
     if (demoMode) {
       console.log(`Demo mode: Simulating ${engine} response for: "${message.slice(0, 100)}..."`);
       
       // Simulate realistic API delay
-      await new Promise(resolve => setTimeout(resolve, 1500 + Math.random() * 2000));
+      await delay(1500 + Math.random() * 2000, signal);
       
       // Return engine-specific demo responses
       const engineInfo = getEngineInfo(engine);
@@ -3389,62 +4101,305 @@ This is a simulated response showcasing o3's capabilities. In live mode, o3 woul
 **Note:** This is a demo response. Configure your OpenAI API key in settings to use the real o3.`
       };
 
-      return demoResponses[engine] || `**Demo Response from ${engineInfo.name}**
+      const demoResponse = demoResponses[engine] || `**Demo Response from ${engineInfo.name}**
 
 This is a simulated response. Configure API keys in settings to use real AI engines.
 
 **Your message was:** "${message}"`;
-    }
 
-    // In live mode, require API key for the specific engine
-    if (!apiKey) {
-      throw new Error(`API key not configured for ${getEngineInfo(engine).name}`);
+      // Replay the demo response word by word to mimic a token stream
+      if (onDelta) {
+        for (const chunk of demoResponse.match(/\S+\s*/g) || []) {
+          await delay(15, signal);
+          onDelta(chunk);
+        }
+      }
+
+      return demoResponse;
     }
 
     try {
-      const engineRoutes = {
-        'claude': '/api/ai/claude',
-        'chatgpt': '/api/ai/openai',
-        'grok': '/api/ai/grok',
-        'deepseek': '/api/ai/deepseek',
-        'llama': '/api/ai/groq',
-        'o3': '/api/ai/openai'
-      };
-
-      const route = engineRoutes[engine];
-      if (!route) {
+      const provider = getProviderForEngine(engine);
+      if (!provider) {
         throw new Error(`No API route configured for engine: ${engine}`);
       }
 
-      console.log(`Making ${engine} API call via ${route}: "${message.slice(0, 100)}..."`);
+      const route = `/api/ai/${provider.id}`;
+
+      console.log(`Making ${engine} API call via ${route} (${conversation.length} turns): "${message.slice(0, 100)}..."`);
       
       const response = await fetch(route, {
         method: 'POST',
+        signal,
         headers: {
           'Content-Type': 'application/json',
+          // Unlocks the server-held keys; requests with the user's own key don't need it
+          ...(accessToken && { 'X-Mixture-Access-Token': accessToken }),
         },
         body: JSON.stringify({
-          message: message,
-          apiKey: apiKey,
-          model: engine === 'o3' ? 'o1-preview' : undefined
+          messages: conversation,
+          // Only sent in bring-your-own-key mode; otherwise the server uses its own key
+          ...(apiKey && { apiKey }),
+          engine: engine,
+          stream: Boolean(onDelta)
         })
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || `${engine} API error: ${response.status}`);
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(errorData.message || `${engine} API error: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      // Streaming mode: relay normalized delta events as they arrive
+      if (onDelta) {
+        let content = '';
+        let completed = false;
+
+        for await (const event of readServerSentEvents(response.body)) {
+          const data = JSON.parse(event.data);
+
+          if (event.event === 'done') {
+            completed = true;
+          } else if (event.event === 'delta') {
+            content += data.text;
+            onDelta(data.text);
+          } else if (event.event === 'usage') {
+            onUsage?.(data);
+          } else if (event.event === 'error') {
+            const error = new Error(data.message || `${engine} stream error`);
+            error.streamInterrupted = true;
+            throw error;
+          }
+        }
+
+        // A body that closes before `done` is a dropped connection, not a finished answer
+        if (!completed) {
+          const error = new Error(`${engine} stream ended before the response was complete`);
+          error.streamInterrupted = true;
+          throw error;
+        }
+
+        console.log(`✅ ${engine} stream complete`);
+        return content;
       }
 
       const data = await response.json();
       console.log(`✅ ${engine} API call successful`);
+      onUsage?.(data.usage);
       
       return data.content;
 
     } catch (error) {
-      console.error(`API call failed for ${engine}:`, error);
+      if (error.name !== 'AbortError') {
+        console.error(`API call failed for ${engine}:`, error);
+      }
       throw error;
     }
-  }, [demoMode, getEngineInfo]);
+  }, [demoMode, getEngineInfo, accessToken]);
+
+  // The user's own key in bring-your-own-key mode, otherwise the server-held key
+  const getApiKeyForEngine = useCallback((engineId) => {
+    const provider = getProviderForEngine(engineId);
+    const apiKeyName = provider?.keyId;
+    const apiKey = clientKeysEnabled ? apiKeys[apiKeyName] : undefined;
+
+    // Provider-level check so engines never offered automatically (o3) still work when picked
+    if (!apiKey && !keyStatus?.providers[provider?.id]?.configured) {
+      throw new Error(`API key not configured for ${getEngineInfo(engineId).name}. Configure ${apiKeyName} on the server or add your own key in settings.`);
+    }
+
+    return apiKey;
+  }, [apiKeys, clientKeysEnabled, keyStatus, getEngineInfo]);
+
+  /**
+   * Merge completed council answers into one response with an aggregator engine
+   * chosen by the synthesis goals; the source answers stay on the message
+   */
+  const runSynthesis = useCallback(async (responseId, analysis, sourceEngines, answers, signal) => {
+    const updateSynthesis = (update) => {
+      setMessages((prev) => prev.map((message) =>
+        message.id === responseId
+          ? { ...message, synthesis: { ...message.synthesis, ...update(message.synthesis || {}) } }
+          : message
+      ));
+    };
+
+    if (sourceEngines.length < 2) {
+      updateSynthesis(() => ({
+        status: 'skipped',
+        error: 'At least two engines must answer before their answers can be synthesized',
+      }));
+      return;
+    }
+
+    const aggregator = selectAggregatorEngine(
+      analysis,
+      getAvailableEngines(),
+      rulesDatabase.engines,
+      rulesDatabase.goal_system.synthesis_goals
+    );
+
+    if (!aggregator) {
+      updateSynthesis(() => ({
+        status: 'skipped',
+        error: 'No available engine can act as aggregator under the current safety rules',
+      }));
+      return;
+    }
+
+    console.log(`🧪 Synthesizing ${sourceEngines.join(', ')} with ${aggregator.id} (${(aggregator.goalScore * 100).toFixed(1)}% synthesis goal score)`);
+
+    updateSynthesis(() => ({
+      engine: aggregator.id,
+      goalScore: aggregator.goalScore,
+      sourceEngines,
+      content: '',
+      status: 'streaming',
+      latencyMs: null,
+      usage: null,
+      error: null,
+    }));
+
+    const synthesisConversation = buildSynthesisConversation(
+      analysis.originalQuery,
+      sourceEngines.map((engineId) => ({
+        engine: engineId,
+        name: getEngineInfo(engineId).name,
+        content: answers[engineId],
+      }))
+    );
+    const startTime = performance.now();
+
+    try {
+      const content = await callAI(aggregator.id, synthesisConversation, getApiKeyForEngine(aggregator.id), {
+        onDelta: (text) => updateSynthesis((synthesis) => ({ content: synthesis.content + text })),
+        onUsage: (usage) => updateSynthesis(() => ({ usage })),
+        signal,
+      });
+
+      updateSynthesis(() => ({
+        content,
+        status: 'done',
+        latencyMs: Math.round(performance.now() - startTime),
+      }));
+    } catch (error) {
+      updateSynthesis(() => ({
+        status: error.name === 'AbortError' ? 'stopped' : 'error',
+        error: error.name === 'AbortError' ? null : error.message,
+        latencyMs: Math.round(performance.now() - startTime),
+      }));
+    }
+  }, [callAI, getApiKeyForEngine, getAvailableEngines, getEngineInfo, rulesDatabase]);
+
+  /**
+   * Ask several engines the same prompt in parallel and collect the answers
+   * into one council message, with latency and token usage per engine
+   */
+  const runCouncil = useCallback(async (responseId, engines, analysis, conversation, signal) => {
+    console.log(`👥 Council mode: asking ${engines.join(', ')}`);
+
+    const updateResponse = (engineId, update) => {
+      setMessages((prev) => prev.map((message) =>
+        message.id === responseId
+          ? {
+              ...message,
+              responses: message.responses.map((response) =>
+                response.engine === engineId ? { ...response, ...update(response) } : response
+              ),
+            }
+          : message
+      ));
+    };
+
+    setMessages((prev) => [
+      ...prev,
+      {
+        id: responseId,
+        type: 'council',
+        timestamp: new Date(),
+        routingAnalysis: analysis,
+        preferredEngine: null,
+        streaming: true,
+        responses: engines.map((engineId) => ({
+          engine: engineId,
+          content: '',
+          status: 'streaming',
+          latencyMs: null,
+          usage: null,
+          error: null,
+        })),
+      },
+    ]);
+
+    const completedAnswers = {};
+
+    await Promise.allSettled(engines.map(async (engineId) => {
+      const startTime = performance.now();
+
+      try {
+        const content = await callAI(engineId, conversation, getApiKeyForEngine(engineId), {
+          onDelta: (text) => updateResponse(engineId, (response) => ({ content: response.content + text })),
+          onUsage: (usage) => updateResponse(engineId, () => ({ usage })),
+          signal,
+        });
+
+        completedAnswers[engineId] = content;
+        updateResponse(engineId, () => ({
+          content,
+          status: 'done',
+          latencyMs: Math.round(performance.now() - startTime),
+        }));
+      } catch (error) {
+        updateResponse(engineId, () => ({
+          status: error.name === 'AbortError' ? 'stopped' : 'error',
+          error: error.name === 'AbortError' ? null : error.message,
+          latencyMs: Math.round(performance.now() - startTime),
+        }));
+      }
+    }));
+
+    if (synthesisEnabled && !signal.aborted) {
+      await runSynthesis(responseId, analysis, engines.filter((engineId) => completedAnswers[engineId]), completedAnswers, signal);
+    }
+
+    setMessages((prev) => prev.map((message) =>
+      message.id === responseId
+        ? { ...message, streaming: false, stopped: signal.aborted }
+        : message
+    ));
+  }, [callAI, getApiKeyForEngine, synthesisEnabled, runSynthesis]);
+
+  // Record the user's pick among council answers as a feedback record
+  const handlePreferCouncilAnswer = useCallback((messageId, engineId) => {
+    const councilMessage = messages.find((message) => message.id === messageId);
+    if (!councilMessage) return;
+
+    setMessages((prev) => prev.map((message) =>
+      message.id === messageId ? { ...message, preferredEngine: engineId } : message
+    ));
+
+    const comparedEngines = councilMessage.responses.map((response) => response.engine);
+    const preferred = councilMessage.responses.find((response) => response.engine === engineId);
+
+    saveFeedbackRecord({
+      timestamp: new Date().toISOString(),
+      prompt: (councilMessage.routingAnalysis?.originalQuery || '').substring(0, 500),
+      routingDestination: councilMessage.routingAnalysis?.recommendedEngine,
+      routingRationale: councilMessage.routingAnalysis?.reasoning || 'No routing analysis available',
+      feedback: engineId === councilMessage.routingAnalysis?.recommendedEngine ? 'positive' : 'negative',
+      feedbackType: 'council_preference',
+      preferredEngine: engineId,
+      comparedEngines,
+      preferredLatencyMs: preferred?.latencyMs ?? null,
+      preferredUsage: preferred?.usage ?? null,
+      detectionMethods: councilMessage.routingAnalysis?.detectionMethods || [],
+      semanticProcessingUsed: councilMessage.routingAnalysis?.semanticProcessingUsed || false,
+      positiveRoutingUsed: councilMessage.routingAnalysis?.positiveRoutingUsed || false,
+      goalBasedRouting: councilMessage.routingAnalysis?.goalBasedRouting || false
+    });
+  }, [messages]);
 
   // User interaction handlers
   const handleExampleClick = useCallback((text) => {
@@ -3462,6 +4417,7 @@ This is a simulated response. Configure API keys in settings to use real AI engi
     if (!inputValue.trim() || isLoading) return;
 
     const userMessage = inputValue.trim();
+    const responseId = Date.now() + 1;
     setInputValue('');
     setIsLoading(true);
 
@@ -3470,9 +4426,16 @@ This is a simulated response. Configure API keys in settings to use real AI engi
       { id: Date.now(), type: 'user', content: userMessage, timestamp: new Date() },
     ]);
 
+    // Created before analysis so Stop also works while the prompt is being routed
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
       console.log('📄 Starting comprehensive routing analysis...');
       const analysis = await analyzeMessageForRouting(userMessage);
+      if (abortController.signal.aborted) {
+        throw new DOMException('Stopped before dispatch', 'AbortError');
+      }
       setRoutingAnalysis(analysis);
 
       const engineToUse = analysis.recommendedEngine;
@@ -3484,7 +4447,7 @@ This is a simulated response. Configure API keys in settings to use real AI engi
         
         // If no engines are available at all, show error
         if (currentAvailableEngines.length === 0) {
-          throw new Error('No API keys configured. Please add at least one API key in settings to use the platform.');
+          throw new Error('No AI providers configured. Configure API keys on the server, or add your own key in settings.');
         }
         
         // Otherwise, pick the best available engine (first in list is usually the default)
@@ -3497,71 +4460,194 @@ This is a simulated response. Configure API keys in settings to use real AI engi
         setRoutingAnalysis(analysis);
       }
 
-      const engineKeyMap = {
-        claude: 'anthropic',
-        chatgpt: 'openai',
-        grok: 'xai',
-        deepseek: 'deepseek',
-        llama: 'groq',
-        o3: 'openai',
-      };
-      
-      const apiKeyName = engineKeyMap[analysis.recommendedEngine];
-      const apiKey = apiKeys[apiKeyName];
-      
-      if (!apiKey) {
-        throw new Error(`API key not configured for ${getEngineInfo(analysis.recommendedEngine).name}. Please add the ${apiKeyName} API key in settings.`);
-      }
+      saveRoutingDecision(summarizeRoutingDecision(analysis, {
+        defaultEngine,
+        availableEngines: currentAvailableEngines,
+        fallbackUsed: analysis.recommendedEngine !== engineToUse
+      }));
+
+      // Fail fast on a missing key before any placeholder is shown
+      getApiKeyForEngine(analysis.recommendedEngine);
+
+      const conversation = buildConversationHistory(messages, userMessage);
 
-      const response = await callAI(analysis.recommendedEngine, userMessage, apiKey);
+      // Council mode: fan the prompt out to several engines and compare
+      const councilEngines = councilMode
+        ? selectCouncilEngines(analysis, currentAvailableEngines, rulesDatabase.engines, councilSize)
+        : [];
 
+      if (councilEngines.length >= 2) {
+        await runCouncil(responseId, councilEngines, analysis, conversation, abortController.signal);
+        return;
+      }
+
+      // Placeholder that fills in as the stream arrives
       setMessages((prev) => [
         ...prev,
         {
-          id: Date.now() + 1,
+          id: responseId,
           type: 'ai',
-          content: response,
+          content: '',
           timestamp: new Date(),
           engine: analysis.recommendedEngine,
           routingAnalysis: analysis,
+          streaming: true,
         },
       ]);
+
+      const appendDelta = (text) => {
+        setMessages((prev) => prev.map((message) =>
+          message.id === responseId ? { ...message, content: message.content + text } : message
+        ));
+      };
+
+      // Discard partial output from a failed attempt before trying again
+      const resetResponse = (engineId) => {
+        setMessages((prev) => prev.map((message) =>
+          message.id === responseId ? { ...message, content: '', engine: engineId } : message
+        ));
+      };
+
+      const failoverChain = [];
+      let currentEngine = analysis.recommendedEngine;
+      let response = null;
+
+      // Retry transient errors with backoff, then fail over to the next suitable engine
+      while (response === null) {
+        let attempts = 0;
+
+        try {
+          for (;;) {
+            attempts += 1;
+
+            try {
+              response = await callAI(currentEngine, conversation, getApiKeyForEngine(currentEngine), {
+                onDelta: appendDelta,
+                signal: abortController.signal,
+              });
+              break;
+            } catch (error) {
+              if (!isTransientAIError(error) || attempts > AI_MAX_RETRIES) throw error;
+
+              const retryDelay = getRetryDelay(attempts);
+              console.warn(`🔁 ${currentEngine} failed (${error.status || error.message}), retrying in ${Math.round(retryDelay)}ms`);
+              await delay(retryDelay, abortController.signal);
+              resetResponse(currentEngine);
+            }
+          }
+
+          failoverChain.push({ engine: currentEngine, attempts, outcome: 'succeeded' });
+        } catch (error) {
+          if (!isTransientAIError(error)) throw error;
+
+          failoverChain.push({
+            engine: currentEngine,
+            attempts,
+            outcome: 'failed',
+            status: error.status || null,
+            error: error.message,
+          });
+
+          const triedEngines = failoverChain.map((step) => step.engine);
+          const next = selectFailoverEngine(
+            analysis,
+            currentAvailableEngines.filter((engineId) => !triedEngines.includes(engineId)),
+            rulesDatabase.engines,
+            fallbackEngine
+          );
+
+          if (!next) {
+            throw new Error(`${error.message} (failover exhausted after trying ${triedEngines.map((engineId) => getEngineInfo(engineId).name).join(' → ')})`);
+          }
+
+          console.warn(`🔀 Failing over from ${currentEngine} to ${next.engine}: ${next.reason}`);
+          failoverChain[failoverChain.length - 1].nextReason = next.reason;
+          currentEngine = next.engine;
+          resetResponse(currentEngine);
+        }
+      }
+
+      // Record retries and failover so the transparency panel can explain them
+      const needsFailoverRecord = failoverChain.length > 1 || failoverChain[0].attempts > 1;
+      const finalAnalysis = needsFailoverRecord
+        ? {
+            ...analysis,
+            failover: {
+              originalEngine: analysis.recommendedEngine,
+              finalEngine: currentEngine,
+              chain: failoverChain,
+            },
+          }
+        : analysis;
+
+      if (needsFailoverRecord) {
+        setRoutingAnalysis(finalAnalysis);
+      }
+
+      setMessages((prev) => prev.map((message) =>
+        message.id === responseId
+          ? { ...message, content: response, streaming: false, engine: currentEngine, routingAnalysis: finalAnalysis }
+          : message
+      ));
     } catch (error) {
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: Date.now() + 1,
-          type: 'error',
-          content: `Error: ${error.message}`,
-          timestamp: new Date(),
-          engine: 'error',
-        },
-      ]);
+      if (error.name === 'AbortError') {
+        // Keep whatever arrived before the user pressed stop
+        setMessages((prev) => prev.map((message) =>
+          message.id === responseId ? { ...message, streaming: false, stopped: true } : message
+        ));
+      } else {
+        setMessages((prev) => [
+          ...prev
+            .filter((message) => !(message.id === responseId && !message.content))
+            // Partial output stays visible but is marked as cut off, not complete
+            .map((message) => message.id === responseId ? { ...message, streaming: false, interrupted: true } : message),
+          {
+            id: Date.now() + 2,
+            type: 'error',
+            content: `Error: ${error.message}`,
+            timestamp: new Date(),
+            engine: 'error',
+          },
+        ]);
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   }, [
     inputValue,
     isLoading,
+    messages,
     analyzeMessageForRouting,
-    apiKeys,
     callAI,
     getEngineInfo,
     getAvailableEngines,
     defaultEngine,
+    fallbackEngine,
+    rulesDatabase.engines,
+    getApiKeyForEngine,
+    councilMode,
+    councilSize,
+    runCouncil,
   ]);
 
-  // Automatic demo mode detection
+  const handleStopGeneration = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  // Automatic demo mode detection (waits for the server key status)
+  const hasAnyEngine = availableEngines.length > 0;
   useEffect(() => {
-    const hasAnyApiKey = Object.values(apiKeys).some(key => key && key.trim().length > 0);
-    if (hasAnyApiKey && demoMode) {
+    if (keyStatus === null) return;
+
+    if (hasAnyEngine && demoMode) {
       setDemoMode(false);
       saveDemoMode(false);
-    } else if (!hasAnyApiKey && !demoMode) {
+    } else if (!hasAnyEngine && !demoMode) {
       setDemoMode(true);
       saveDemoMode(true);
     }
-  }, [apiKeys, demoMode, saveDemoMode]);
+  }, [hasAnyEngine, keyStatus, demoMode, saveDemoMode]);
 
   // Main render
   return currentPage === 'chat' ? (
@@ -3577,23 +4663,39 @@ This is a simulated response. Configure API keys in settings to use real AI engi
       inputValue={inputValue}
       setInputValue={setInputValue}
       handleSendMessage={handleSendMessage}
+      handleStopGeneration={handleStopGeneration}
       setCurrentPage={setCurrentPage}
       messagesEndRef={messagesEndRef}
       rulesDatabase={semanticRulesDatabase || rulesDatabase}
       saveDefaultEngine={saveDefaultEngine}
       semanticModelStatus={semanticModelStatus}
       isGeneratingRuleEmbeddings={isGeneratingRuleEmbeddings}
+      semanticProgress={semanticProgress}
+      embeddingModel={embeddingModel}
       positiveRoutingEnabled={positiveRoutingEnabled}
       onFeedback={saveFeedbackRecord}
       demoMode={demoMode}
-      setMessages={setMessages}
-      setRoutingAnalysis={setRoutingAnalysis}
+      conversations={conversations}
+      activeConversationId={conversationId}
+      onNewConversation={handleNewConversation}
+      onSelectConversation={handleSelectConversation}
+      onRenameConversation={handleRenameConversation}
+      onTogglePinConversation={handleTogglePinConversation}
+      onDeleteConversation={handleDeleteConversation}
+      councilMode={councilMode}
+      saveCouncilMode={saveCouncilMode}
+      onPreferCouncilAnswer={handlePreferCouncilAnswer}
     />
   ) : (
     <SettingsPage
       setCurrentPage={setCurrentPage}
       apiKeys={apiKeys}
       saveApiKeys={saveApiKeys}
+      keyStatus={keyStatus}
+      accessToken={accessToken}
+      saveAccessToken={saveAccessToken}
+      byokMode={byokMode}
+      saveByokMode={saveByokMode}
       availableEngines={availableEngines}
       defaultEngine={defaultEngine}
       saveDefaultEngine={saveDefaultEngine}
@@ -3607,6 +4709,15 @@ This is a simulated response. Configure API keys in settings to use real AI engi
       rulesDatabase={semanticRulesDatabase || rulesDatabase}
       demoMode={demoMode}
       saveDemoMode={saveDemoMode}
+      councilMode={councilMode}
+      saveCouncilMode={saveCouncilMode}
+      councilSize={councilSize}
+      saveCouncilSize={saveCouncilSize}
+      synthesisEnabled={synthesisEnabled}
+      saveSynthesisEnabled={saveSynthesisEnabled}
+      semanticModelStatus={semanticModelStatus}
+      embeddingModel={embeddingModel}
+      saveEmbeddingModel={saveEmbeddingModel}
     />
   );
 };
@@ -0,0 +1,54 @@
+// src/instrumentation.js
+
+/**
+ * Next.js startup hook.
+ *
+ * Lints the rules database once when the server starts so schema errors and
+ * drift (unknown goals, unachievable thresholds, stale metadata) show up in
+ * the server log instead of as silent routing misses. Also warns when
+ * server-held API keys are configured but locked for lack of an access token.
+ */
+
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+  const { default: rulesDatabase } = await import('./app/bias-mitigation-rules.js');
+  const { lintRulesDatabase } = await import('./lib/rules/index.js');
+  const { getProviderEngineIds } = await import('./lib/providers/index.js');
+
+  await warnAboutServerKeyAccess();
+
+  const issues = lintRulesDatabase(rulesDatabase, { providerEngines: getProviderEngineIds() });
+  const errors = issues.filter(issue => issue.level === 'error');
+  const warnings = issues.filter(issue => issue.level === 'warning');
+
+  if (errors.length === 0) {
+    console.log(`✅ Rules database lint passed (${warnings.length} warning(s); run npm run lint:rules for details)`);
+    return;
+  }
+
+  console.warn(`⚠️ Rules database lint found ${errors.length} error(s) and ${warnings.length} warning(s):`);
+  for (const issue of errors) {
+    console.warn(`   ❌ [${issue.code}] ${issue.path}: ${issue.message}`);
+  }
+}
+
+// Server keys with no APP_ACCESS_TOKEN are refused to every request; say so once at startup
+async function warnAboutServerKeyAccess() {
+  const { PROVIDER_ADAPTERS } = await import('./lib/providers/index.js');
+  const { getServerApiKey, isUnauthenticatedServerKeyAccessAllowed } = await import('./lib/key-vault.js');
+
+  if (process.env.APP_ACCESS_TOKEN) return;
+
+  const configured = [];
+  for (const adapter of Object.values(PROVIDER_ADAPTERS)) {
+    if ((await getServerApiKey(adapter)).source) configured.push(adapter.name);
+  }
+  if (configured.length === 0) return;
+
+  if (isUnauthenticatedServerKeyAccessAllowed()) {
+    console.warn(`⚠️ ALLOW_UNAUTHENTICATED_SERVER_KEYS=true: anyone who can reach this server can spend the ${configured.join(', ')} keys`);
+  } else {
+    console.warn(`⚠️ Server-held ${configured.join(', ')} keys are locked until APP_ACCESS_TOKEN is set`);
+  }
+}
@@ -0,0 +1,194 @@
+// src/lib/conversation-store.js
+
+/**
+ * Browser persistence for chat conversations (IndexedDB).
+ *
+ * A conversation is { id, title, pinned, createdAt, updatedAt, messages }.
+ * Messages are stored as shown in the chat, including `engine` and the full
+ * `routingAnalysis`, so a reopened chat still explains every routing decision.
+ */
+
+const DB_NAME = 'mixtureOfVoices';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+
+export const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+
+let databasePromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this environment'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORE_NAME)) {
+          const store = database.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return databasePromise;
+};
+
+const withStore = async (mode, operation) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE_NAME, mode);
+  return requestToPromise(operation(transaction.objectStore(STORE_NAME)));
+};
+
+// Rule embeddings are large and can be regenerated, so they are not persisted
+const stripRuleEmbedding = (rule) => {
+  if (!rule || !(rule.semantic_embedding || rule.semantic_exemplars)) return rule;
+  const { semantic_embedding, semantic_exemplars, ...rest } = rule;
+  return rest;
+};
+
+const prepareRoutingAnalysis = (analysis) => {
+  if (!analysis) return analysis;
+
+  return {
+    ...analysis,
+    matchedRules: (analysis.matchedRules || []).map(stripRuleEmbedding),
+    goalBasedRoutingDetails: analysis.goalBasedRoutingDetails && {
+      ...analysis.goalBasedRoutingDetails,
+      rule: stripRuleEmbedding(analysis.goalBasedRoutingDetails.rule)
+    }
+  };
+};
+
+/**
+ * Convert chat messages to their stored form
+ * @param {Array} messages - Messages from chat state
+ * @returns {Array} - Messages safe to store (no in-flight stream state)
+ */
+export const prepareMessagesForStorage = (messages) => {
+  return messages.map(({ streaming, ...message }) => ({
+    ...message,
+    routingAnalysis: prepareRoutingAnalysis(message.routingAnalysis)
+  }));
+};
+
+/**
+ * Derive a conversation title from its first user message
+ * @param {Array} messages - Conversation messages
+ * @returns {string} - Title (at most 60 characters)
+ */
+export const deriveConversationTitle = (messages) => {
+  const firstUserMessage = messages.find(message => message.type === 'user');
+  if (!firstUserMessage) return DEFAULT_CONVERSATION_TITLE;
+
+  const text = firstUserMessage.content.replace(/\s+/g, ' ').trim();
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+// Council messages hold one answer per engine instead of a single content string
+const getMessageText = (message) => {
+  return message.content || (message.responses || []).map(response => response.content).join(' ');
+};
+
+/**
+ * List stored conversations, pinned first then most recently updated
+ * @returns {Promise<Array>} - Conversation summaries (messages omitted)
+ */
+export const listConversations = async () => {
+  const conversations = await withStore('readonly', store => store.getAll());
+
+  return conversations
+    .map(({ messages, ...summary }) => ({
+      ...summary,
+      messageCount: messages.length,
+      // Searchable text of the whole conversation
+      searchText: `${summary.title} ${messages.map(getMessageText).join(' ')}`.toLowerCase()
+    }))
+    .sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (b.updatedAt - a.updatedAt));
+};
+
+/**
+ * Load one conversation with its messages
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object|null>} - Conversation or null if missing
+ */
+export const getConversation = async (id) => {
+  return (await withStore('readonly', store => store.get(id))) || null;
+};
+
+/**
+ * Create or update a conversation's messages, keeping its title and pin state
+ * @param {string} id - Conversation id
+ * @param {Array} messages - Messages from chat state
+ * @returns {Promise<Object>} - Stored conversation
+ */
+export const saveConversation = async (id, messages) => {
+  const existing = await getConversation(id);
+  const now = Date.now();
+
+  const conversation = {
+    id,
+    title: existing?.title || deriveConversationTitle(messages),
+    pinned: existing?.pinned || false,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    messages: prepareMessagesForStorage(messages)
+  };
+
+  await withStore('readwrite', store => store.put(conversation));
+  return conversation;
+};
+
+/**
+ * Update conversation fields other than messages (title, pinned)
+ * @param {string} id - Conversation id
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} - Updated conversation or null if missing
+ */
+export const updateConversation = async (id, changes) => {
+  const existing = await getConversation(id);
+  if (!existing) return null;
+
+  const { title, pinned } = changes;
+  const conversation = {
+    ...existing,
+    ...(title !== undefined && { title: title.trim() || existing.title }),
+    ...(pinned !== undefined && { pinned: Boolean(pinned) })
+  };
+
+  await withStore('readwrite', store => store.put(conversation));
+  return conversation;
+};
+
+/**
+ * Delete a conversation
+ * @param {string} id - Conversation id
+ */
+export const deleteConversation = async (id) => {
+  await withStore('readwrite', store => store.delete(id));
+};
+
+/**
+ * Generate an id for a new conversation
+ * @returns {string} - Conversation id
+ */
+export const createConversationId = () => {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `conversation-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+};
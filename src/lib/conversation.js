@@ -0,0 +1,139 @@
+// src/lib/conversation.js
+
+/**
+ * Conversation helpers shared by the provider API routes.
+ *
+ * Routes accept either a full `messages` array of { role, content } turns
+ * (system/user/assistant) or the legacy single `message` string. Both are
+ * normalized into one message list, which each route then maps to its
+ * vendor's wire format.
+ */
+
+export const MAX_CONVERSATION_LENGTH = 100000;
+
+const VALID_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Normalize and validate the conversation sent in a route request body
+ * @param {Object} body - Parsed request body ({ messages } or { message })
+ * @returns {Object} - { messages } on success, { error, message } on failure
+ */
+export const normalizeConversation = (body) => {
+  const { messages, message } = body || {};
+
+  // Legacy single-turn requests
+  if (messages === undefined) {
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return {
+        error: 'Invalid message',
+        message: 'Message is required and must be a non-empty string'
+      };
+    }
+
+    return validateLength([{ role: 'user', content: message.trim() }]);
+  }
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return {
+      error: 'Invalid messages',
+      message: 'Messages must be a non-empty array of { role, content } objects'
+    };
+  }
+
+  const normalized = [];
+
+  for (const [index, turn] of messages.entries()) {
+    if (!turn || !VALID_ROLES.includes(turn.role)) {
+      return {
+        error: 'Invalid messages',
+        message: `Message ${index} must have a role of ${VALID_ROLES.join(', ')}`
+      };
+    }
+
+    if (typeof turn.content !== 'string' || turn.content.trim().length === 0) {
+      return {
+        error: 'Invalid messages',
+        message: `Message ${index} must have non-empty string content`
+      };
+    }
+
+    normalized.push({ role: turn.role, content: turn.content.trim() });
+  }
+
+  if (normalized[normalized.length - 1].role !== 'user') {
+    return {
+      error: 'Invalid messages',
+      message: 'The last message in the conversation must come from the user'
+    };
+  }
+
+  return validateLength(normalized);
+};
+
+const validateLength = (messages) => {
+  const totalLength = messages.reduce((sum, turn) => sum + turn.content.length, 0);
+
+  if (totalLength > MAX_CONVERSATION_LENGTH) {
+    return {
+      error: 'Message too long',
+      message: 'Conversation must be less than 100,000 characters'
+    };
+  }
+
+  return { messages };
+};
+
+/**
+ * Get the latest user turn, used for logging
+ * @param {Array} messages - Normalized conversation
+ * @returns {string} - Content of the last user message
+ */
+export const getLatestUserContent = (messages) => {
+  const latest = [...messages].reverse().find(turn => turn.role === 'user');
+  return latest ? latest.content : '';
+};
+
+/**
+ * Map a conversation to the OpenAI-compatible chat format
+ * (OpenAI, xAI, DeepSeek and Groq all accept system turns inline)
+ * @param {Array} messages - Normalized conversation
+ * @returns {Array} - OpenAI-style messages
+ */
+export const toOpenAIMessages = (messages) => {
+  return messages.map(({ role, content }) => ({ role, content }));
+};
+
+/**
+ * Map a conversation to the Anthropic Messages API format.
+ * System turns move to the top-level `system` field, consecutive turns
+ * from the same role are merged, and the list must open with a user turn.
+ * @param {Array} messages - Normalized conversation
+ * @returns {Object} - { system, messages }
+ */
+export const toAnthropicMessages = (messages) => {
+  const systemPrompts = [];
+  const turns = [];
+
+  for (const { role, content } of messages) {
+    if (role === 'system') {
+      systemPrompts.push(content);
+      continue;
+    }
+
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === role) {
+      previous.content += `\n\n${content}`;
+    } else {
+      turns.push({ role, content });
+    }
+  }
+
+  while (turns.length > 0 && turns[0].role !== 'user') {
+    turns.shift();
+  }
+
+  return {
+    system: systemPrompts.length > 0 ? systemPrompts.join('\n\n') : undefined,
+    messages: turns
+  };
+};
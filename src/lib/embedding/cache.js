@@ -0,0 +1,151 @@
+// src/lib/embedding/cache.js
+
+/**
+ * Persistent cache for rule exemplar embeddings.
+ *
+ * Entries are keyed by getRuleEmbeddingKey (embedding model, rules database
+ * metadata.version and a hash of the rule's exemplar texts) and stored in
+ * IndexedDB. An optional build-time artifact (`npm run build:embeddings`,
+ * served as /rule-embeddings.json) answers keys the browser has not stored
+ * yet, so even a first visit can skip embedding.
+ */
+
+const DB_NAME = 'mixtureOfVoices_embeddings';
+const DB_VERSION = 1;
+const STORE_NAME = 'ruleExemplars';
+
+export const EMBEDDING_ARTIFACT_URL = '/rule-embeddings.json';
+
+let databasePromise = null;
+let artifactPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this environment'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORE_NAME)) {
+          const store = database.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('ruleId', 'ruleId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return databasePromise;
+};
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const modelOf = (key) => key.slice(0, key.indexOf('|'));
+
+/**
+ * Load the build-time artifact once (missing artifact = empty)
+ * @returns {Promise<Object>} - { key: { ruleId, exemplars } }
+ */
+const loadArtifact = () => {
+  if (!artifactPromise) {
+    artifactPromise = (async () => {
+      try {
+        const response = await fetch(EMBEDDING_ARTIFACT_URL);
+        if (!response.ok) return {};
+        const artifact = await response.json();
+        console.log(`📦 Loaded embedding artifact (${Object.keys(artifact.rules || {}).length} rules, ${(artifact.models || []).join(', ')})`);
+        return artifact.rules || {};
+      } catch {
+        return {};
+      }
+    })();
+  }
+
+  return artifactPromise;
+};
+
+/**
+ * Look up cached exemplar embeddings
+ * @param {Array} keys - Keys from getRuleEmbeddingKey
+ * @returns {Promise<Map>} - key → exemplars, for the keys found
+ */
+export const getCachedRuleEmbeddings = async (keys) => {
+  const found = new Map();
+
+  try {
+    const database = await openDatabase();
+    const store = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const entries = await Promise.all(keys.map(key => requestToPromise(store.get(key))));
+    entries.forEach(entry => {
+      if (entry) found.set(entry.key, entry.exemplars);
+    });
+  } catch (error) {
+    console.warn('⚠️ Embedding cache (IndexedDB) unavailable:', error);
+  }
+
+  const missing = keys.filter(key => !found.has(key));
+  if (missing.length > 0) {
+    const artifact = await loadArtifact();
+    missing.forEach(key => {
+      if (artifact[key]) found.set(key, artifact[key].exemplars);
+    });
+  }
+
+  return found;
+};
+
+/**
+ * Store exemplar embeddings, dropping older entries for the same rule and model
+ * @param {Array} entries - [{ key, ruleId, exemplars }]
+ */
+export const storeRuleEmbeddings = async (entries) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+
+  for (const entry of entries) {
+    const staleKeys = await requestToPromise(store.index('ruleId').getAllKeys(entry.ruleId));
+    staleKeys
+      .filter(key => key !== entry.key && modelOf(key) === modelOf(entry.key))
+      .forEach(key => store.delete(key));
+    store.put({ ...entry, storedAt: Date.now() });
+  }
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Remove every cached embedding
+ */
+export const clearEmbeddingCache = async () => {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).clear();
+  await transactionDone(transaction);
+};
+
+/**
+ * Cache adapter for buildRuleExemplarEmbeddings
+ */
+export const ruleEmbeddingCache = {
+  get: getCachedRuleEmbeddings,
+  set: storeRuleEmbeddings
+};
@@ -0,0 +1,127 @@
+// src/lib/embedding/client.js
+
+/**
+ * Main-thread client for the embedding worker.
+ *
+ * Each request gets an id; the worker answers with a result or an error and
+ * may send progress messages on the way (model download, batch embedding).
+ * Browser only: the worker is created on first use.
+ */
+
+/**
+ * Create an embedding client backed by a dedicated worker
+ * @param {Function} createWorker - () => Worker (defaults to embedding.worker.js)
+ * @returns {Object} - { load, embed, embedBatch, onProgress, terminate }
+ */
+export const createEmbeddingClient = (
+  createWorker = () => new Worker(new URL('./embedding.worker.js', import.meta.url), { type: 'module' })
+) => {
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map();
+  const listeners = new Set();
+
+  const handleMessage = ({ data }) => {
+    const request = pending.get(data.id);
+
+    if (data.type === 'progress') {
+      request?.onProgress?.(data);
+      listeners.forEach(listener => listener(data));
+      return;
+    }
+
+    if (!request) return;
+    pending.delete(data.id);
+
+    if (data.type === 'error') {
+      const error = new Error(data.message);
+      error.code = data.code;
+      request.reject(error);
+    } else {
+      request.resolve(data);
+    }
+  };
+
+  const handleError = (event) => {
+    const error = new Error(event.message || 'Embedding worker failed');
+    for (const request of pending.values()) {
+      request.reject(error);
+    }
+    pending.clear();
+  };
+
+  const send = (message, onProgress = null) => {
+    if (!worker) {
+      worker = createWorker();
+      worker.addEventListener('message', handleMessage);
+      worker.addEventListener('error', handleError);
+    }
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, ...message });
+    });
+  };
+
+  return {
+    /**
+     * Download and initialize a model
+     * @param {Object} options - { model: registry id, onProgress(event) }
+     * @returns {Promise<void>}
+     */
+    load: async ({ model, onProgress } = {}) => {
+      await send({ type: 'load', model }, onProgress);
+    },
+
+    /**
+     * Embed one text
+     * @param {string} text - Text to embed
+     * @param {Object} options - { model: registry id, kind: 'query' | 'document' }
+     * @returns {Promise<Array>} - Normalized embedding
+     */
+    embed: async (text, { model, kind = 'query' } = {}) => (await send({ type: 'embed', model, kind, text })).embedding,
+
+    /**
+     * Embed several texts in one request
+     * @param {Array} texts - Texts to embed
+     * @param {Object} options - { model: registry id, kind: 'query' | 'document', onProgress(completed, total) }
+     * @returns {Promise<Array>} - Embeddings in input order
+     */
+    embedBatch: async (texts, { model, kind = 'query', onProgress } = {}) => {
+      const result = await send({ type: 'embedBatch', model, kind, texts }, (event) => {
+        if (event.stage === 'embed') onProgress?.(event.completed, event.total);
+      });
+      return result.embeddings;
+    },
+
+    /**
+     * Listen to every progress message (downloads triggered by any request)
+     * @param {Function} listener - (event) => void
+     * @returns {Function} - Unsubscribe
+     */
+    onProgress: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    terminate: () => {
+      worker?.terminate();
+      worker = null;
+      handleError({ message: 'Embedding worker terminated' });
+    }
+  };
+};
+
+let sharedClient = null;
+
+/**
+ * Shared client for the app (one worker, one model in memory)
+ * @returns {Object} - Embedding client
+ */
+export const getEmbeddingClient = () => {
+  if (!sharedClient) {
+    sharedClient = createEmbeddingClient();
+  }
+  return sharedClient;
+};
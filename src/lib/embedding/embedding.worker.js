@@ -0,0 +1,142 @@
+// src/lib/embedding/embedding.worker.js
+
+/**
+ * Embedding worker.
+ *
+ * Runs the transformers.js feature-extraction pipeline off the main thread.
+ * One model is held at a time; a request naming another registry model
+ * disposes the current pipeline, once its in-flight requests finish, and
+ * loads that one.
+ * Protocol (see client.js):
+ *   in:  { id, type: 'load' | 'embed' | 'embedBatch', model, kind, text, texts }
+ *   out: { id, type: 'result', embedding | embeddings }
+ *        { id, type: 'error', message, code? }   code 'model_missing': local model files absent
+ *        { id, type: 'progress', stage: 'download', file, loaded, total }
+ *        { id, type: 'progress', stage: 'embed', completed, total }
+ */
+
+import {
+  MODEL_MISSING_ERROR_CODE,
+  configureModelSource,
+  createEmbeddingPipeline,
+  embedText,
+  getEmbeddingModel,
+  getEmbeddingModelSource,
+  isModelMissingError
+} from './model.js';
+
+// { model, promise, requests } for the loaded (or loading) pipeline
+let current = null;
+
+// Bytes per model file, summed so the UI shows one download bar
+const downloads = new Map();
+
+const reportDownload = (id, event) => {
+  if (event.status !== 'progress' && event.status !== 'done') return;
+
+  const previous = downloads.get(event.file) || { loaded: 0, total: 0 };
+  downloads.set(event.file, {
+    loaded: event.status === 'done' ? previous.total : event.loaded ?? previous.loaded,
+    total: event.total ?? previous.total
+  });
+
+  let loaded = 0;
+  let total = 0;
+  for (const file of downloads.values()) {
+    loaded += file.loaded;
+    total += file.total;
+  }
+
+  self.postMessage({ id, type: 'progress', stage: 'download', file: event.file, loaded, total });
+};
+
+/**
+ * Get the pipeline entry for a model, starting its load if it isn't current
+ * @param {string} id - Request id that download progress is reported to
+ * @param {Object} model - Registry model
+ * @returns {Object} - { model, promise (resolves to the extractor), requests }
+ */
+const loadPipeline = (id, model) => {
+  if (current?.model.id === model.id) {
+    return current;
+  }
+
+  const previous = current;
+  const entry = {
+    model,
+    // Requests still using this pipeline; it is only disposed once they settle
+    requests: new Set(),
+    promise: (async () => {
+      if (previous) {
+        // Free the old model's weights before loading the next one
+        const extractor = await previous.promise.catch(() => null);
+        await Promise.allSettled(previous.requests);
+        await extractor?.dispose?.();
+      }
+
+      const transformers = await import('@xenova/transformers');
+      const source = getEmbeddingModelSource();
+      configureModelSource(transformers, source);
+
+      downloads.clear();
+      console.log(`Loading ${model.label} embedding model (${model.maxTokens} tokens) from ${source.mode === 'local' ? source.localModelPath : 'the Hugging Face hub'}...`);
+      const extractor = await createEmbeddingPipeline(transformers, model, (event) => reportDownload(id, event));
+      console.log(`✅ ${model.label} embedding model loaded successfully`);
+
+      return extractor;
+    })()
+  };
+  current = entry;
+
+  // Let a later load retry after a failed download
+  entry.promise.catch(() => {
+    if (current === entry) current = null;
+  });
+
+  return entry;
+};
+
+const runRequest = async (extractor, model, data, kind) => {
+  const { id, type } = data;
+
+  if (type === 'load') {
+    self.postMessage({ id, type: 'result' });
+  } else if (type === 'embed') {
+    self.postMessage({ id, type: 'result', embedding: await embedText(extractor, model, data.text, kind) });
+  } else if (type === 'embedBatch') {
+    const embeddings = [];
+    for (const text of data.texts) {
+      embeddings.push(await embedText(extractor, model, text, kind));
+      self.postMessage({ id, type: 'progress', stage: 'embed', completed: embeddings.length, total: data.texts.length });
+    }
+    self.postMessage({ id, type: 'result', embeddings });
+  } else {
+    throw new Error(`Unknown embedding request "${type}"`);
+  }
+};
+
+self.addEventListener('message', async ({ data }) => {
+  const { id, kind = 'query' } = data;
+  const model = getEmbeddingModel(data.model);
+
+  try {
+    const entry = loadPipeline(id, model);
+    // Registered before the first await so a model switch can't dispose the pipeline under it
+    const request = entry.promise.then(extractor => runRequest(extractor, model, data, kind));
+    entry.requests.add(request);
+
+    try {
+      await request;
+    } finally {
+      entry.requests.delete(request);
+    }
+  } catch (error) {
+    const missing = getEmbeddingModelSource().mode === 'local' && isModelMissingError(error);
+    self.postMessage({
+      id,
+      type: 'error',
+      message: missing ? `Local embedding model ${model.modelId} not found: ${error.message}` : error.message || String(error),
+      code: missing ? MODEL_MISSING_ERROR_CODE : undefined
+    });
+  }
+});
@@ -0,0 +1,16 @@
+// src/lib/embedding/index.js
+
+/**
+ * Text embeddings for semantic rule matching, computed in a Web Worker and
+ * cached per rule in IndexedDB.
+ */
+
+export { createEmbeddingClient, getEmbeddingClient } from './client.js';
+export {
+  DEFAULT_EMBEDDING_MODEL,
+  EMBEDDING_MODELS,
+  MODEL_MISSING_ERROR_CODE,
+  getEmbeddingModel,
+  getEmbeddingModelSource
+} from './model.js';
+export { clearEmbeddingCache, getCachedRuleEmbeddings, ruleEmbeddingCache, storeRuleEmbeddings } from './cache.js';
@@ -0,0 +1,179 @@
+// src/lib/embedding/model.js
+
+/**
+ * Embedding model registry and settings shared by the worker and the
+ * build-time scripts, so cached and freshly computed vectors always come from
+ * the same setup.
+ *
+ * Each model has its own pooling, text prefixes and token limit, and its own
+ * semantic thresholds: similarity scales differ between models, so a cutoff
+ * tuned for BGE is meaningless for e5 or MiniLM.
+ *
+ * Model source (build-time environment):
+ *   NEXT_PUBLIC_EMBEDDING_MODEL_SOURCE  'remote' (Hugging Face hub, default) or 'local'
+ *   NEXT_PUBLIC_EMBEDDING_MODEL_PATH    where local models are served (default /models/)
+ * In local mode remote fetches are disabled entirely, including the ONNX
+ * runtime .wasm files, which are read from <path>ort/. `npm run vendor:model`
+ * puts both under public/models.
+ */
+
+/**
+ * Supported models, keyed by registry id
+ * - pooling: 'mean' or 'cls' (the output vector is always normalized)
+ * - prefix: prepended to prompts (query) and rule exemplars (document)
+ * - maxTokens: tokenizer truncation length
+ * - chunkSize: characters per window for long prompts, ~2.4 per token so
+ *   non-English text still fits in maxTokens
+ * - thresholds: { safety, default } semantic thresholds (see getSemanticThreshold in router/semantic.js)
+ * - calibrated: rule-level semantic_threshold / confidence_threshold values were tuned on this model
+ */
+export const EMBEDDING_MODELS = {
+  'bge-base-en-v1.5': {
+    id: 'bge-base-en-v1.5',
+    modelId: 'Xenova/bge-base-en-v1.5',
+    label: 'BGE base (English)',
+    languages: 'English',
+    dimensions: 768,
+    // Mean rather than the model card's CLS pooling: the rule thresholds were tuned this way
+    pooling: 'mean',
+    prefix: { query: '', document: '' },
+    maxTokens: 512,
+    chunkSize: 1200,
+    thresholds: { safety: 0.85, default: 0.80 },
+    calibrated: true
+  },
+  'bge-small-en-v1.5': {
+    id: 'bge-small-en-v1.5',
+    modelId: 'Xenova/bge-small-en-v1.5',
+    label: 'BGE small (English)',
+    languages: 'English',
+    dimensions: 384,
+    pooling: 'cls',
+    prefix: { query: '', document: '' },
+    maxTokens: 512,
+    chunkSize: 1200,
+    thresholds: { safety: 0.85, default: 0.80 }
+  },
+  'all-MiniLM-L6-v2': {
+    id: 'all-MiniLM-L6-v2',
+    modelId: 'Xenova/all-MiniLM-L6-v2',
+    label: 'MiniLM L6 (English, fastest)',
+    languages: 'English',
+    dimensions: 384,
+    pooling: 'mean',
+    prefix: { query: '', document: '' },
+    maxTokens: 256,
+    chunkSize: 600,
+    thresholds: { safety: 0.70, default: 0.65 }
+  },
+  'paraphrase-multilingual-MiniLM-L12-v2': {
+    id: 'paraphrase-multilingual-MiniLM-L12-v2',
+    modelId: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+    label: 'MiniLM L12 (multilingual)',
+    languages: '50+ languages',
+    dimensions: 384,
+    pooling: 'mean',
+    prefix: { query: '', document: '' },
+    maxTokens: 128,
+    chunkSize: 300,
+    thresholds: { safety: 0.75, default: 0.70 }
+  },
+  'multilingual-e5-small': {
+    id: 'multilingual-e5-small',
+    modelId: 'Xenova/multilingual-e5-small',
+    label: 'e5 small (multilingual)',
+    languages: '100 languages',
+    dimensions: 384,
+    pooling: 'mean',
+    // Symmetric similarity: e5 expects "query: " on both sides
+    prefix: { query: 'query: ', document: 'query: ' },
+    maxTokens: 512,
+    chunkSize: 1200,
+    // e5 similarities sit in a narrow band near the top of the scale
+    thresholds: { safety: 0.90, default: 0.88 }
+  }
+};
+
+export const DEFAULT_EMBEDDING_MODEL = 'bge-base-en-v1.5';
+
+export const MODEL_MISSING_ERROR_CODE = 'model_missing';
+
+/**
+ * Look up a registry entry
+ * @param {string} id - Registry id
+ * @returns {Object} - Model settings (the default model for unknown ids)
+ */
+export const getEmbeddingModel = (id) => EMBEDDING_MODELS[id] || EMBEDDING_MODELS[DEFAULT_EMBEDDING_MODEL];
+
+/**
+ * Configured model source
+ * @returns {Object} - { mode: 'remote' | 'local', localModelPath, wasmPath }
+ */
+export const getEmbeddingModelSource = () => {
+  const mode = process.env.NEXT_PUBLIC_EMBEDDING_MODEL_SOURCE === 'local' ? 'local' : 'remote';
+  const configuredPath = process.env.NEXT_PUBLIC_EMBEDDING_MODEL_PATH || '/models/';
+  const localModelPath = configuredPath.endsWith('/') ? configuredPath : `${configuredPath}/`;
+
+  return {
+    mode,
+    localModelPath,
+    wasmPath: mode === 'local' ? `${localModelPath}ort/` : null
+  };
+};
+
+/**
+ * Point the transformers.js environment at the model source
+ * @param {Object} transformers - The @xenova/transformers module
+ * @param {Object} source - From getEmbeddingModelSource
+ */
+export const configureModelSource = (transformers, source = getEmbeddingModelSource()) => {
+  const { env } = transformers;
+  const local = source.mode === 'local';
+
+  env.allowLocalModels = local;
+  env.allowRemoteModels = !local;
+  env.localModelPath = source.localModelPath;
+
+  if (source.wasmPath && env.backends?.onnx?.wasm) {
+    env.backends.onnx.wasm.wasmPaths = source.wasmPath;
+  }
+};
+
+/**
+ * Whether a load error means the local model files are not there
+ * @param {Error} error - Error thrown while creating the pipeline
+ * @returns {boolean} - True for a missing local file
+ */
+export const isModelMissingError = (error) => {
+  return /not found locally|Could not locate file/i.test(error?.message || '');
+};
+
+/**
+ * Create the feature-extraction pipeline
+ * @param {Object} transformers - The @xenova/transformers module
+ * @param {Object} model - Registry entry
+ * @param {Function} onProgress - transformers.js progress_callback
+ * @returns {Promise<Function>} - Pipeline
+ */
+export const createEmbeddingPipeline = async (transformers, model, onProgress = undefined) => {
+  const extractor = await transformers.pipeline('feature-extraction', model.modelId, {
+    quantized: true,
+    revision: 'main',
+    progress_callback: onProgress
+  });
+  extractor.tokenizer.model_max_length = model.maxTokens;
+  return extractor;
+};
+
+/**
+ * Embed one text with a loaded pipeline (model pooling, normalized)
+ * @param {Function} extractor - Pipeline from createEmbeddingPipeline
+ * @param {Object} model - Registry entry the pipeline was created for
+ * @param {string} text - Text to embed (truncated to the model's maxTokens)
+ * @param {string} kind - 'query' (prompts) or 'document' (rule exemplars), selects the prefix
+ * @returns {Promise<Array>} - Embedding
+ */
+export const embedText = async (extractor, model, text, kind = 'query') => {
+  const output = await extractor(`${model.prefix[kind] || ''}${text}`, { pooling: model.pooling, normalize: true });
+  return Array.from(output.data);
+};
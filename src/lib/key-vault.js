@@ -0,0 +1,232 @@
+// src/lib/key-vault.js
+
+/**
+ * Server-side API key vault.
+ *
+ * Provider keys are read from environment variables (ANTHROPIC_API_KEY, ...)
+ * or from an AES-256-GCM encrypted file written by `npm run keys`. Keys never
+ * leave the server; the client only learns which providers are configured.
+ *
+ * "Bring your own key" (a key sent by the browser with the request) stays
+ * available unless ALLOW_CLIENT_API_KEYS=false.
+ *
+ * Requests spend a server-held key only with the APP_ACCESS_TOKEN shared
+ * secret. Without one, server keys stay locked unless the deployment opts
+ * into open access with ALLOW_UNAUTHENTICATED_SERVER_KEYS=true.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+import { mkdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const VAULT_VERSION = 1;
+
+export const getVaultFilePath = () => {
+  return process.env.KEY_VAULT_FILE || path.join(process.cwd(), '.keys', 'vault.json');
+};
+
+const getVaultSecret = () => process.env.KEY_VAULT_SECRET || '';
+
+/**
+ * Whether requests may carry the user's own API key
+ * @returns {boolean} - Whether bring-your-own-key mode is allowed
+ */
+export const isClientKeyAllowed = () => {
+  return process.env.ALLOW_CLIENT_API_KEYS !== 'false';
+};
+
+export const ACCESS_TOKEN_HEADER = 'x-mixture-access-token';
+
+const getAccessToken = () => process.env.APP_ACCESS_TOKEN || '';
+
+/**
+ * Whether the deployment explicitly lets anyone spend the server-held keys
+ * @returns {boolean} - Whether unauthenticated server-key access is allowed
+ */
+export const isUnauthenticatedServerKeyAccessAllowed = () => {
+  return process.env.ALLOW_UNAUTHENTICATED_SERVER_KEYS === 'true';
+};
+
+/**
+ * Whether requests must carry APP_ACCESS_TOKEN to use server-held keys
+ * @returns {boolean} - Whether an access token is required
+ */
+export const isAccessTokenRequired = () => {
+  return !isUnauthenticatedServerKeyAccessAllowed();
+};
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} provided - Secret sent with the request
+ * @param {string} expected - Configured secret
+ * @returns {boolean} - Whether they match
+ */
+export const secretsMatch = (provided, expected) => {
+  if (!provided || !expected) return false;
+
+  // Hashing first gives equal-length buffers whatever the input lengths
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(provided), digest(expected));
+};
+
+/**
+ * Check whether a request may spend server-held keys
+ * @param {Request} request - Incoming request (reads the X-Mixture-Access-Token header)
+ * @returns {boolean} - Whether server keys may be used
+ */
+export const isServerKeyAccessAuthorized = (request) => {
+  if (isUnauthenticatedServerKeyAccessAllowed()) return true;
+
+  return secretsMatch(request.headers.get(ACCESS_TOKEN_HEADER), getAccessToken());
+};
+
+/**
+ * Explain why a request was refused server-held keys
+ * @returns {string} - Message for the 401 response
+ */
+export const getServerKeyAccessError = () => {
+  return getAccessToken()
+    ? 'Invalid or missing access token. Enter the server access token in settings.'
+    : 'Server-held API keys are locked. Set APP_ACCESS_TOKEN on the server (or ALLOW_UNAUTHENTICATED_SERVER_KEYS=true for a private deployment).';
+};
+
+// Values copied verbatim from .env.example are not real keys
+const isUsableKey = (value) => {
+  return typeof value === 'string' && value.trim().length > 0 && !/^your_.*_here$/.test(value.trim());
+};
+
+const deriveKey = (secret, salt) => scryptSync(secret, salt, 32);
+
+/**
+ * Encrypt a { keyId: apiKey } map for storage
+ * @param {Object} keys - API keys by vault key id
+ * @param {string} secret - Vault passphrase
+ * @returns {Object} - Serializable encrypted payload
+ */
+export const encryptVault = (keys, secret) => {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(keys), 'utf8'), cipher.final()]);
+
+  return {
+    version: VAULT_VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+/**
+ * Decrypt a payload produced by encryptVault
+ * @param {Object} payload - Encrypted payload
+ * @param {string} secret - Vault passphrase
+ * @returns {Object} - API keys by vault key id
+ */
+export const decryptVault = (payload, secret) => {
+  if (payload.version !== VAULT_VERSION) {
+    throw new Error(`Unsupported key vault version: ${payload.version}`);
+  }
+
+  const decipher = createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(secret, Buffer.from(payload.salt, 'base64')),
+    Buffer.from(payload.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+  const data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+};
+
+// Decrypted vault, reloaded when the file changes
+let vaultCache = { mtimeMs: null, keys: {} };
+
+/**
+ * Read and decrypt the vault file, throwing if it exists but cannot be opened
+ * @returns {Object} - API keys by vault key id ({} if there is no vault)
+ */
+export const loadVaultFile = async () => {
+  const secret = getVaultSecret();
+  if (!secret) return {};
+
+  const filePath = getVaultFilePath();
+
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = await stat(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+
+  if (vaultCache.mtimeMs !== mtimeMs) {
+    const keys = decryptVault(JSON.parse(await readFile(filePath, 'utf8')), secret);
+    vaultCache = { mtimeMs, keys };
+  }
+
+  return vaultCache.keys;
+};
+
+/**
+ * Read the vault for request handling; an unreadable vault counts as empty
+ * @returns {Object} - API keys by vault key id
+ */
+export const readVaultFile = async () => {
+  try {
+    return await loadVaultFile();
+  } catch (error) {
+    console.error('⚠️ Unable to read key vault:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Encrypt and write the vault file
+ * @param {Object} keys - API keys by vault key id
+ */
+export const writeVaultFile = async (keys) => {
+  const secret = getVaultSecret();
+  if (!secret) {
+    throw new Error('KEY_VAULT_SECRET must be set to write the key vault');
+  }
+
+  const filePath = getVaultFilePath();
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(encryptVault(keys, secret), null, 2), { mode: 0o600 });
+};
+
+/**
+ * Find the server-held key for a provider
+ * @param {Object} adapter - Provider adapter
+ * @returns {Object} - { apiKey, source: 'env' | 'vault' } or { apiKey: null, source: null }
+ */
+export const getServerApiKey = async (adapter) => {
+  const envKey = process.env[adapter.apiKeyEnv];
+  if (isUsableKey(envKey)) {
+    return { apiKey: envKey.trim(), source: 'env' };
+  }
+
+  const vaultKey = (await readVaultFile())[adapter.keyId];
+  if (isUsableKey(vaultKey)) {
+    return { apiKey: vaultKey.trim(), source: 'vault' };
+  }
+
+  return { apiKey: null, source: null };
+};
+
+/**
+ * Pick the key for a request: the user's own key in bring-your-own-key mode,
+ * otherwise the server-held key
+ * @param {Object} adapter - Provider adapter
+ * @param {string} clientApiKey - Key sent by the browser (optional)
+ * @returns {Object} - { apiKey, source: 'client' | 'env' | 'vault' | null }
+ */
+export const resolveApiKey = async (adapter, clientApiKey) => {
+  if (isClientKeyAllowed() && isUsableKey(clientApiKey)) {
+    return { apiKey: clientApiKey.trim(), source: 'client' };
+  }
+
+  return getServerApiKey(adapter);
+};
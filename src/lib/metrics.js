@@ -0,0 +1,392 @@
+// src/lib/metrics.js
+
+/**
+ * Monitoring metrics for the rules database's `monitoring_metrics` section.
+ *
+ * Inputs:
+ * - routing decisions: compact records of each routed message (see
+ *   summarizeRoutingDecision), kept in a local log by the chat UI
+ * - feedback records: the 👍/👎 routing feedback
+ * - a rule regression report: labelled cases from test_cases and rule examples
+ *
+ * Every metric named in monitoring_metrics is returned with its value (or
+ * null when it cannot be measured from the available data), and the
+ * `recommended_thresholds` are checked against the matching metrics.
+ */
+
+import { calculateGoalScore, hasConflictingCapabilities, meetsGoalThresholds, selectEngineForGoals } from './router/index.js';
+
+/**
+ * Reduce a routing analysis to the fields the metrics need
+ * @param {Object} analysis - Router analysis (after any availability fallback)
+ * @param {Object} context - { defaultEngine, availableEngines, fallbackUsed }
+ * @returns {Object} - Routing decision record
+ */
+export const summarizeRoutingDecision = (analysis, { defaultEngine, availableEngines, fallbackUsed = false }) => {
+  const details = analysis.goalBasedRoutingDetails;
+  // Combined safety decisions are measured against the merged goal set
+  const goalRule = (details?.rule && {
+    ...details.rule,
+    required_goals: details.goals || details.rule.required_goals,
+    conflicting_capabilities: details.conflictingCapabilities || details.rule.conflicting_capabilities
+  })
+    || analysis.matchedRules.find(rule => rule.required_goals)
+    || null;
+
+  return {
+    timestamp: new Date().toISOString(),
+    defaultEngine,
+    finalEngine: analysis.recommendedEngine,
+    availableEngines,
+    routingApplied: analysis.routingApplied,
+    fallbackUsed,
+    goalBasedRouting: analysis.goalBasedRouting,
+    goalScore: analysis.goalBasedRoutingDetails?.goalScore ?? null,
+    detectionMethods: analysis.detectionMethods,
+    goalRule: goalRule && {
+      id: goalRule.id,
+      required_goals: goalRule.required_goals,
+      conflicting_capabilities: goalRule.conflicting_capabilities || []
+    },
+    matchedRules: analysis.matchedRules.map(rule => ({
+      id: rule.id,
+      priority: rule.priority,
+      rule_type: rule.rule_type,
+      goal_based: Boolean(rule.required_goals),
+      conflicting_capabilities: rule.conflicting_capabilities || []
+    }))
+  };
+};
+
+const ratio = (count, total) => (total > 0 ? count / total : null);
+
+const metric = (value, sampleSize, note = null) => ({ value, sampleSize, note });
+
+const NOT_MEASURED = (note) => metric(null, 0, note);
+
+const countBy = (items, getKey) => {
+  const counts = {};
+  for (const item of items) {
+    const key = getKey(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+};
+
+const positiveRate = (records) => {
+  const rated = records.filter(record => record.feedback === 'positive' || record.feedback === 'negative');
+  return metric(ratio(rated.filter(record => record.feedback === 'positive').length, rated.length), rated.length);
+};
+
+/**
+ * Compute rule-trigger confusion counts from labelled regression cases
+ * @param {Array} results - Regression results with expectations and matchedRules
+ * @returns {Object} - { tp, fp, fn, tn }
+ */
+const countTriggerLabels = (results) => {
+  const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+
+  for (const result of results) {
+    const { triggerRules = [], notTriggerRules = [] } = result.expectations || {};
+    const matched = result.matchedRules || [];
+
+    for (const ruleId of triggerRules) {
+      if (matched.includes(ruleId)) counts.tp += 1;
+      else counts.fn += 1;
+    }
+
+    for (const ruleId of notTriggerRules) {
+      if (matched.includes(ruleId)) counts.fp += 1;
+      else counts.tn += 1;
+    }
+  }
+
+  return counts;
+};
+
+// Cases that assert which engine the router picks
+const isEngineOutcomeCase = (result) => {
+  const expectations = result.expectations || {};
+  return Boolean(
+    expectations.expectedGoals?.length ||
+    expectations.preferEngines?.length ||
+    expectations.avoidEngines?.length ||
+    expectations.expectedEngine
+  );
+};
+
+/**
+ * Compute every metric in monitoring_metrics
+ * @param {Object} options - { rulesDatabase, decisions, feedback, regressionReport }
+ * @returns {Object} - { metrics: { category: { name: { value, sampleSize, note, description } } },
+ *                       thresholds, alerts, sampleSizes }
+ */
+export const computeMonitoringMetrics = ({ rulesDatabase, decisions = [], feedback = [], regressionReport = null }) => {
+  const engines = rulesDatabase.engines;
+  const allEngineIds = Object.keys(engines);
+  const rulesById = Object.fromEntries(rulesDatabase.routing_rules.map(rule => [rule.id, rule]));
+
+  const goalDecisions = decisions.filter(decision => decision.goalRule && engines[decision.finalEngine]);
+  const routingFeedback = feedback.filter(record => record.feedback === 'positive' || record.feedback === 'negative');
+  const labelledResults = regressionReport?.results || [];
+
+  // Goal achievement effectiveness
+  const satisfied = goalDecisions.filter(decision =>
+    meetsGoalThresholds(engines[decision.finalEngine], decision.goalRule.required_goals)
+  );
+
+  const utilizationDecisions = goalDecisions
+    .map(decision => ({
+      decision,
+      best: selectEngineForGoals(
+        decision.goalRule.required_goals,
+        decision.goalRule.conflicting_capabilities,
+        allEngineIds,
+        engines
+      )
+    }))
+    .filter(({ best }) => best);
+  const utilized = utilizationDecisions.filter(({ decision, best }) => {
+    // Ties count as the strongest engine
+    const finalScore = calculateGoalScore(engines[decision.finalEngine], decision.goalRule.required_goals);
+    return finalScore >= best.goalScore - 1e-9;
+  });
+
+  // Decisions where a matched rule's conflicts excluded at least one available engine
+  const conflictDecisions = decisions.filter(decision => {
+    const conflicts = decision.matchedRules.flatMap(rule => rule.conflicting_capabilities);
+    return conflicts.length > 0 && (decision.availableEngines || []).some(engineId =>
+      engines[engineId] && hasConflictingCapabilities(engines[engineId], conflicts)
+    );
+  });
+  const conflictsAvoided = conflictDecisions.filter(decision => {
+    const conflicts = decision.matchedRules.flatMap(rule => rule.conflicting_capabilities);
+    return engines[decision.finalEngine] && !hasConflictingCapabilities(engines[decision.finalEngine], conflicts);
+  });
+
+  const conflictCases = labelledResults.filter(result => result.group === 'capability_conflict_tests');
+
+  // Routing quality from labelled cases
+  const labels = countTriggerLabels(labelledResults);
+  const labelCount = labels.tp + labels.fp + labels.fn + labels.tn;
+  const precision = ratio(labels.tp, labels.tp + labels.fp);
+  const recall = ratio(labels.tp, labels.tp + labels.fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? (2 * precision * recall) / (precision + recall)
+    : null;
+  const engineOutcomeCases = labelledResults.filter(isEngineOutcomeCase);
+
+  // Per-rule activity
+  const goalTriggers = countBy(
+    decisions.flatMap(decision => decision.matchedRules.filter(rule => rule.goal_based)),
+    rule => rule.id
+  );
+
+  const selectionByRule = {};
+  for (const decision of goalDecisions) {
+    const ruleId = decision.goalRule.id;
+    selectionByRule[ruleId] = selectionByRule[ruleId] || {};
+    selectionByRule[ruleId][decision.finalEngine] = (selectionByRule[ruleId][decision.finalEngine] || 0) + 1;
+  }
+
+  // Availability changed the outcome: fallback, or the best engine overall was not available
+  const availabilityAffected = decisions.filter(decision => {
+    if (decision.fallbackUsed) return true;
+    if (!decision.goalRule) return false;
+
+    const bestOverall = selectEngineForGoals(
+      decision.goalRule.required_goals,
+      decision.goalRule.conflicting_capabilities,
+      allEngineIds,
+      engines
+    );
+    return bestOverall && bestOverall.id !== decision.finalEngine && !(decision.availableEngines || []).includes(bestOverall.id);
+  });
+
+  // Rule-type success on labelled rule examples
+  const ruleTypeResults = {};
+  for (const result of labelledResults) {
+    const match = result.group.match(/^examples\.(.+)\.should_(not_)?trigger$/);
+    const rule = match && rulesById[match[1]];
+    if (!rule) continue;
+
+    const ruleType = rule.required_goals ? 'goal-based' : rule.rule_type;
+    ruleTypeResults[ruleType] = ruleTypeResults[ruleType] || { passed: 0, total: 0 };
+    ruleTypeResults[ruleType].total += 1;
+    if (result.passed) ruleTypeResults[ruleType].passed += 1;
+  }
+
+  // Goal achievement scores per engine (from the capability matrix)
+  const scoreDistribution = {};
+  for (const [engineId, engine] of Object.entries(engines)) {
+    const scores = Object.values(engine.goal_achievements || {});
+    if (scores.length === 0) continue;
+
+    scoreDistribution[engineId] = {
+      min: Math.min(...scores),
+      mean: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+      max: Math.max(...scores)
+    };
+  }
+
+  const values = {
+    goal_achievement_effectiveness: {
+      goal_coverage: metric(
+        ratio(decisions.filter(decision => decision.matchedRules.some(rule => rule.goal_based)).length, decisions.length),
+        decisions.length
+      ),
+      capability_utilization: metric(ratio(utilized.length, utilizationDecisions.length), utilizationDecisions.length),
+      goal_satisfaction_rate: metric(ratio(satisfied.length, goalDecisions.length), goalDecisions.length),
+      capability_conflict_detection: conflictDecisions.length > 0
+        ? metric(ratio(conflictsAvoided.length, conflictDecisions.length), conflictDecisions.length)
+        : metric(
+          ratio(conflictCases.filter(result => result.passed).length, conflictCases.length),
+          conflictCases.length,
+          conflictCases.length > 0 ? 'From labelled capability_conflict_tests' : null
+        )
+    },
+
+    routing_quality: {
+      precision: metric(precision, labels.tp + labels.fp, 'Rule triggers on labelled examples'),
+      recall: metric(recall, labels.tp + labels.fn, 'Rule triggers on labelled examples'),
+      f1_score: metric(f1, labelCount),
+      goal_alignment_accuracy: metric(
+        ratio(engineOutcomeCases.filter(result => result.passed).length, engineOutcomeCases.length),
+        engineOutcomeCases.length,
+        'Engine-selection test cases that pass'
+      )
+    },
+
+    performance_tracking: {
+      goal_trigger_frequency: metric(decisions.length > 0 ? goalTriggers : null, decisions.length),
+      engine_selection_distribution: metric(goalDecisions.length > 0 ? selectionByRule : null, goalDecisions.length),
+      goal_vs_legacy_effectiveness: metric(
+        routingFeedback.length > 0
+          ? {
+            'goal-based': positiveRate(routingFeedback.filter(record => record.goalBasedRouting)).value,
+            legacy: positiveRate(routingFeedback.filter(record => !record.goalBasedRouting)).value
+          }
+          : null,
+        routingFeedback.length,
+        'Share of positive feedback'
+      ),
+      availability_impact: metric(ratio(availabilityAffected.length, decisions.length), decisions.length),
+      user_satisfaction_scores: { ...positiveRate(routingFeedback), note: 'Share of positive feedback' },
+      explanation_clarity: NOT_MEASURED('Feedback does not yet ask about explanations')
+    },
+
+    dual_system_metrics: {
+      simple_vs_goal_usage: metric(
+        decisions.length > 0
+          ? {
+            'goal-based': decisions.filter(decision => decision.matchedRules.some(rule => rule.goal_based)).length,
+            simple: decisions.filter(decision => decision.matchedRules.some(rule => !rule.goal_based)).length
+          }
+          : null,
+        decisions.length
+      ),
+      rule_type_effectiveness: metric(
+        Object.keys(ruleTypeResults).length > 0
+          ? Object.fromEntries(Object.entries(ruleTypeResults).map(([type, counts]) => [type, counts.passed / counts.total]))
+          : null,
+        Object.values(ruleTypeResults).reduce((sum, counts) => sum + counts.total, 0),
+        'Pass rate of labelled rule examples'
+      ),
+      migration_patterns: NOT_MEASURED('Rule edits are not tracked over time'),
+      rule_complexity_impact: NOT_MEASURED('Needs per-rule latency measurements')
+    },
+
+    system_health: {
+      goal_score_distribution: metric(scoreDistribution, Object.keys(scoreDistribution).length),
+      capability_conflict_rate: metric(ratio(conflictDecisions.length, decisions.length), decisions.length),
+      fallback_usage_rate: metric(
+        ratio(decisions.filter(decision => decision.fallbackUsed).length, decisions.length),
+        decisions.length
+      ),
+      threshold_tuning_effectiveness: NOT_MEASURED('Needs before/after threshold change comparisons')
+    }
+  };
+
+  // Attach the descriptions from the rules database
+  const metrics = {};
+  for (const [category, entries] of Object.entries(values)) {
+    metrics[category] = {};
+    for (const [name, entry] of Object.entries(entries)) {
+      metrics[category][name] = {
+        ...entry,
+        description: rulesDatabase.monitoring_metrics?.[category]?.[name] || null
+      };
+    }
+  }
+
+  const thresholds = checkRecommendedThresholds(metrics, rulesDatabase.monitoring_metrics?.recommended_thresholds || {});
+
+  return {
+    metrics,
+    thresholds,
+    alerts: thresholds.filter(threshold => threshold.status === 'alert'),
+    sampleSizes: {
+      decisions: decisions.length,
+      goalDecisions: goalDecisions.length,
+      feedback: routingFeedback.length,
+      labelledCases: labelledResults.length
+    }
+  };
+};
+
+/**
+ * Find the metric a recommended threshold refers to.
+ * `min_goal_coverage` → goal_coverage, `target_goal_satisfaction` → goal_satisfaction_rate
+ * @param {Object} metrics - Computed metrics by category
+ * @param {string} name - Metric name without the min_/max_/target_ prefix
+ * @returns {Object|null} - { category, name, entry } or null
+ */
+const findMetric = (metrics, name) => {
+  for (const candidate of [name, `${name}_rate`]) {
+    for (const [category, entries] of Object.entries(metrics)) {
+      if (entries[candidate]) {
+        return { category, name: candidate, entry: entries[candidate] };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Check recommended_thresholds against computed metrics
+ * @param {Object} metrics - Computed metrics by category
+ * @param {Object} recommendedThresholds - e.g. { min_goal_coverage: 0.9 }
+ * @returns {Array} - [{ threshold, limit, direction, metric, category, value, status, message }]
+ */
+export const checkRecommendedThresholds = (metrics, recommendedThresholds) => {
+  return Object.entries(recommendedThresholds).map(([threshold, limit]) => {
+    const [, prefix, name] = threshold.match(/^(min|max|target)_(.+)$/) || [];
+    const direction = prefix === 'max' ? 'max' : 'min';
+    const found = name ? findMetric(metrics, name) : null;
+
+    if (!found) {
+      return { threshold, limit, direction, metric: null, category: null, value: null, status: 'unknown', message: `No metric matches ${threshold}` };
+    }
+
+    const { value } = found.entry;
+    if (typeof value !== 'number') {
+      return { threshold, limit, direction, metric: found.name, category: found.category, value: null, status: 'insufficient_data', message: `Not enough data to measure ${found.name}` };
+    }
+
+    const ok = direction === 'max' ? value <= limit : value >= limit;
+    const percent = (number) => `${(number * 100).toFixed(1)}%`;
+
+    return {
+      threshold,
+      limit,
+      direction,
+      metric: found.name,
+      category: found.category,
+      value,
+      status: ok ? 'ok' : 'alert',
+      message: ok
+        ? `${found.name} ${percent(value)} meets ${threshold} (${percent(limit)})`
+        : `${found.name} ${percent(value)} is ${direction === 'max' ? 'above' : 'below'} ${threshold} (${percent(limit)})`
+    };
+  });
+};
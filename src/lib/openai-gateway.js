@@ -0,0 +1,288 @@
+// src/lib/openai-gateway.js
+
+/**
+ * OpenAI-compatible gateway helpers for /api/v1.
+ *
+ * Requests use the OpenAI chat completions format. `model: "auto"` runs the
+ * router on the latest user message; an engine id (e.g. "claude") skips
+ * routing. Responses are standard completion objects with the routing
+ * decision added as a `mixture_of_voices` field and X-Mixture-* headers.
+ */
+
+import { normalizeConversation } from './conversation.js';
+import { readServerSentEvents, SSE_HEADERS } from './streaming.js';
+import { getAvailableAdapterEngines, PROVIDER_ADAPTERS } from './providers/index.js';
+import { getServerApiKey, isUnauthenticatedServerKeyAccessAllowed, secretsMatch } from './key-vault.js';
+
+export const AUTO_MODEL = 'auto';
+
+/**
+ * Build an OpenAI-style error body
+ * @param {string} message - Human-readable message
+ * @param {string} type - Error type (e.g. 'invalid_request_error')
+ * @param {string} code - Machine-readable code (optional)
+ * @returns {Object} - { error: { message, type, param, code } }
+ */
+export const buildGatewayError = (message, type, code = null) => {
+  return { error: { message, type, param: null, code } };
+};
+
+/**
+ * Check the gateway bearer token. The gateway only spends server-held keys,
+ * so without GATEWAY_API_KEY it is closed unless
+ * ALLOW_UNAUTHENTICATED_SERVER_KEYS=true
+ * @param {Request} request - Incoming request
+ * @returns {boolean} - Whether the request may use the gateway
+ */
+export const isGatewayRequestAuthorized = (request) => {
+  const gatewayKey = process.env.GATEWAY_API_KEY;
+  if (!gatewayKey) return isUnauthenticatedServerKeyAccessAllowed();
+
+  const authorization = request.headers.get('authorization') || '';
+  return secretsMatch(authorization.replace(/^Bearer\s+/i, ''), gatewayKey);
+};
+
+/**
+ * Explain why a gateway request was refused
+ * @returns {string} - Message for the 401 response
+ */
+export const getGatewayAuthError = () => {
+  return process.env.GATEWAY_API_KEY
+    ? 'Invalid gateway API key'
+    : 'The gateway is disabled until GATEWAY_API_KEY is set on the server';
+};
+
+/**
+ * Engines whose provider has a server-held key (the gateway never takes client keys)
+ * @returns {Promise<Array>} - Engine ids
+ */
+export const getGatewayEngines = async () => {
+  const engines = [];
+
+  for (const adapter of Object.values(PROVIDER_ADAPTERS)) {
+    const { source } = await getServerApiKey(adapter);
+    if (source) {
+      engines.push(...getAvailableAdapterEngines(adapter));
+    }
+  }
+
+  return engines;
+};
+
+// OpenAI content can be an array of parts; only text parts are forwarded
+const flattenContent = (content) => {
+  if (!Array.isArray(content)) return content;
+
+  return content
+    .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('\n');
+};
+
+/**
+ * Convert an OpenAI chat completions body to a normalized conversation
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { messages } on success, { error, message } on failure
+ */
+export const toGatewayConversation = (body) => {
+  if (!Array.isArray(body?.messages)) {
+    return normalizeConversation({ messages: body?.messages });
+  }
+
+  return normalizeConversation({
+    messages: body.messages.map(turn => ({
+      // Newer OpenAI clients send system prompts with the developer role
+      role: turn?.role === 'developer' ? 'system' : turn?.role,
+      content: flattenContent(turn?.content)
+    }))
+  });
+};
+
+/**
+ * Summarize a routing decision for API clients
+ * @param {string} engine - Engine that answered
+ * @param {Object} analysis - Router analysis, or null when routing was bypassed
+ * @returns {Object} - Routing metadata
+ */
+export const buildRoutingMetadata = (engine, analysis) => {
+  if (!analysis) {
+    return {
+      engine,
+      routed: false,
+      routing_applied: false,
+      matched_rules: [],
+      suppressed_rules: [],
+      obfuscation: null,
+      reasoning: `Engine "${engine}" requested explicitly - routing bypassed`,
+      transparency_notes: null,
+      safety_override: null,
+      detection_methods: []
+    };
+  }
+
+  return {
+    engine,
+    routed: true,
+    routing_applied: analysis.routingApplied,
+    matched_rules: analysis.matchedRules.map(rule => rule.id),
+    suppressed_rules: (analysis.suppressedRules || []).map(rule => ({ id: rule.id, reasons: rule.suppressed_matches })),
+    obfuscation: analysis.preprocessedQuery?.obfuscated
+      ? { normalized: analysis.preprocessedQuery.normalized, transformations: analysis.preprocessedQuery.transformations }
+      : null,
+    reasoning: analysis.reasoning,
+    transparency_notes: analysis.transparencyNotes,
+    safety_override: analysis.safetyOverride,
+    detection_methods: analysis.detectionMethods
+  };
+};
+
+/**
+ * Response headers carrying the routing decision (ASCII-only fields)
+ * @param {Object} metadata - Routing metadata from buildRoutingMetadata
+ * @returns {Object} - Header map
+ */
+export const buildRoutingHeaders = (metadata) => {
+  return {
+    'X-Mixture-Engine': metadata.engine,
+    'X-Mixture-Routed': String(metadata.routed),
+    'X-Mixture-Routing-Applied': String(metadata.routing_applied),
+    'X-Mixture-Matched-Rules': metadata.matched_rules.join(',')
+  };
+};
+
+/**
+ * Convert vendor usage (Anthropic or OpenAI field names) to OpenAI usage
+ * @param {Object} usage - Vendor usage object
+ * @returns {Object|undefined} - { prompt_tokens, completion_tokens, total_tokens }
+ */
+export const toOpenAIUsage = (usage) => {
+  if (!usage) return undefined;
+
+  const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+};
+
+// Anthropic stop reasons mapped to OpenAI finish reasons
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+const toFinishReason = (reason) => FINISH_REASONS[reason] || reason || 'stop';
+
+/**
+ * Build a non-streaming chat.completion object
+ * @param {Object} options - { id, created, model, content, usage, finishReason (vendor's), metadata }
+ * @returns {Object} - OpenAI chat completion with a mixture_of_voices field
+ */
+export const buildChatCompletion = ({ id, created, model, content, usage, finishReason, metadata }) => {
+  return {
+    id,
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: toFinishReason(finishReason)
+      }
+    ],
+    usage: toOpenAIUsage(usage),
+    mixture_of_voices: metadata
+  };
+};
+
+/**
+ * Relay a vendor stream as OpenAI chat.completion.chunk events
+ * @param {Response} upstream - Successful streaming response from the vendor
+ * @param {Function} parseEvent - Vendor-specific event normalizer
+ * @param {Object} options - { id, created, model, metadata, provider, headers }
+ * @returns {Response} - text/event-stream response ending with `data: [DONE]`
+ */
+export const createChatCompletionStream = (upstream, parseEvent, { id, created, model, metadata, provider, headers }) => {
+  const encoder = new TextEncoder();
+  const cancelled = new AbortController();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (data) => {
+        controller.enqueue(encoder.encode(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`));
+      };
+
+      const chunk = (delta, finishReason = null, extra = {}) => ({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+        ...extra
+      });
+
+      const usage = {};
+      let finishReason = null;
+      let failed = false;
+
+      try {
+        // Routing metadata travels with the first chunk
+        send(chunk({ role: 'assistant', content: '' }, null, { mixture_of_voices: metadata }));
+
+        streamLoop:
+        for await (const sse of readServerSentEvents(upstream.body, { signal: cancelled.signal })) {
+          for (const normalized of parseEvent(sse)) {
+            if (normalized.type === 'delta') {
+              send(chunk({ content: normalized.text }));
+            } else if (normalized.type === 'usage') {
+              for (const [key, value] of Object.entries(normalized.usage)) {
+                if (value !== undefined) usage[key] = value;
+              }
+              finishReason = normalized.finish_reason || finishReason;
+            } else if (normalized.type === 'error') {
+              failed = true;
+              send(buildGatewayError(normalized.message, 'api_error', 'upstream_error'));
+              break streamLoop;
+            } else if (normalized.type === 'done') {
+              break streamLoop;
+            }
+          }
+        }
+
+        if (cancelled.signal.aborted) {
+          console.log(`${provider} gateway stream aborted by client`);
+        } else if (!failed) {
+          send(chunk({}, toFinishReason(finishReason), {
+            ...(Object.keys(usage).length > 0 && { usage: toOpenAIUsage(usage) })
+          }));
+          send('[DONE]');
+          console.log(`${provider} gateway stream completed`);
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          console.log(`${provider} gateway stream aborted by client`);
+        } else {
+          console.error(`${provider} gateway stream failed:`, error);
+          try {
+            send(buildGatewayError(error.message, 'api_error', 'stream_error'));
+          } catch {}
+        }
+      } finally {
+        try {
+          controller.close();
+        } catch {}
+      }
+    },
+
+    cancel() {
+      cancelled.abort();
+    }
+  });
+
+  return new Response(stream, { headers: { ...SSE_HEADERS, ...headers } });
+};
@@ -0,0 +1,49 @@
+// src/lib/providers/anthropic.js
+
+import { toAnthropicMessages } from '../conversation.js';
+import { parseAnthropicStreamEvent } from '../streaming.js';
+
+const anthropicAdapter = {
+  id: 'claude',
+  name: 'Claude',
+  engines: ['claude'],
+  keyId: 'anthropic',
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  endpoint: 'https://api.anthropic.com/v1/messages',
+  authStyle: 'x-api-key',
+  headers: {
+    'anthropic-version': '2023-06-01'
+  },
+  defaultModel: 'claude-sonnet-4-20250514',
+  models: ['claude-sonnet-4-20250514'],
+  acceptsUnlistedModels: false,
+
+  buildRequest: ({ messages, model, stream }) => {
+    const conversation = toAnthropicMessages(messages);
+
+    return {
+      model,
+      max_tokens: 1024,
+      system: conversation.system,
+      messages: conversation.messages,
+      stream
+    };
+  },
+
+  parseResponse: (data) => {
+    if (!data.content || !Array.isArray(data.content) || data.content.length === 0) {
+      return null;
+    }
+
+    return {
+      content: data.content[0].text,
+      model: data.model,
+      usage: data.usage,
+      finish_reason: data.stop_reason
+    };
+  },
+
+  parseStreamEvent: parseAnthropicStreamEvent
+};
+
+export default anthropicAdapter;
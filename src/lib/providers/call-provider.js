@@ -0,0 +1,120 @@
+// src/lib/providers/call-provider.js
+
+/**
+ * Shared request/response contract for provider adapters.
+ * Handles model selection, authentication, vendor error mapping and
+ * response validation so adapters only describe what differs.
+ */
+
+export class ProviderError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+/**
+ * Pick the model for a request, validating it against the adapter's list
+ * @param {Object} adapter - Provider adapter
+ * @param {string} requestedModel - Model named by the client (optional)
+ * @param {string} engineId - Engine the request is for (optional)
+ * @returns {string} - Model id to send to the vendor
+ */
+export const resolveModel = (adapter, requestedModel, engineId) => {
+  const model = requestedModel || adapter.engineModels?.[engineId] || adapter.defaultModel;
+
+  if (!adapter.acceptsUnlistedModels && !adapter.models.includes(model)) {
+    throw new ProviderError(
+      400,
+      'Unsupported model',
+      `Model "${model}" is not supported. Available models: ${adapter.models.join(', ')}`
+    );
+  }
+
+  return model;
+};
+
+const buildHeaders = (adapter, apiKey) => {
+  const authHeader = adapter.authStyle === 'x-api-key'
+    ? { 'x-api-key': apiKey.trim() }
+    : { 'Authorization': `Bearer ${apiKey.trim()}` };
+
+  return {
+    'Content-Type': 'application/json',
+    ...authHeader,
+    ...adapter.headers
+  };
+};
+
+/**
+ * Call a provider through its adapter
+ * @param {Object} adapter - Provider adapter
+ * @param {Object} options - { messages, apiKey, model, engine, stream, signal }
+ * @returns {Object} - { content, model, usage, actualModel } or, when streaming,
+ *                     { upstream, actualModel } with the raw vendor response
+ */
+export const callProvider = async (adapter, { messages, apiKey, model, engine, stream = false, signal }) => {
+  const modelToUse = resolveModel(adapter, model, engine);
+
+  const response = await fetch(adapter.endpoint, {
+    method: 'POST',
+    // Aborting the client request (stop button) cancels the upstream call
+    signal,
+    headers: buildHeaders(adapter, apiKey),
+    body: JSON.stringify(adapter.buildRequest({ messages, model: modelToUse, stream }))
+  });
+
+  // Handle non-200 responses
+  if (!response.ok) {
+    const errorText = await response.text();
+    let errorMessage = `${adapter.name} API error: ${response.status}`;
+
+    try {
+      const errorData = JSON.parse(errorText);
+      if (errorData.error && errorData.error.message) {
+        errorMessage = errorData.error.message;
+      }
+    } catch (parseError) {
+      errorMessage = errorText || errorMessage;
+    }
+
+    console.error(`${adapter.name} API error:`, {
+      status: response.status,
+      statusText: response.statusText,
+      error: errorText,
+      model: modelToUse
+    });
+
+    throw new ProviderError(response.status, `${adapter.name} API error`, errorMessage);
+  }
+
+  if (stream) {
+    return { upstream: response, actualModel: modelToUse };
+  }
+
+  const data = await response.json();
+  const parsed = adapter.parseResponse(data);
+
+  // Validate response structure
+  if (!parsed) {
+    console.error(`Unexpected ${adapter.name} API response structure:`, data);
+    throw new ProviderError(
+      500,
+      'Invalid response format',
+      `${adapter.name} API returned unexpected response structure`
+    );
+  }
+
+  if (!parsed.content) {
+    console.error(`No content in ${adapter.name} response:`, data);
+    throw new ProviderError(
+      500,
+      'No content',
+      `${adapter.name} API response contained no message content`
+    );
+  }
+
+  return { ...parsed, actualModel: modelToUse };
+};
@@ -0,0 +1,16 @@
+// src/lib/providers/deepseek.js
+
+import { createOpenAICompatibleAdapter } from './openai-compatible.js';
+
+const deepseekAdapter = createOpenAICompatibleAdapter({
+  id: 'deepseek',
+  name: 'DeepSeek',
+  engines: ['deepseek'],
+  keyId: 'deepseek',
+  apiKeyEnv: 'DEEPSEEK_API_KEY',
+  endpoint: 'https://api.deepseek.com/v1/chat/completions',
+  defaultModel: 'deepseek-chat',
+  models: ['deepseek-chat']
+});
+
+export default deepseekAdapter;
@@ -0,0 +1,30 @@
+// src/lib/providers/groq.js
+
+import { createOpenAICompatibleAdapter } from './openai-compatible.js';
+
+const groqAdapter = createOpenAICompatibleAdapter({
+  id: 'groq',
+  name: 'Groq',
+  engines: ['llama'],
+  keyId: 'groq',
+  apiKeyEnv: 'GROQ_API_KEY',
+  endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+  // Default to latest Llama 4 Scout, older models can be requested explicitly
+  defaultModel: 'meta-llama/llama-4-scout-17b-16e-instruct',
+  models: [
+    'meta-llama/llama-4-scout-17b-16e-instruct',
+    'meta-llama/llama-4-maverick-17b-128e-instruct', 
+    'llama-3.1-405b-reasoning',
+    'llama-3.1-70b-versatile',
+    'llama-3.1-8b-instant',
+    'llama-3-groq-70b-tool-use',
+    'llama-3-groq-8b-tool-use'
+  ],
+  requestDefaults: {
+    max_tokens: 2048, // Increased for better responses
+    temperature: 0.7,  // Balanced creativity/accuracy
+    top_p: 0.95       // Good diversity
+  }
+});
+
+export default groqAdapter;
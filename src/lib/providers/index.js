@@ -0,0 +1,76 @@
+// src/lib/providers/index.js
+
+/**
+ * Provider adapter registry.
+ *
+ * Every AI vendor is described by one adapter module declaring:
+ * - id / name: route segment (`/api/ai/<id>`) and display name
+ * - engines: rules-database engine ids served by this provider
+ * - unavailableEngines: served engines never offered as available; they are
+ *   only called when the user picks them explicitly (optional)
+ * - keyId / apiKeyEnv: key vault entry and environment variable holding the API key
+ * - endpoint, authStyle ('bearer' | 'x-api-key') and extra headers
+ * - defaultModel, models and acceptsUnlistedModels
+ * - buildRequest({ messages, model, stream }): vendor request body
+ * - parseResponse(data): { content, model, usage, finish_reason } or null if malformed
+ * - parseStreamEvent(sse): normalized stream events (see lib/streaming.js)
+ *
+ * Adding a provider means adding one adapter module and registering it here.
+ */
+
+import anthropicAdapter from './anthropic.js';
+import openaiAdapter from './openai.js';
+import xaiAdapter from './xai.js';
+import deepseekAdapter from './deepseek.js';
+import groqAdapter from './groq.js';
+
+export const PROVIDER_ADAPTERS = {
+  [anthropicAdapter.id]: anthropicAdapter,
+  [openaiAdapter.id]: openaiAdapter,
+  [xaiAdapter.id]: xaiAdapter,
+  [deepseekAdapter.id]: deepseekAdapter,
+  [groqAdapter.id]: groqAdapter
+};
+
+/**
+ * Look up an adapter by its route id
+ * @param {string} providerId - Provider id (e.g. 'claude', 'groq')
+ * @returns {Object|null} - Adapter or null if unknown
+ */
+export const getProviderAdapter = (providerId) => {
+  return PROVIDER_ADAPTERS[providerId] || null;
+};
+
+/**
+ * Find the adapter that serves a rules-database engine
+ * @param {string} engineId - Engine id (e.g. 'chatgpt', 'llama')
+ * @returns {Object|null} - Adapter or null if no provider serves the engine
+ */
+export const getProviderForEngine = (engineId) => {
+  return Object.values(PROVIDER_ADAPTERS).find(adapter => adapter.engines.includes(engineId)) || null;
+};
+
+/**
+ * Every rules-database engine id some provider serves
+ * @returns {Array} - Engine ids
+ */
+export const getProviderEngineIds = () => {
+  return Object.values(PROVIDER_ADAPTERS).flatMap(adapter => adapter.engines);
+};
+
+/**
+ * Engines of one adapter that can be offered once its key is configured
+ * @param {Object} adapter - Provider adapter
+ * @returns {Array} - Engine ids
+ */
+export const getAvailableAdapterEngines = (adapter) => {
+  return adapter.engines.filter(engineId => !adapter.unavailableEngines?.includes(engineId));
+};
+
+/**
+ * Every engine id that can be offered as available (excludes unavailableEngines)
+ * @returns {Array} - Engine ids
+ */
+export const getAvailableProviderEngineIds = () => {
+  return Object.values(PROVIDER_ADAPTERS).flatMap(getAvailableAdapterEngines);
+};
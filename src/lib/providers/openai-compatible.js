@@ -0,0 +1,42 @@
+// src/lib/providers/openai-compatible.js
+
+import { toOpenAIMessages } from '../conversation.js';
+import { parseOpenAIStreamEvent } from '../streaming.js';
+
+/**
+ * Build an adapter for a vendor that speaks the OpenAI chat completions API
+ * (OpenAI, xAI, DeepSeek and Groq). Only the endpoint, models and request
+ * tuning differ between them.
+ * @param {Object} config - Adapter fields plus optional `requestDefaults`
+ * @returns {Object} - Provider adapter
+ */
+export const createOpenAICompatibleAdapter = ({ requestDefaults = {}, ...config }) => ({
+  authStyle: 'bearer',
+  acceptsUnlistedModels: false,
+
+  buildRequest: ({ messages, model, stream }) => ({
+    model,
+    messages: toOpenAIMessages(messages),
+    max_tokens: 1024,
+    ...requestDefaults,
+    stream,
+    ...(stream && { stream_options: { include_usage: true } })
+  }),
+
+  parseResponse: (data) => {
+    if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
+      return null;
+    }
+
+    return {
+      content: data.choices[0].message?.content,
+      model: data.model,
+      usage: data.usage,
+      finish_reason: data.choices[0].finish_reason
+    };
+  },
+
+  parseStreamEvent: parseOpenAIStreamEvent,
+
+  ...config
+});
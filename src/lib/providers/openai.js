@@ -0,0 +1,26 @@
+// src/lib/providers/openai.js
+
+import { createOpenAICompatibleAdapter } from './openai-compatible.js';
+
+const openaiAdapter = createOpenAICompatibleAdapter({
+  id: 'openai',
+  name: 'OpenAI',
+  engines: ['chatgpt', 'o3'],
+  // o1 models reject the max_tokens, stream_options and system turns this
+  // adapter sends, so o3 is never picked automatically
+  unavailableEngines: ['o3'],
+  keyId: 'openai',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  endpoint: 'https://api.openai.com/v1/chat/completions',
+  defaultModel: 'gpt-4',
+  models: ['gpt-4', 'gpt-4o', 'o1-preview'],
+  // OpenAI model names change often, so unlisted models are passed through
+  acceptsUnlistedModels: true,
+  // Model requested per engine when the client does not name one
+  engineModels: {
+    chatgpt: 'gpt-4',
+    o3: 'o1-preview'
+  }
+});
+
+export default openaiAdapter;
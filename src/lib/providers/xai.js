@@ -0,0 +1,16 @@
+// src/lib/providers/xai.js
+
+import { createOpenAICompatibleAdapter } from './openai-compatible.js';
+
+const xaiAdapter = createOpenAICompatibleAdapter({
+  id: 'grok',
+  name: 'Grok',
+  engines: ['grok'],
+  keyId: 'xai',
+  apiKeyEnv: 'XAI_API_KEY',
+  endpoint: 'https://api.x.ai/v1/chat/completions',
+  defaultModel: 'grok-beta',
+  models: ['grok-beta']
+});
+
+export default xaiAdapter;
@@ -0,0 +1,468 @@
+// src/lib/router/analyze.js
+
+/**
+ * Routing analysis for a single prompt.
+ *
+ * Framework-independent: the chat UI and POST /api/route both call
+ * analyzeMessageForRouting. Semantic matching runs only when an `embed`
+ * function is supplied and the rules carry exemplar embeddings (see
+ * buildRuleExemplarEmbeddings in semantic.js); `embed` must use the model
+ * recorded in the database's `semantic_model`, whose thresholds apply.
+ * Long prompts are embedded as overlapping chunks; each rule takes its best
+ * chunk, which the match reports.
+ */
+
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '../../app/bias-mitigation-rules.js';
+import { generateCombinedGoalExplanation, generateGoalBasedExplanation, selectEngineForGoals, selectEngineForRules } from './goals.js';
+import { getKeywordIndex } from './keyword-index.js';
+import { SILENT_LOGGER } from './logger.js';
+import { applyTriggerContexts } from './matching.js';
+import { normalizePrompt } from './normalize.js';
+import { analyzeQueryForPositiveRouting } from './positive-routing.js';
+import {
+  DEFAULT_SEMANTIC_THRESHOLDS,
+  chunkPrompt,
+  getChunkCoverage,
+  getSemanticThreshold,
+  hasSemanticRepresentation,
+  scoreRuleAcrossChunks
+} from './semantic.js';
+
+/**
+ * Analyze a prompt and decide which engine should answer it
+ * @param {string} message - User prompt
+ * @param {Object} options - Routing inputs
+ * @param {Object} options.rulesDatabase - Rules database (defaults to the bundled rules)
+ * @param {Array} options.availableEngines - Engine ids that can be used
+ * @param {string} options.defaultEngine - Engine used when no routing applies
+ * @param {string} options.selectedEngine - Engine currently selected (defaults to defaultEngine)
+ * @param {boolean} options.positiveRoutingEnabled - Whether performance routing is considered
+ * @param {number} options.positiveRoutingThreshold - Minimum point advantage for performance routing
+ * @param {Function} options.embed - Optional async (text) => embedding for semantic matching
+ * @param {Function} options.embedBatch - Optional async (texts) => embeddings; embeds all chunks of a long prompt in one call
+ * @param {Object} options.logger - Optional { log, warn } (e.g. console); silent by default
+ * @returns {Promise<Object>} - Routing analysis (recommendedEngine, matchedRules, reasoning, ...)
+ */
+export const analyzeMessageForRouting = async (message, {
+  rulesDatabase = COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE,
+  availableEngines,
+  defaultEngine,
+  selectedEngine = defaultEngine,
+  positiveRoutingEnabled = true,
+  positiveRoutingThreshold = 5,
+  embed = null,
+  embedBatch = null,
+  logger = SILENT_LOGGER
+}) => {
+  // Rules match the normalized text, so homoglyphs, leetspeak, zero-width
+  // characters and letter spacing do not hide a trigger
+  const preprocessedQuery = normalizePrompt(message);
+  const normalizedMessage = preprocessedQuery.normalized;
+  const matchedRules = [];
+  const suppressedRules = [];
+  const getEngineName = (engineId) => rulesDatabase.engines[engineId]?.name || 'Unknown Engine';
+
+  logger.log('📄 Starting comprehensive routing analysis...');
+  if (preprocessedQuery.obfuscated) {
+    logger.log(`🕵️ Normalized obfuscated prompt (${preprocessedQuery.transformations.join(', ')}): "${normalizedMessage}"`);
+  }
+
+  // [{ chunk, embedding }]: one chunk unless the prompt is longer than the model's window
+  let chunkEmbeddings = null;
+  let semanticChunks = null;
+  const semanticThresholds = rulesDatabase.semantic_model?.thresholds || DEFAULT_SEMANTIC_THRESHOLDS;
+  if (embed || embedBatch) {
+    try {
+      const chunkSize = rulesDatabase.semantic_model?.chunk_size;
+      const chunks = chunkPrompt(normalizedMessage, chunkSize ? { size: chunkSize, overlap: Math.round(chunkSize / 5) } : {});
+      logger.log(`🧠 Generating semantic embedding for user message${chunks.length > 1 ? ` (${chunks.length} chunks)` : ''}...`);
+
+      let embeddings;
+      if (embedBatch) {
+        embeddings = await embedBatch(chunks.map(chunk => chunk.text));
+      } else {
+        embeddings = [];
+        for (const chunk of chunks) {
+          embeddings.push(await embed(chunk.text));
+        }
+      }
+      chunkEmbeddings = chunks.map((chunk, index) => ({ chunk, embedding: embeddings[index] }));
+      const coverage = getChunkCoverage(chunks, normalizedMessage.length);
+      semanticChunks = { count: chunks.length, coverage, truncated: coverage < 1 };
+      if (semanticChunks.truncated) {
+        logger.warn(`⚠️ Prompt too long for full semantic coverage: ${(coverage * 100).toFixed(1)}% checked in ${chunks.length} chunks`);
+      }
+    } catch (error) {
+      logger.warn('⚠️ Semantic analysis failed, using keyword-only detection:', error);
+    }
+  }
+
+  // Trigger contexts can suppress a keyword match (negative phrases) or
+  // require co-occurring terms, optionally within a word window
+  const describeContext = (match) => (match.context ? ` with "${match.context.join('", "')}"` : '');
+
+  // One pass over the prompt finds every rule's keyword matches
+  const keywordMatchesByRule = getKeywordIndex(rulesDatabase, { logger }).match(normalizedMessage).rules;
+
+  // Apply semantic analysis to ALL rules for comprehensive detection
+  for (const rule of rulesDatabase.routing_rules) {
+    let ruleTriggered = false;
+    const matches = [];
+    const suppressedMatches = [];
+    let semanticScore = 0;
+    let semanticExemplar = null;
+    let semanticChunk = null;
+
+    // Keyword matching with conservative distance for all rules
+    if (rule.triggers.topics) {
+      const keywordMatches = applyTriggerContexts(
+        normalizedMessage,
+        keywordMatchesByRule[rule.id].topics,
+        rule.trigger_contexts,
+        'topics'
+      );
+      
+      keywordMatches.matches.forEach(match => {
+        if (match.type === 'exact') {
+          matches.push(`Keyword: "${match.keyword}"${describeContext(match)}`);
+          ruleTriggered = true;
+        } else if (match.distance === 1) {
+          matches.push(`Fuzzy keyword: "${match.keyword}" (matched "${match.matched_word}", distance: ${match.distance})${describeContext(match)}`);
+          ruleTriggered = true;
+        }
+      });
+
+      keywordMatches.suppressed.forEach(match => {
+        suppressedMatches.push(`Keyword "${match.keyword}" suppressed: ${match.reason}`);
+      });
+    }
+
+    // Dog whistle detection (primarily for safety rules but can apply to others)
+    if (rule.triggers.dog_whistles) {
+      const dogWhistleMatches = applyTriggerContexts(
+        normalizedMessage,
+        keywordMatchesByRule[rule.id].dog_whistles,
+        rule.trigger_contexts,
+        'dog_whistles'
+      );
+      
+      dogWhistleMatches.matches.forEach(match => {
+        if (match.type === 'exact') {
+          matches.push(`Dog whistle: "${match.keyword}"${describeContext(match)}`);
+          ruleTriggered = true;
+        } else if (match.distance === 1) {
+          matches.push(`Fuzzy dog whistle: "${match.keyword}" (matched "${match.matched_word}", distance: ${match.distance})${describeContext(match)}`);
+          ruleTriggered = true;
+        }
+      });
+
+      dogWhistleMatches.suppressed.forEach(match => {
+        suppressedMatches.push(`Dog whistle "${match.keyword}" suppressed: ${match.reason}`);
+      });
+    }
+
+    // SEMANTIC ANALYSIS - Core safety feature applied to ALL rules
+    if (chunkEmbeddings && hasSemanticRepresentation(rule)) {
+      const similarity = scoreRuleAcrossChunks(chunkEmbeddings, rule);
+      semanticScore = similarity.score;
+      semanticExemplar = similarity.exemplar;
+      semanticChunk = chunkEmbeddings.length > 1
+        ? { index: similarity.chunk.index, count: chunkEmbeddings.length, start: similarity.chunk.start, end: similarity.chunk.end, text: similarity.chunk.text }
+        : null;
+      const chunkNote = semanticChunk
+        ? `, chunk ${semanticChunk.index + 1}/${semanticChunk.count} at characters ${semanticChunk.start}-${semanticChunk.end}`
+        : '';
+      
+      // Safety rules use a higher floor to reduce false positives; both depend on the indexing model
+      const threshold = getSemanticThreshold(rule, semanticThresholds);
+      
+      if (semanticScore > threshold) {
+        matches.push(`Semantic pattern (${(semanticScore * 100).toFixed(1)}% similarity${semanticExemplar ? ` to "${semanticExemplar}"` : ''}${chunkNote})`);
+        ruleTriggered = true;
+      } else if (similarity.positive > threshold && similarity.counterexample) {
+        suppressedMatches.push(`Semantic pattern suppressed: closer to counterexample "${similarity.counterexample}" (${(similarity.negative * 100).toFixed(1)}%${chunkNote})`);
+      }
+    }
+
+    if (ruleTriggered) {
+      matchedRules.push({ 
+        ...rule, 
+        matches,
+        suppressed_matches: suppressedMatches,
+        semantic_score: semanticScore,
+        semantic_exemplar: semanticExemplar,
+        semantic_chunk: semanticChunk,
+        detection_method: semanticScore > getSemanticThreshold(rule, semanticThresholds) ? 
+          'semantic' : matches.some(m => m.includes('Dog whistle')) ? 'dog_whistle' : 'keyword'
+      });
+    } else if (suppressedMatches.length > 0) {
+      suppressedRules.push({
+        id: rule.id,
+        description: rule.description,
+        priority: rule.priority,
+        suppressed_matches: suppressedMatches
+      });
+    }
+  }
+
+  // Check positive routing regardless of rule matches (will be overridden by safety)
+  let positiveRouting = null;
+  let positiveRoutingConsidered = false;
+  if (positiveRoutingEnabled) {
+    positiveRouting = analyzeQueryForPositiveRouting(message, availableEngines, positiveRoutingThreshold, defaultEngine, rulesDatabase, logger);
+    positiveRoutingConsidered = true;
+    if (positiveRouting) {
+      logger.log('⚡ Positive routing detected:', positiveRouting);
+    }
+  }
+
+  // Sort all matched rules by priority (safety rules will be first)
+  matchedRules.sort((a, b) => a.priority - b.priority);
+
+  let recommendedEngine = selectedEngine;
+  let routingApplied = false;
+  let routingReason = 'Using default engine - no special routing needed';
+  let detectionMethods = [];
+  let availabilityNotes = [];
+  let goalBasedRouting = null;
+  let transparencyNotes = [];
+
+  // Process safety rules first (Priority 1-2)
+  const safetyRules = matchedRules.filter(r => r.priority <= 2);
+  const originalEngine = selectedEngine;
+  
+  if (safetyRules.length > 0) {
+    logger.log(`🛡️ Found ${safetyRules.length} safety rule violations - overriding any performance optimization`);
+    
+    // Apply goal-based routing for safety rules
+    const goalBasedSafetyRules = safetyRules.filter(r => r.required_goals);
+    
+    if (goalBasedSafetyRules.length > 0) {
+      // Every matched safety rule shapes the choice: merged goals, all
+      // conflicting capabilities and any engines a safety rule avoids
+      const avoidedBySafety = new Set(safetyRules.flatMap(r => r.avoid_engines || []));
+      const selection = selectEngineForRules(
+        goalBasedSafetyRules,
+        availableEngines.filter(e => !avoidedBySafety.has(e)),
+        rulesDatabase.engines
+      );
+      const selectedEngine = selection.engine;
+      
+      if (selectedEngine) {
+        const safetyRule = goalBasedSafetyRules[0];
+        const combined = goalBasedSafetyRules.length > 1 || selection.degradation;
+
+        recommendedEngine = selectedEngine.id;
+        routingApplied = true;
+        detectionMethods.push('goal_based');
+        goalBasedRouting = {
+          rule: safetyRule,
+          rules: selection.appliedRules.map(r => ({
+            id: r.id,
+            priority: r.priority,
+            required_goals: r.required_goals,
+            conflicting_capabilities: r.conflicting_capabilities || []
+          })),
+          droppedRules: selection.droppedRules.map(r => r.id),
+          goals: selection.goals,
+          conflictingCapabilities: selection.conflictingCapabilities,
+          goalSources: selection.goalSources,
+          degradation: selection.degradation,
+          selectedEngine: selectedEngine,
+          goalScore: selectedEngine.goalScore,
+          explanation: combined
+            ? generateCombinedGoalExplanation(
+              selection,
+              availableEngines,
+              selectedEngine,
+              goalBasedSafetyRules.length > 1
+                ? `${goalBasedSafetyRules.length} safety rules`
+                : safetyRule.detection_method || 'goal-based analysis'
+            )
+            : generateGoalBasedExplanation(
+              selectedEngine,
+              safetyRule.required_goals,
+              safetyRule.conflicting_capabilities || [],
+              availableEngines,
+              selectedEngine,
+              safetyRule.detection_method || 'goal-based analysis'
+            )
+        };
+        routingReason = goalBasedRouting.explanation;
+        
+        // Add transparency note about positive routing being overridden
+        if (positiveRouting) {
+          transparencyNotes.push(
+            `Performance optimization suggested ${getEngineName(positiveRouting.recommendedEngine)} ` +
+            `(${positiveRouting.absoluteDifference} point advantage), but safety requirements took priority`
+          );
+        }
+      } else {
+        availabilityNotes.push(
+          `Safety rules ${goalBasedSafetyRules.map(r => r.id).join(', ')} matched but no engine could be selected: ${selection.degradation.reason}`
+        );
+      }
+    } else {
+      // Fallback to legacy routing for non-goal-based safety rules
+      const avoidRules = safetyRules.filter((r) => r.rule_type === 'avoidance');
+      
+      if (avoidRules.length > 0) {
+        const avoided = new Set();
+        avoidRules.forEach((r) => r.avoid_engines?.forEach((e) => avoided.add(e)));
+
+        if (avoided.has(selectedEngine)) {
+          const safeEngines = availableEngines.filter((e) => !avoided.has(e));
+          
+          if (safeEngines.length > 0) {
+            const preferredSafe = avoidRules.find(r => r.prefer_engines)?.prefer_engines
+              ?.filter(e => safeEngines.includes(e));
+            
+            recommendedEngine = preferredSafe?.[0] || safeEngines[0];
+            routingApplied = true;
+            detectionMethods.push(avoidRules[0].detection_method);
+            routingReason = `🛡️ SAFETY PROTECTION: Routed away from ${getEngineName(selectedEngine)} → ${getEngineName(recommendedEngine)} due to: "${avoidRules[0].reason}"`;
+            
+            // Add transparency note about positive routing being overridden
+            if (positiveRouting) {
+              transparencyNotes.push(
+                `Performance optimization suggested ${getEngineName(positiveRouting.recommendedEngine)} ` +
+                `(${positiveRouting.absoluteDifference} point advantage), but safety requirements took priority`
+              );
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // If no safety routing occurred, check other routing options
+  if (!routingApplied) {
+    // First, try positive routing if enabled and threshold is met
+    if (positiveRouting && positiveRoutingEnabled && positiveRouting.shouldRoute) {
+      // Apply positive routing if no safety concerns and threshold is met
+      recommendedEngine = positiveRouting.recommendedEngine;
+      routingApplied = true;
+      detectionMethods.push('positive_routing');
+      routingReason = `⚡ PERFORMANCE OPTIMIZATION: ${positiveRouting.reasoning}`;
+    } else {
+      // Try non-safety rules (Priority 3+) only if positive routing didn't apply
+      const nonSafetyRules = matchedRules.filter(r => r.priority > 2);
+      
+      if (nonSafetyRules.length > 0) {
+        // Handle non-safety goal-based preference rules
+        const goalBasedPreferenceRules = nonSafetyRules.filter((r) => r.rule_type === 'preference' && r.required_goals);
+        
+        if (goalBasedPreferenceRules.length > 0) {
+          const preferenceRule = goalBasedPreferenceRules[0];
+          const selectedEngine = selectEngineForGoals(
+            preferenceRule.required_goals,
+            preferenceRule.conflicting_capabilities || [],
+            availableEngines,
+            rulesDatabase.engines
+          );
+          
+          if (selectedEngine && selectedEngine.id !== originalEngine) {
+            recommendedEngine = selectedEngine.id;
+            routingApplied = true;
+            detectionMethods.push('goal_based');
+            goalBasedRouting = {
+              rule: preferenceRule,
+              selectedEngine: selectedEngine,
+              goalScore: selectedEngine.goalScore,
+              explanation: generateGoalBasedExplanation(
+                selectedEngine,
+                preferenceRule.required_goals,
+                preferenceRule.conflicting_capabilities || [],
+                availableEngines,
+                selectedEngine,
+                'preference optimization'
+              )
+            };
+            routingReason = goalBasedRouting.explanation;
+          }
+        } else {
+          // Legacy preference and avoidance handling
+          const preferRules = nonSafetyRules.filter((r) => r.rule_type === 'preference');
+          const avoidRules = nonSafetyRules.filter((r) => r.rule_type === 'avoidance');
+          
+          if (preferRules.length > 0) {
+            const rule = preferRules[0];
+            const idealEngines = rule.prefer_engines || [];
+            const availablePreferred = idealEngines.filter(e => availableEngines.includes(e));
+            
+            if (availablePreferred.length > 0 && availablePreferred[0] !== originalEngine) {
+              recommendedEngine = availablePreferred[0];
+              routingApplied = true;
+              detectionMethods.push('preference');
+              routingReason = `⚡ QUALITY OPTIMIZATION: Routed to preferred engine ${getEngineName(recommendedEngine)}. Rule: "${rule.description}"`;
+            }
+          } else if (avoidRules.length > 0) {
+            const rule = avoidRules[0];
+            const avoided = new Set(rule.avoid_engines || []);
+            
+            if (avoided.has(originalEngine)) {
+              const safeEngines = availableEngines.filter((e) => !avoided.has(e));
+              
+              if (safeEngines.length > 0) {
+                recommendedEngine = safeEngines[0];
+                routingApplied = true;
+                detectionMethods.push('avoidance');
+                routingReason = `⚡ SIMPLE ROUTING: Avoided ${getEngineName(originalEngine)} → ${getEngineName(recommendedEngine)}. Rule: "${rule.description}"`;
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Generate final routing explanation, considering positive routing even when not applied
+  if (!routingApplied) {
+    if (positiveRoutingConsidered && positiveRouting && !positiveRouting.shouldRoute) {
+      // Positive routing was considered but not applied due to threshold
+      routingReason = `Using default engine. Detected ${positiveRouting.category} task. ${getEngineName(positiveRouting.recommendedEngine)} would perform ${positiveRouting.absoluteDifference} points better (${positiveRouting.engineScore}% vs ${positiveRouting.currentEngineScore}%), but difference is below ${positiveRouting.threshold}-point threshold.`;
+    } else if (availabilityNotes.length > 0) {
+      // Safety rules matched but no available engine could satisfy them
+      routingReason = `Using default engine. ${availabilityNotes.join(' ')}`;
+    } else if (matchedRules.length > 0) {
+      // Rules matched but didn't result in routing change
+      routingReason = `Using default engine. ${matchedRules.length} rules matched but no routing change needed - current engine meets all requirements.`;
+    } else {
+      // No rules matched, no positive routing triggered
+      routingReason = 'Using default engine - no special routing needed';
+    }
+  }
+
+  if (semanticChunks?.truncated) {
+    transparencyNotes.push(
+      `Semantic analysis covered ${(semanticChunks.coverage * 100).toFixed(1)}% of this prompt in ${semanticChunks.count} chunks; the rest was checked by keyword matching only`
+    );
+  }
+
+  const analysis = {
+    originalQuery: message,
+    preprocessedQuery,
+    matchedRules,
+    suppressedRules,
+    recommendedEngine,
+    routingApplied,
+    reasoning: routingReason,
+    availabilityNotes,
+    transparencyNotes: transparencyNotes.length > 0 ? transparencyNotes : null,
+    semanticProcessingUsed: chunkEmbeddings !== null,
+    semanticModel: chunkEmbeddings !== null ? rulesDatabase.semantic_model?.id || null : null,
+    semanticChunks,
+    positiveRoutingUsed: positiveRouting !== null && routingApplied && detectionMethods.includes('positive_routing'),
+    positiveRouting: positiveRouting,
+    goalBasedRouting: goalBasedRouting !== null,
+    goalBasedRoutingDetails: goalBasedRouting,
+    detectionMethods: detectionMethods.filter((v, i, a) => a.indexOf(v) === i),
+    safetyOverride: safetyRules.length > 0 && positiveRouting !== null && positiveRouting.shouldRoute ? 
+      `Safety rules detected sensitive content and overrode performance optimization. ` +
+      `Originally suggested: ${getEngineName(positiveRouting.recommendedEngine)}, ` +
+      `but routed to ${getEngineName(recommendedEngine)} for content safety.` : null
+  };
+
+  logger.log('📊 Routing analysis complete:', analysis);
+  return analysis;
+};
@@ -0,0 +1,378 @@
+// src/lib/router/goals.js
+
+/**
+ * Goal-based engine selection: scores engines against a rule's required goals
+ * (or the merged goals of several rules) and excludes engines with
+ * conflicting capabilities.
+ */
+
+/**
+ * Calculate goal achievement score for an engine
+ * @param {Object} engine - Engine configuration
+ * @param {Object} goals - Goals with weights and thresholds
+ * @returns {number} - Overall goal achievement score
+ */
+export const calculateGoalScore = (engine, goals) => {
+  let totalScore = 0;
+  let totalWeight = 0;
+  
+  for (const [goalName, goalConfig] of Object.entries(goals)) {
+    const weight = goalConfig.weight || 1;
+    const engineScore = engine.goal_achievements?.[goalName] || 0;
+    
+    totalScore += engineScore * weight;
+    totalWeight += weight;
+  }
+  
+  return totalWeight > 0 ? totalScore / totalWeight : 0;
+};
+
+/**
+ * Check if engine meets minimum thresholds for all goals
+ * @param {Object} engine - Engine configuration
+ * @param {Object} goals - Goals with thresholds
+ * @returns {boolean} - Whether engine meets all thresholds
+ */
+export const meetsGoalThresholds = (engine, goals) => {
+  for (const [goalName, goalConfig] of Object.entries(goals)) {
+    const threshold = goalConfig.threshold || 0;
+    const engineScore = engine.goal_achievements?.[goalName] || 0;
+    
+    if (engineScore < threshold) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Check if engine has conflicting capabilities
+ * @param {Object} engine - Engine configuration
+ * @param {Array} conflictingCapabilities - Array of conflicting capability names
+ * @returns {boolean} - Whether engine has conflicts
+ */
+export const hasConflictingCapabilities = (engine, conflictingCapabilities = []) => {
+  const engineConflicts = engine.conflicting_capabilities || [];
+  return conflictingCapabilities.some(conflict => engineConflicts.includes(conflict));
+};
+
+/**
+ * Select best engine based on goals
+ * @param {Object} goals - Required goals with weights/thresholds
+ * @param {Array} conflictingCapabilities - Capabilities to avoid
+ * @param {Array} availableEngines - Available engine IDs
+ * @param {Object} engineDatabase - Engine configurations
+ * @returns {Object|null} - Selected engine info or null
+ */
+export const selectEngineForGoals = (goals, conflictingCapabilities, availableEngines, engineDatabase) => {
+  const candidates = availableEngines
+    .map(engineId => ({ id: engineId, ...engineDatabase[engineId] }))
+    .filter(engine => {
+      // Must not have conflicting capabilities
+      if (hasConflictingCapabilities(engine, conflictingCapabilities)) {
+        return false;
+      }
+      
+      // Must meet minimum thresholds
+      if (!meetsGoalThresholds(engine, goals)) {
+        return false;
+      }
+      
+      return true;
+    })
+    .map(engine => ({
+      ...engine,
+      goalScore: calculateGoalScore(engine, goals)
+    }))
+    .sort((a, b) => b.goalScore - a.goalScore);
+
+  return candidates.length > 0 ? candidates[0] : null;
+};
+
+const formatGoalName = (goal) => goal.replace(/_/g, ' ');
+
+/**
+ * Merge the required goals of several triggered rules into one goal set
+ * Every rule counts equally (its weights are normalized first), the strictest
+ * threshold per goal wins and conflicting capabilities are unioned.
+ * @param {Array} rules - Rules with required_goals
+ * @returns {Object} - { goals, conflictingCapabilities, goalSources: goal -> rule ids }
+ */
+export const mergeRuleGoals = (rules) => {
+  const goals = {};
+  const goalSources = {};
+
+  for (const rule of rules) {
+    const entries = Object.entries(rule.required_goals || {});
+    const ruleWeight = entries.reduce((sum, [, goalConfig]) => sum + (goalConfig.weight || 1), 0);
+
+    for (const [goalName, goalConfig] of entries) {
+      const weight = (goalConfig.weight || 1) / ruleWeight / rules.length;
+
+      goals[goalName] = {
+        weight: (goals[goalName]?.weight || 0) + weight,
+        threshold: Math.max(goals[goalName]?.threshold || 0, goalConfig.threshold || 0)
+      };
+      goalSources[goalName] = [...(goalSources[goalName] || []), rule.id];
+    }
+  }
+
+  return {
+    goals,
+    conflictingCapabilities: rules
+      .flatMap(rule => rule.conflicting_capabilities || [])
+      .filter((v, i, a) => a.indexOf(v) === i),
+    goalSources
+  };
+};
+
+/**
+ * Select one engine for every triggered goal-based rule
+ * Tries the merged goal set first. If no available engine meets it, degrades
+ * in order: drop the lowest-precedence rules (rules are expected in priority
+ * order), then ignore thresholds and take the best goal score. Conflicting
+ * capabilities of every rule stay hard constraints throughout.
+ * @param {Array} rules - Triggered rules with required_goals, highest precedence first
+ * @param {Array} availableEngines - Available engine IDs
+ * @param {Object} engineDatabase - Engine configurations
+ * @returns {Object} - { engine (or null), goals, conflictingCapabilities, goalSources, appliedRules, droppedRules, degradation }
+ */
+export const selectEngineForRules = (rules, availableEngines, engineDatabase) => {
+  const merged = mergeRuleGoals(rules);
+  const result = (engine, appliedRules, degradation, goals = merged) => ({
+    engine,
+    goals: goals.goals,
+    conflictingCapabilities: merged.conflictingCapabilities,
+    goalSources: goals.goalSources,
+    appliedRules,
+    droppedRules: rules.filter(rule => !appliedRules.includes(rule)),
+    degradation
+  });
+
+  const engine = selectEngineForGoals(merged.goals, merged.conflictingCapabilities, availableEngines, engineDatabase);
+  if (engine) {
+    return result(engine, rules, null);
+  }
+
+  for (let count = rules.length - 1; count >= 1; count--) {
+    const appliedRules = rules.slice(0, count);
+    const subset = mergeRuleGoals(appliedRules);
+    const subsetEngine = selectEngineForGoals(subset.goals, merged.conflictingCapabilities, availableEngines, engineDatabase);
+
+    if (subsetEngine) {
+      const dropped = rules.slice(count).map(rule => rule.id);
+      return result(subsetEngine, appliedRules, {
+        level: 'dropped_rules',
+        reason: `No available engine meets the goals of every matched rule; dropped lower-precedence ${dropped.length === 1 ? 'rule' : 'rules'} ${dropped.join(', ')}`
+      }, subset);
+    }
+  }
+
+  const relaxed = availableEngines
+    .filter(engineId => engineDatabase[engineId] && !hasConflictingCapabilities(engineDatabase[engineId], merged.conflictingCapabilities))
+    .map(engineId => ({ id: engineId, ...engineDatabase[engineId], goalScore: calculateGoalScore(engineDatabase[engineId], merged.goals) }))
+    .sort((a, b) => b.goalScore - a.goalScore)[0];
+
+  if (relaxed) {
+    return result(relaxed, rules, {
+      level: 'relaxed_thresholds',
+      reason: 'No available engine meets the goal thresholds; chose the highest goal score without conflicting capabilities'
+    });
+  }
+
+  return result(null, [], {
+    level: 'no_engine',
+    reason: merged.conflictingCapabilities.length > 0
+      ? `Every available engine has a conflicting capability (${merged.conflictingCapabilities.map(formatGoalName).join(', ')})`
+      : 'No available engine could be scored against the required goals'
+  });
+};
+
+/**
+ * Generate explanation for goal-based routing
+ * @param {Object} selectedEngine - Selected engine
+ * @param {Object} goals - Required goals
+ * @param {Array} conflictingCapabilities - Avoided capabilities
+ * @param {Array} availableEngines - All available engines
+ * @param {string} currentEngine - Originally selected engine
+ * @returns {string} - Human-readable explanation
+ */
+export const generateGoalBasedExplanation = (selectedEngine, goals, conflictingCapabilities, availableEngines, currentEngine, triggerReason) => {
+  // Name every required goal, not just the first, so the explanation shows what the engine was chosen for
+  const goalNames = Object.keys(goals).map(goal => goal.replace(/_/g, ' '));
+  const goalList = goalNames.length > 1
+    ? `${goalNames.slice(0, -1).join(', ')} and ${goalNames[goalNames.length - 1]}`
+    : goalNames[0];
+  const goalScore = selectedEngine.goalScore;
+  
+  let explanation = `🎯 GOAL-BASED ROUTING (${triggerReason}): `;
+  
+  if (selectedEngine.id === currentEngine) {
+    explanation += `Current engine ${selectedEngine.name} is optimal for achieving ${goalList} `;
+    explanation += `(${(goalScore * 100).toFixed(1)}% goal achievement)`;
+  } else {
+    explanation += `Routed to ${selectedEngine.name} to achieve ${goalList} `;
+    explanation += `(${(goalScore * 100).toFixed(1)}% goal achievement)`;
+    
+    if (conflictingCapabilities.length > 0) {
+      explanation += `. Previous engine avoided due to ${conflictingCapabilities.join(', ').replace(/_/g, ' ')}`;
+    }
+  }
+  
+  return explanation;
+};
+
+/**
+ * Generate explanation for a decision that combined several rules
+ * Lists every rule with the goals it contributed and states any degradation.
+ * @param {Object} selection - Result of selectEngineForRules (with an engine)
+ * @param {Array} availableEngines - All available engines
+ * @param {string} currentEngine - Originally selected engine
+ * @param {string} triggerReason - Why goal-based routing ran
+ * @returns {string} - Human-readable explanation
+ */
+export const generateCombinedGoalExplanation = (selection, availableEngines, currentEngine, triggerReason) => {
+  let explanation = generateGoalBasedExplanation(
+    selection.engine,
+    selection.goals,
+    selection.conflictingCapabilities,
+    availableEngines,
+    currentEngine,
+    triggerReason
+  );
+
+  const ruleSummaries = selection.appliedRules.map(rule => {
+    const goals = Object.entries(rule.required_goals || {})
+      .map(([goalName, goalConfig]) => `${formatGoalName(goalName)} ≥ ${goalConfig.threshold ?? 0}`)
+      .join(', ');
+    return `${rule.id} (${goals})`;
+  });
+
+  explanation += `. Combined ${ruleSummaries.length === 1 ? 'rule' : 'rules'}: ${ruleSummaries.join('; ')}`;
+
+  if (selection.degradation) {
+    explanation += `. ⚠️ ${selection.degradation.reason}`;
+  }
+
+  return explanation;
+};
+
+/**
+ * Safety constraints of a routing decision that any substitute engine must respect
+ * @param {Object} analysis - Routing analysis for the message
+ * @returns {Object} - { goals, conflictingCapabilities, avoidedEngines }
+ */
+export const getRoutingConstraints = (analysis) => {
+  const details = analysis.goalBasedRoutingDetails;
+  const goalRule = details?.rule;
+  const safetyRules = (analysis.matchedRules || []).filter(rule => rule.priority <= 2);
+
+  return {
+    goals: details?.goals || goalRule?.required_goals || null,
+    conflictingCapabilities: [
+      ...(details?.conflictingCapabilities || goalRule?.conflicting_capabilities || []),
+      ...safetyRules.flatMap(rule => rule.conflicting_capabilities || [])
+    ].filter((v, i, a) => a.indexOf(v) === i),
+    avoidedEngines: new Set(safetyRules.flatMap(rule => rule.avoid_engines || []))
+  };
+};
+
+/**
+ * Engines allowed by a routing decision's safety constraints
+ * @param {Object} constraints - Result of getRoutingConstraints
+ * @param {Array} engineIds - Candidate engine IDs
+ * @param {Object} engineDatabase - Engine configurations
+ * @returns {Array} - Allowed engine IDs, in input order
+ */
+export const filterAllowedEngines = (constraints, engineIds, engineDatabase) => {
+  return engineIds.filter(engineId =>
+    engineDatabase[engineId] &&
+    !constraints.avoidedEngines.has(engineId) &&
+    !hasConflictingCapabilities(engineDatabase[engineId], constraints.conflictingCapabilities)
+  );
+};
+
+/**
+ * Pick the next engine after the current one failed
+ * Re-runs goal selection over the engines not yet tried, keeping the safety
+ * constraints of the original routing; the configured fallback is the last resort.
+ * @param {Object} analysis - Routing analysis for the message
+ * @param {Array} remainingEngines - Available engine IDs not yet tried
+ * @param {Object} engineDatabase - Engine configurations
+ * @param {string} fallbackEngine - Configured fallback engine ID
+ * @returns {Object|null} - { engine, reason } or null if nothing is left
+ */
+export const selectFailoverEngine = (analysis, remainingEngines, engineDatabase, fallbackEngine) => {
+  const constraints = getRoutingConstraints(analysis);
+  const allowedEngines = filterAllowedEngines(constraints, remainingEngines, engineDatabase);
+
+  const candidate = selectEngineForGoals(
+    constraints.goals || {},
+    constraints.conflictingCapabilities,
+    allowedEngines.filter(engineId => engineId !== fallbackEngine),
+    engineDatabase
+  );
+
+  if (candidate) {
+    return {
+      engine: candidate.id,
+      reason: constraints.goals
+        ? `goal re-selection (${(candidate.goalScore * 100).toFixed(1)}% goal achievement)`
+        : 'next available engine without conflicting capabilities'
+    };
+  }
+
+  if (allowedEngines.includes(fallbackEngine)) {
+    return { engine: fallbackEngine, reason: 'configured fallback engine' };
+  }
+
+  return null;
+};
+
+/**
+ * Choose the engines that answer a prompt in council (compare) mode
+ * The routed engine leads; the rest are ranked by goal score for the matched
+ * goal rule, and engines excluded by safety rules never join.
+ * @param {Object} analysis - Routing analysis for the message
+ * @param {Array} availableEngines - Available engine IDs
+ * @param {Object} engineDatabase - Engine configurations
+ * @param {number} size - Maximum number of engines
+ * @returns {Array} - Engine IDs
+ */
+export const selectCouncilEngines = (analysis, availableEngines, engineDatabase, size) => {
+  const constraints = getRoutingConstraints(analysis);
+  const allowedEngines = filterAllowedEngines(constraints, availableEngines, engineDatabase);
+
+  const ranked = allowedEngines
+    .filter(engineId => engineId !== analysis.recommendedEngine)
+    .map(engineId => ({
+      id: engineId,
+      goalScore: constraints.goals ? calculateGoalScore(engineDatabase[engineId], constraints.goals) : 0
+    }))
+    .sort((a, b) => b.goalScore - a.goalScore)
+    .map(engine => engine.id);
+
+  const leading = allowedEngines.includes(analysis.recommendedEngine) ? [analysis.recommendedEngine] : [];
+  return [...leading, ...ranked].slice(0, size);
+};
+
+/**
+ * Choose the aggregator engine for the synthesis step
+ * Scores engines on the synthesis goals (balanced perspectives, evidence-based
+ * responses, ...) and respects the safety constraints of the routing decision.
+ * @param {Object} analysis - Routing analysis for the message
+ * @param {Array} availableEngines - Available engine IDs
+ * @param {Object} engineDatabase - Engine configurations
+ * @param {Object} synthesisGoals - Goals with weights (goal_system.synthesis_goals)
+ * @returns {Object|null} - Selected engine info (with goalScore) or null
+ */
+export const selectAggregatorEngine = (analysis, availableEngines, engineDatabase, synthesisGoals) => {
+  const constraints = getRoutingConstraints(analysis);
+
+  return selectEngineForGoals(
+    synthesisGoals,
+    constraints.conflictingCapabilities,
+    filterAllowedEngines(constraints, availableEngines, engineDatabase),
+    engineDatabase
+  );
+};
@@ -0,0 +1,61 @@
+// src/lib/router/index.js
+
+/**
+ * Routing engine.
+ *
+ * Pure functions shared by the chat UI and the API routes; nothing here
+ * depends on React, Next.js or the browser.
+ */
+
+export { analyzeMessageForRouting } from './analyze.js';
+export {
+  calculateGoalScore,
+  filterAllowedEngines,
+  generateCombinedGoalExplanation,
+  generateGoalBasedExplanation,
+  getRoutingConstraints,
+  hasConflictingCapabilities,
+  meetsGoalThresholds,
+  mergeRuleGoals,
+  selectAggregatorEngine,
+  selectCouncilEngines,
+  selectEngineForGoals,
+  selectEngineForRules,
+  selectFailoverEngine
+} from './goals.js';
+export {
+  applyTriggerContexts,
+  calculateCosineSimilarity,
+  calculateLevenshteinDistance,
+  preprocessPrompt,
+  stemWord,
+  tokenizeText
+} from './matching.js';
+export { compileKeywordMatcher, findFuzzyKeywordMatches, getKeywordIndex } from './keyword-index.js';
+export { SILENT_LOGGER } from './logger.js';
+export { normalizePrompt } from './normalize.js';
+export { analyzeQueryForPositiveRouting, generatePerformanceMessage } from './positive-routing.js';
+export {
+  DEFAULT_RED_TEAM_SYNONYMS,
+  RED_TEAM_STRATEGIES,
+  formatRedTeamReport,
+  generateAdversarialVariants,
+  runRedTeamSuite
+} from './red-team.js';
+export { buildRegressionCases, formatRegressionReport, runRegressionSuite } from './regression.js';
+export {
+  DEFAULT_CHUNKING,
+  DEFAULT_SEMANTIC_SCORING,
+  DEFAULT_SEMANTIC_THRESHOLDS,
+  buildRuleExemplarEmbeddings,
+  chunkPrompt,
+  collectRuleExemplars,
+  getChunkCoverage,
+  getMaxChunks,
+  getRuleEmbeddingKey,
+  getSemanticThreshold,
+  hashRuleContent,
+  hasSemanticRepresentation,
+  scoreRuleAcrossChunks,
+  scoreRuleSimilarity
+} from './semantic.js';
@@ -0,0 +1,323 @@
+// src/lib/router/keyword-index.js
+
+/**
+ * Precompiled keyword matcher.
+ *
+ * Built once per rules database (see getKeywordIndex): an Aho-Corasick
+ * automaton over token stems finds every exact keyword and phrase in one pass
+ * over the prompt, and BK-trees over keyword surface forms answer fuzzy
+ * lookups without comparing every keyword with every word. Matches use the
+ * findFuzzyKeywordMatches format: { keyword, matched_word, type, distance,
+ * position, end }.
+ */
+
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '../../app/bias-mitigation-rules.js';
+import { SILENT_LOGGER } from './logger.js';
+import { calculateLevenshteinDistance, tokenizeText } from './matching.js';
+
+/**
+ * Build an Aho-Corasick automaton over token sequences
+ * @param {Array} patterns - Patterns as arrays of token stems
+ * @returns {Array} - Nodes: { next: Map(stem → node), fail, outputs: pattern indexes }
+ */
+const buildAutomaton = (patterns) => {
+  const nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+
+  patterns.forEach((stems, patternIndex) => {
+    let node = 0;
+    for (const stem of stems) {
+      let next = nodes[node].next.get(stem);
+      if (next === undefined) {
+        next = nodes.length;
+        nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        nodes[node].next.set(stem, next);
+      }
+      node = next;
+    }
+    nodes[node].outputs.push(patternIndex);
+  });
+
+  // Breadth-first so every failure link points at an already linked node
+  const queue = [0];
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+
+    for (const [stem, child] of nodes[node].next) {
+      let fail = nodes[node].fail;
+      while (fail !== 0 && !nodes[fail].next.has(stem)) {
+        fail = nodes[fail].fail;
+      }
+
+      const candidate = nodes[fail].next.get(stem);
+      nodes[child].fail = candidate !== undefined && candidate !== child ? candidate : 0;
+      nodes[child].outputs.push(...nodes[nodes[child].fail].outputs);
+      queue.push(child);
+    }
+  }
+
+  return nodes;
+};
+
+/**
+ * Run the automaton over a token list
+ * @param {Array} nodes - Result of buildAutomaton
+ * @param {Array} tokens - Tokens from tokenizeText
+ * @param {Function} onMatch - (patternIndex, lastTokenIndex) => void
+ */
+const searchAutomaton = (nodes, tokens, onMatch) => {
+  let state = 0;
+
+  tokens.forEach((token, tokenIndex) => {
+    while (state !== 0 && !nodes[state].next.has(token.stem)) {
+      state = nodes[state].fail;
+    }
+    state = nodes[state].next.get(token.stem) ?? 0;
+
+    for (const patternIndex of nodes[state].outputs) {
+      onMatch(patternIndex, tokenIndex);
+    }
+  });
+};
+
+/**
+ * BK-tree over strings with Levenshtein distance
+ * @returns {Object} - { insert(word, payload), search(word, radius) → [{ payloads, distance }] }
+ */
+const createBKTree = () => {
+  let root = null;
+
+  const insert = (word, payload) => {
+    if (!root) {
+      root = { word, payloads: [payload], children: new Map() };
+      return;
+    }
+
+    let node = root;
+    for (;;) {
+      const distance = calculateLevenshteinDistance(word, node.word);
+      if (distance === 0) {
+        node.payloads.push(payload);
+        return;
+      }
+
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { word, payloads: [payload], children: new Map() });
+        return;
+      }
+      node = child;
+    }
+  };
+
+  const search = (word, radius) => {
+    const results = [];
+    const stack = root ? [root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = calculateLevenshteinDistance(word, node.word);
+
+      if (distance <= radius) {
+        results.push({ payloads: node.payloads, distance });
+      }
+
+      // Triangle inequality: only children within [distance - radius, distance + radius] can match
+      for (let edge = Math.max(1, distance - radius); edge <= distance + radius; edge++) {
+        const child = node.children.get(edge);
+        if (child) stack.push(child);
+      }
+    }
+
+    return results;
+  };
+
+  return { insert, search };
+};
+
+/**
+ * Compile keyword groups into a reusable matcher
+ * @param {Array} groups - [{ id, keywords (strings or { word, fuzzy }), maxDistance }]
+ * @returns {Object} - { size, match(text) → Map(group id → matches in keyword order) }
+ */
+export const compileKeywordMatcher = (groups) => {
+  const entries = [];
+  const patternIds = new Map();
+  const patterns = [];
+  const patternEntries = [];
+  const fuzzyTrees = new Map();
+
+  for (const group of groups) {
+    for (const keywordItem of group.keywords || []) {
+      const keyword = typeof keywordItem === 'string' ? keywordItem : keywordItem.word;
+      const allowFuzzy = typeof keywordItem === 'string' ? true : (keywordItem.fuzzy !== false);
+      const keywordTokens = tokenizeText(keyword);
+      if (keywordTokens.length === 0) continue;
+
+      const entryIndex = entries.length;
+      const entry = {
+        groupId: group.id,
+        keyword,
+        text: keywordTokens.map(token => token.word).join(' '),
+        tokenCount: keywordTokens.length,
+        maxDistance: group.maxDistance ?? 1
+      };
+      entries.push(entry);
+
+      const stems = keywordTokens.map(token => token.stem);
+      const patternKey = stems.join(' ');
+      if (!patternIds.has(patternKey)) {
+        patternIds.set(patternKey, patterns.length);
+        patterns.push(stems);
+        patternEntries.push([]);
+      }
+      patternEntries[patternIds.get(patternKey)].push(entryIndex);
+
+      // One tree per phrase length and edit distance keeps each search radius tight
+      if (allowFuzzy && entry.maxDistance > 0) {
+        const treeKey = `${entry.tokenCount}:${entry.maxDistance}`;
+        if (!fuzzyTrees.has(treeKey)) {
+          fuzzyTrees.set(treeKey, {
+            tokenCount: entry.tokenCount,
+            radius: entry.maxDistance,
+            tree: createBKTree()
+          });
+        }
+        fuzzyTrees.get(treeKey).tree.insert(entry.text, entryIndex);
+      }
+    }
+  }
+
+  const automaton = buildAutomaton(patterns);
+
+  const match = (text) => {
+    const tokens = tokenizeText(text);
+    const exact = new Map();
+    const fuzzy = new Map();
+
+    // First (leftmost) occurrence of every exact keyword
+    searchAutomaton(automaton, tokens, (patternIndex, lastToken) => {
+      for (const entryIndex of patternEntries[patternIndex]) {
+        if (!exact.has(entryIndex)) {
+          exact.set(entryIndex, lastToken - entries[entryIndex].tokenCount + 1);
+        }
+      }
+    });
+
+    // Closest fuzzy neighbour (leftmost on ties) for keywords without an exact match
+    for (const { tokenCount, radius, tree } of fuzzyTrees.values()) {
+      for (let start = 0; start <= tokens.length - tokenCount; start++) {
+        const candidate = tokens.slice(start, start + tokenCount).map(token => token.word).join(' ');
+
+        for (const { payloads, distance } of tree.search(candidate, radius)) {
+          for (const entryIndex of payloads) {
+            const entry = entries[entryIndex];
+            if (exact.has(entryIndex)) continue;
+
+            // Skip very short words unless keyword is also short
+            if (tokenCount === 1 && candidate.length < 3 && entry.text.length >= 3) continue;
+
+            const best = fuzzy.get(entryIndex);
+            if (!best || distance < best.distance) {
+              fuzzy.set(entryIndex, { start, distance });
+            }
+          }
+        }
+      }
+    }
+
+    const results = new Map();
+    entries.forEach((entry, entryIndex) => {
+      const found = exact.has(entryIndex)
+        ? { start: exact.get(entryIndex), distance: 0 }
+        : fuzzy.get(entryIndex);
+      if (!found) return;
+
+      const last = tokens[found.start + entry.tokenCount - 1];
+      if (!results.has(entry.groupId)) results.set(entry.groupId, []);
+      results.get(entry.groupId).push({
+        keyword: entry.keyword,
+        matched_word: text.slice(tokens[found.start].start, last.end),
+        type: found.distance === 0 ? 'exact' : 'fuzzy',
+        distance: found.distance,
+        position: tokens[found.start].start,
+        end: last.end
+      });
+    });
+
+    return results;
+  };
+
+  return { size: entries.length, match };
+};
+
+/**
+ * Find keyword matches in one list of keywords
+ * Keywords match whole tokens (multi-word keywords match token sequences)
+ * after light stemming; keywords without an exact match fall back to the
+ * closest word within `maxDistance` edits. For repeated lookups against the
+ * same keywords, compile them once with compileKeywordMatcher.
+ * @param {string} text - Text to search in (should be lowercase)
+ * @param {Array} keywords - Array of keywords (strings or objects with word/fuzzy properties)
+ * @param {number} maxDistance - Maximum edit distance for fuzzy matching
+ * @returns {Array} - Match objects: { keyword, matched_word, type, distance, position, end }
+ */
+export const findFuzzyKeywordMatches = (text, keywords, maxDistance = 1) => {
+  return compileKeywordMatcher([{ id: 'keywords', keywords, maxDistance }]).match(text).get('keywords') || [];
+};
+
+const keywordIndexCache = new WeakMap();
+
+/**
+ * Keyword index for a rules database, compiled on first use and cached
+ * Covers every rule's topics and dog whistles (edit distance 1) and the
+ * positive routing task keywords (edit distance 2).
+ * @param {Object} rulesDatabase - Rules database
+ * @param {Object} options - { logger } (see logger.js)
+ * @returns {Object} - { size, match(text) → { rules: { ruleId: { topics, dog_whistles } }, tasks: { category: matches } } }
+ */
+export const getKeywordIndex = (rulesDatabase = COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE, { logger = SILENT_LOGGER } = {}) => {
+  if (keywordIndexCache.has(rulesDatabase)) {
+    return keywordIndexCache.get(rulesDatabase);
+  }
+
+  const groups = [];
+  for (const rule of rulesDatabase.routing_rules) {
+    for (const type of ['topics', 'dog_whistles']) {
+      if (rule.triggers?.[type]) {
+        groups.push({ id: `rule:${rule.id}:${type}`, keywords: rule.triggers[type], maxDistance: 1 });
+      }
+    }
+  }
+
+  for (const [category, data] of Object.entries(rulesDatabase.positive_routing_data?.task_categories || {})) {
+    groups.push({ id: `task:${category}`, keywords: data.keywords, maxDistance: 2 });
+  }
+
+  const matcher = compileKeywordMatcher(groups);
+
+  const index = {
+    size: matcher.size,
+    match: (text) => {
+      const found = matcher.match(text);
+      const rules = {};
+      const tasks = {};
+
+      for (const rule of rulesDatabase.routing_rules) {
+        rules[rule.id] = {
+          topics: found.get(`rule:${rule.id}:topics`) || [],
+          dog_whistles: found.get(`rule:${rule.id}:dog_whistles`) || []
+        };
+      }
+
+      for (const category of Object.keys(rulesDatabase.positive_routing_data?.task_categories || {})) {
+        tasks[category] = found.get(`task:${category}`) || [];
+      }
+
+      return { rules, tasks };
+    }
+  };
+
+  logger.log(`🗂️ Compiled keyword index: ${matcher.size} keywords`);
+  keywordIndexCache.set(rulesDatabase, index);
+  return index;
+};
@@ -0,0 +1,11 @@
+// src/lib/router/logger.js
+
+/**
+ * Logging for the routing engine.
+ *
+ * Router functions take an optional `logger` (anything with console's `log`
+ * and `warn`, e.g. `console`) and stay silent without one, so the API routes
+ * and scripts never print prompts or whole analyses to their logs.
+ */
+
+export const SILENT_LOGGER = { log: () => {}, warn: () => {} };
@@ -0,0 +1,249 @@
+// src/lib/router/matching.js
+
+/**
+ * Text and vector matching primitives used by the routing engine.
+ */
+
+/**
+ * Normalize a prompt for rule matching (lowercase, punctuation removed)
+ * @param {string} prompt - Raw user prompt
+ * @returns {string} - Preprocessed prompt
+ */
+export const preprocessPrompt = (prompt) => {
+  return prompt
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Calculate Levenshtein distance between two strings
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} - Edit distance between strings
+ */
+export const calculateLevenshteinDistance = (str1, str2) => {
+  // Two rolling rows instead of the full matrix
+  let previous = Array.from({ length: str1.length + 1 }, (_, i) => i);
+  let current = new Array(str1.length + 1);
+  
+  for (let j = 1; j <= str2.length; j++) {
+    current[0] = j;
+    for (let i = 1; i <= str1.length; i++) {
+      const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      current[i] = Math.min(
+        current[i - 1] + 1,     // deletion
+        previous[i] + 1,        // insertion
+        previous[i - 1] + indicator // substitution
+      );
+    }
+    [previous, current] = [current, previous];
+  }
+  
+  return previous[str1.length];
+};
+
+const VOWEL = /[aeiouy]/;
+const DOUBLED_CONSONANT = /([b-df-hj-km-np-rtv-xz])\1$/;
+
+/**
+ * Reduce a word to a light stem so inflections match their base form
+ * ("uyghurs" → "uyghur", "debugging" → "debug", "taiwanese" → "taiwan").
+ * Deliberately conservative: plural, -ing/-ed, -ese and a trailing "e" only.
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+export const stemWord = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let stem = word;
+
+  if (stem.endsWith('ies') && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (/(ss|us|is)$/.test(stem)) {
+    // "class", "status", "analysis" are not plurals
+  } else if (/(sh|ch|x|z)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s')) {
+    stem = stem.slice(0, -1);
+  }
+
+  const strip = (suffix) => {
+    const base = stem.slice(0, -suffix.length);
+    if (stem.endsWith(suffix) && base.length >= 3 && VOWEL.test(base)) {
+      stem = DOUBLED_CONSONANT.test(base) ? base.slice(0, -1) : base;
+      return true;
+    }
+    return false;
+  };
+
+  if (!stem.endsWith('eed')) {
+    strip('ing') || strip('ed');
+  }
+
+  if (stem.length > 6 && stem.endsWith('ese')) {
+    stem = stem.slice(0, -3);
+  }
+
+  if (stem.length > 3 && stem.endsWith('e')) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stem;
+};
+
+/**
+ * Split text into word tokens with character offsets and stems
+ * @param {string} text - Text to tokenize (lowercased by the caller or here)
+ * @returns {Array} - Tokens: { word, stem, start, end }
+ */
+export const tokenizeText = (text) => {
+  const tokens = [];
+  const pattern = /\w+/g;
+  const lower = text.toLowerCase();
+  let match;
+
+  while ((match = pattern.exec(lower)) !== null) {
+    tokens.push({
+      word: match[0],
+      stem: stemWord(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+};
+
+const findPhraseStarts = (tokens, phrase) => {
+  const phraseTokens = tokenizeText(phrase);
+  const starts = [];
+
+  for (let i = 0; i <= tokens.length - phraseTokens.length; i++) {
+    if (phraseTokens.every((phraseToken, offset) => tokens[i + offset].stem === phraseToken.stem)) {
+      starts.push(i);
+    }
+  }
+
+  return { starts, length: phraseTokens.length };
+};
+
+/**
+ * Check one keyword match against a rule's trigger context
+ * @param {Array} tokens - Tokens of the preprocessed prompt (with offsets)
+ * @param {Object} match - Keyword match (see keyword-index.js)
+ * @param {Object} context - { exclude_phrases, hostile_phrases, requires_one_of, window }
+ * @returns {Object} - { suppressed, reason } or { suppressed: false, supporting: phrases found }
+ */
+const evaluateTriggerContext = (tokens, match, context) => {
+  const firstToken = Math.max(0, tokens.findIndex(token => token.end > match.position));
+  const lastToken = Math.max(firstToken, tokens.findLastIndex(token => token.start < match.end));
+  const window = context.window ?? Infinity;
+  const scope = Number.isFinite(window) ? `within ${window} words of "${match.matched_word}"` : 'in the prompt';
+
+  const isNear = (phrase) => {
+    const { starts, length } = findPhraseStarts(tokens, phrase);
+    return starts.some(start => start + length - 1 >= firstToken - window && start <= lastToken + window);
+  };
+
+  const supporting = [];
+
+  // A hostile co-term outweighs a benign-looking phrase next to it
+  const excluded = (context.exclude_phrases || []).find(isNear);
+  if (excluded) {
+    const hostile = (context.hostile_phrases || []).find(isNear);
+    if (!hostile) {
+      return { suppressed: true, reason: `"${excluded}" ${scope}` };
+    }
+    supporting.push(hostile);
+  }
+
+  for (const group of context.requires_one_of || []) {
+    const found = group.find(isNear);
+    if (!found) {
+      return { suppressed: true, reason: `none of "${group.join('", "')}" ${scope}` };
+    }
+    supporting.push(found);
+  }
+
+  return { suppressed: false, supporting };
+};
+
+/**
+ * Apply a rule's trigger contexts to its keyword matches
+ * Each context can name the triggers it governs (`triggers`, default: all of
+ * the governed trigger types), negative phrases that suppress a match
+ * (`exclude_phrases`) unless a hostile phrase is also nearby
+ * (`hostile_phrases`), groups of which one phrase must co-occur
+ * (`requires_one_of`) and a proximity window in words (`window`, default:
+ * the whole prompt).
+ * @param {string} text - Preprocessed prompt the matches came from
+ * @param {Array} matches - Keyword matches (see keyword-index.js)
+ * @param {Array} contexts - Rule's trigger_contexts
+ * @param {string} triggerType - 'topics' or 'dog_whistles'
+ * @returns {Object} - { matches: kept (with `context` phrases), suppressed: matches with a `reason` }
+ */
+export const applyTriggerContexts = (text, matches, contexts = [], triggerType = 'topics') => {
+  if (!contexts?.length || matches.length === 0) {
+    return { matches, suppressed: [] };
+  }
+
+  const tokens = tokenizeText(text);
+  const kept = [];
+  const suppressed = [];
+
+  for (const match of matches) {
+    const keyword = match.keyword.toLowerCase();
+    const governing = contexts.filter(context =>
+      (context.trigger_types || ['topics']).includes(triggerType) &&
+      (!context.triggers || context.triggers.some(trigger => trigger.toLowerCase() === keyword))
+    );
+
+    const supporting = [];
+    let suppression = null;
+
+    for (const context of governing) {
+      const result = evaluateTriggerContext(tokens, match, context);
+      if (result.suppressed) {
+        suppression = result.reason;
+        break;
+      }
+      supporting.push(...result.supporting);
+    }
+
+    if (suppression) {
+      suppressed.push({ ...match, reason: suppression });
+    } else {
+      kept.push(supporting.length > 0 ? { ...match, context: supporting } : match);
+    }
+  }
+
+  return { matches: kept, suppressed };
+};
+
+/**
+ * Cosine similarity between two embeddings
+ * @param {Array} embeddingA - First embedding
+ * @param {Array} embeddingB - Second embedding
+ * @returns {number} - Similarity in [-1, 1] (0 if the vectors are incompatible)
+ */
+export const calculateCosineSimilarity = (embeddingA, embeddingB) => {
+  if (!embeddingA || !embeddingB || embeddingA.length !== embeddingB.length) {
+    return 0;
+  }
+  
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  
+  for (let i = 0; i < embeddingA.length; i++) {
+    dotProduct += embeddingA[i] * embeddingB[i];
+    normA += embeddingA[i] * embeddingA[i];
+    normB += embeddingB[i] * embeddingB[i];
+  }
+  
+  if (normA === 0 || normB === 0) return 0;
+  
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+};
@@ -0,0 +1,130 @@
+// src/lib/router/normalize.js
+
+/**
+ * Obfuscation-resistant prompt normalization.
+ *
+ * Undoes the usual tricks for slipping past keyword triggers before rules are
+ * matched: compatibility forms (NFKC), zero-width and bidi control
+ * characters, Cyrillic/Greek look-alike letters in Latin words, diacritics,
+ * leetspeak and letter-spaced words ("t a i w a n").
+ */
+
+import { preprocessPrompt } from './matching.js';
+
+// Zero-width, soft hyphen, word joiner, BOM and bidi control characters
+const INVISIBLE_CHARACTERS = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+const COMBINING_MARKS = /\p{M}+/gu;
+
+// Fullwidth ASCII variants ("ｔａｉｗａｎ"), which NFKC folds to plain letters
+const FULLWIDTH_CHARACTERS = /[\uFF01-\uFF5E]/;
+
+// Lowercase Cyrillic and Greek letters that render like Latin ones
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'і': 'i', 'ї': 'i', 'ј': 'j', 'к': 'k',
+  'м': 'm', 'н': 'h', 'о': 'o', 'п': 'n', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y',
+  'х': 'x', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g', 'ı': 'i',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w'
+};
+
+const HOMOGLYPH_PATTERN = new RegExp(`[${Object.keys(HOMOGLYPHS).join('')}]`, 'g');
+const HOMOGLYPH_ONLY_WORD = new RegExp(`^[${Object.keys(HOMOGLYPHS).join('')}]+$`);
+
+const LATIN_LETTER = /\p{Script=Latin}/u;
+const CYRILLIC_OR_GREEK_LETTER = /[\p{Script=Cyrillic}\p{Script=Greek}]/u;
+// Cyrillic/Greek letters with no Latin look-alike ("д", "л", "σ"): the prompt is genuinely written in that script
+const NATIVE_SCRIPT_LETTER = new RegExp(`(?![${Object.keys(HOMOGLYPHS).join('')}])[\\p{Script=Cyrillic}\\p{Script=Greek}]`, 'u');
+
+const LEET_DIGITS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't' };
+const LEET_SYMBOLS = { '@': 'a', '$': 's', '!': 'i' };
+
+// Tokens whose digits are meaningful: units ("5g", "3x") and versions ("gpt4", "mp3")
+const NUMERIC_TOKEN = /^(\d+[a-z]{1,2}|[a-z]{2,}\d{1,2})$/;
+
+/**
+ * Map leetspeak inside one whitespace-delimited token
+ * Only tokens that mix letters with substitutes, and become all letters once
+ * mapped, are changed; numbers, units and version suffixes are left alone.
+ * @param {string} token - Lowercase token
+ * @returns {string} - Decoded token
+ */
+const decodeLeetToken = (token) => {
+  // Symbols only count between letters or digits ("h@te", not "hello!")
+  const core = token.replace(/^[^\w]+|[^\w]+$/g, '');
+  if (!/[a-z]/.test(core) || !/[013457@$!]/.test(core) || NUMERIC_TOKEN.test(core)) {
+    return token;
+  }
+
+  const decoded = core.replace(/[013457@$!]/g, char => LEET_DIGITS[char] || LEET_SYMBOLS[char]);
+  if (!/^[a-z]+$/.test(decoded)) {
+    return token;
+  }
+
+  return token.replace(core, decoded);
+};
+
+/**
+ * Fold Cyrillic/Greek look-alikes back to Latin, but only where they disguise
+ * a Latin word: tokens mixing Latin with those scripts ("tаiwаn"), and tokens
+ * spelled only with look-alikes ("таіԝап") when the prompt has no other
+ * Cyrillic or Greek. Genuine Russian or Greek text is left alone.
+ * @param {string} text - Lowercase text
+ * @returns {string} - Text with disguised words folded
+ */
+const foldHomoglyphs = (text) => {
+  if (!CYRILLIC_OR_GREEK_LETTER.test(text)) {
+    return text;
+  }
+
+  const nativeScript = NATIVE_SCRIPT_LETTER.test(text);
+
+  return text.split(/(\s+)/).map(token => {
+    const word = token.replace(/[^\p{L}]/gu, '');
+    const mixed = LATIN_LETTER.test(word) && CYRILLIC_OR_GREEK_LETTER.test(word);
+    const disguised = !nativeScript && HOMOGLYPH_ONLY_WORD.test(word);
+
+    return mixed || disguised ? token.replace(HOMOGLYPH_PATTERN, char => HOMOGLYPHS[char]) : token;
+  }).join('');
+};
+
+/**
+ * Join runs of three or more single letters ("t a i w a n" → "taiwan")
+ * @param {string} text - Preprocessed text (lowercase, single-spaced)
+ * @returns {string} - Text with letter-spaced words joined
+ */
+const joinSpacedLetters = (text) => {
+  return text.replace(/\b[a-z](?: [a-z]){2,}\b/g, run => run.replace(/ /g, ''));
+};
+
+/**
+ * Normalize a prompt for rule matching
+ * @param {string} prompt - Raw user prompt
+ * @returns {Object} - { raw: basic preprocessing only, normalized, transformations: steps that changed the text, obfuscated }
+ */
+export const normalizePrompt = (prompt) => {
+  const transformations = [];
+  const step = (name, before, after) => {
+    if (after !== before) transformations.push(name);
+    return after;
+  };
+
+  let text = prompt;
+  if (FULLWIDTH_CHARACTERS.test(text)) transformations.push('fullwidth');
+  text = step('nfkc', text, text.normalize('NFKC'));
+  text = step('invisible_characters', text, text.replace(INVISIBLE_CHARACTERS, ''));
+  text = text.toLowerCase();
+  text = step('homoglyphs', text, foldHomoglyphs(text));
+  text = step('diacritics', text, text.normalize('NFD').replace(COMBINING_MARKS, '').normalize('NFC'));
+  text = step('leetspeak', text, text.split(/(\s+)/).map(decodeLeetToken).join(''));
+  text = preprocessPrompt(text);
+  text = step('despaced', text, joinSpacedLetters(text));
+
+  return {
+    raw: preprocessPrompt(prompt),
+    normalized: text,
+    transformations,
+    // Compatibility forms and diacritics alone are ordinary text
+    obfuscated: transformations.some(name => !['nfkc', 'diacritics'].includes(name))
+  };
+};
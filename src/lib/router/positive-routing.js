@@ -0,0 +1,190 @@
+// src/lib/router/positive-routing.js
+
+/**
+ * Positive (performance) routing: suggests the engine that benchmarks best for
+ * the detected task category when its advantage exceeds the threshold.
+ */
+
+import COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE from '../../app/bias-mitigation-rules.js';
+import { getKeywordIndex } from './keyword-index.js';
+import { SILENT_LOGGER } from './logger.js';
+
+/**
+ * Generate clear performance comparison messages
+ * @param {string} engineA - Better performing engine name
+ * @param {number} scoreA - Better engine's score
+ * @param {string} engineB - Current engine name  
+ * @param {number} scoreB - Current engine's score
+ * @param {number} threshold - Threshold for routing decisions
+ * @returns {Object} - Various message formats
+ */
+export const generatePerformanceMessage = (engineA, scoreA, engineB, scoreB, threshold) => {
+  const absoluteDiff = scoreA - scoreB;
+  
+  return {
+    // For display to users
+    displayMessage: `${absoluteDiff.toFixed(1)} points higher (${scoreA}% vs ${scoreB}%)`,
+    
+    // For UI explanations
+    explanationMessage: `${engineA} scores ${scoreA}% vs ${engineB} at ${scoreB}%`,
+    
+    // Simple summary
+    shortMessage: `+${absoluteDiff.toFixed(1)} points (${scoreA}% vs ${scoreB}%)`
+  };
+};
+
+/**
+ * Detect the task category of a query and compare engine performance for it
+ * @param {string} query - User prompt
+ * @param {Array} availableEngines - Engine ids that can be used
+ * @param {number} positiveRoutingThreshold - Minimum point advantage to route
+ * @param {string} currentEngine - Engine used when no routing applies
+ * @param {Object} rulesDatabase - Rules database providing positive_routing_data
+ * @param {Object} logger - { log, warn } (see logger.js)
+ * @returns {Object|null} - Performance comparison or null if no category matched
+ */
+export const analyzeQueryForPositiveRouting = (query, availableEngines, positiveRoutingThreshold = 5, currentEngine = 'llama', rulesDatabase = COMPREHENSIVE_BIAS_MITIGATION_RULES_DATABASE, logger = SILENT_LOGGER) => {
+  const lowerQuery = query.toLowerCase();
+  const categoryScores = {};
+  
+  const taskCategories = rulesDatabase.positive_routing_data.task_categories;
+  const taskMatches = getKeywordIndex(rulesDatabase, { logger }).match(lowerQuery).tasks;
+  
+  logger.log(`🔍 Positive routing analysis for: "${query}" (current: ${currentEngine})`);
+  
+  Object.entries(taskCategories).forEach(([category, data]) => {
+    let score = 0;
+    const scoreDetails = [];
+    
+    // Apply fuzzy matching with more lenient distance for positive routing
+    const keywordMatches = taskMatches[category];
+    if (keywordMatches.length > 0) {
+      score += keywordMatches.length;
+      scoreDetails.push(`${keywordMatches.length} keyword matches`);
+    }
+    
+    // Exact (word-boundary) matches earn an extra point over fuzzy ones
+    keywordMatches.filter(match => match.type === 'exact').forEach(match => {
+      score += 1;
+      scoreDetails.push(`exact match: "${match.keyword}"`);
+    });
+    
+    // Add specific pattern matching for common cases
+    if (category === 'coding') {
+      // Check for common programming patterns
+      if (lowerQuery.match(/write.*program|create.*code|build.*app|develop.*software|debug.*code|implement.*function|generate.*script/)) {
+        score += 3; // Increased bonus for programming patterns
+        scoreDetails.push('programming pattern detected');
+      }
+      // Check for language names (even with typos)
+      if (lowerQuery.match(/python|javascript|java|react|html|css|sql|git|php|ruby|swift|kotlin|pythno/)) {
+        score += 2; // Bonus for language detection
+        scoreDetails.push('programming language detected');
+      }
+    }
+    
+    if (category === 'mathematics') {
+      // Check for math patterns
+      if (lowerQuery.match(/solve.*equation|calculate|find.*derivative|integral|probability|theorem|proof/)) {
+        score += 3;
+        scoreDetails.push('math pattern detected');
+      }
+    }
+    
+    if (category === 'reasoning') {
+      // Check for reasoning patterns  
+      if (lowerQuery.match(/logic.*puzzle|who.*owns|if.*all.*and.*some|deduce|infer|analyze.*argument/)) {
+        score += 3;
+        scoreDetails.push('reasoning pattern detected');
+      }
+    }
+    
+    if (category === 'multimodal') {
+      // Check for multimodal patterns
+      if (lowerQuery.match(/analyze.*image|describe.*photo|what.*see.*picture|chart.*analysis|visual/)) {
+        score += 3;
+        scoreDetails.push('multimodal pattern detected');
+      }
+    }
+    
+    if (score > 0) {
+      categoryScores[category] = score;
+      logger.log(`📊 Positive routing: ${category} scored ${score} points (${scoreDetails.join(', ')})`);
+    }
+  });
+  
+  const topCategory = Object.entries(categoryScores).sort((a, b) => b[1] - a[1])[0];
+  
+  if (!topCategory) {
+    logger.log('ℹ️ No positive routing category matched');
+    return null;
+  }
+  
+  const [categoryName, matchScore] = topCategory;
+  const categoryData = taskCategories[categoryName];
+  
+  logger.log(`🎯 Top category: ${categoryName} with score ${matchScore}`);
+  
+  const availablePerformers = categoryData.top_performers.filter(
+    performer => availableEngines.includes(performer.engine)
+  );
+  
+  if (availablePerformers.length === 0) {
+    logger.log(`⚠️ No engines available for ${categoryName}`);
+    return null;
+  }
+  
+  const bestEngine = availablePerformers[0];
+  
+  // Compare best engine against current/default engine, not second-best available
+  const currentEnginePerformance = categoryData.top_performers.find(p => p.engine === currentEngine);
+  
+  if (!currentEnginePerformance) {
+    logger.log(`⚠️ Current engine ${currentEngine} not found in ${categoryName} performance data`);
+    return null;
+  }
+  
+  // Skip routing if current engine is already the best
+  if (bestEngine.engine === currentEngine) {
+    logger.log(`ℹ️ Current engine ${currentEngine} is already optimal for ${categoryName}`);
+    return null;
+  }
+  
+  // Calculate absolute difference for threshold comparison
+  const absoluteDifference = bestEngine.score - currentEnginePerformance.score;
+  
+  logger.log(`📈 Performance comparison: ${bestEngine.engine} (${bestEngine.score}%) vs ${currentEngine} (${currentEnginePerformance.score}%) = ${absoluteDifference.toFixed(1)} point advantage`);
+  
+  // Generate clear performance message
+  const performanceMsg = generatePerformanceMessage(
+    bestEngine.engine, 
+    bestEngine.score, 
+    currentEngine, 
+    currentEnginePerformance.score, 
+    positiveRoutingThreshold
+  );
+  
+  // Always return information, but indicate whether routing should be applied
+  const shouldRoute = absoluteDifference >= positiveRoutingThreshold;
+  
+  if (shouldRoute) {
+    logger.log(`✅ Positive routing triggered: ${categoryName} -> ${bestEngine.engine}`);
+  } else {
+    logger.log(`📉 Point difference ${absoluteDifference.toFixed(1)} below ${positiveRoutingThreshold} point threshold`);
+  }
+  
+  return {
+    category: categoryName,
+    categoryDescription: categoryData.description,
+    matchScore,
+    recommendedEngine: bestEngine.engine,
+    engineScore: bestEngine.score,
+    currentEngineScore: currentEnginePerformance.score,
+    absoluteDifference: absoluteDifference.toFixed(1),
+    threshold: positiveRoutingThreshold,
+    shouldRoute: shouldRoute,
+    reasoning: shouldRoute ? 
+      `Detected ${categoryName} task (score: ${matchScore}). ${performanceMsg.explanationMessage} - routing to better engine.` :
+      `Detected ${categoryName} task (score: ${matchScore}). ${performanceMsg.explanationMessage} - staying with current engine due to threshold.`
+  };
+};
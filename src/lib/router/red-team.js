@@ -0,0 +1,421 @@
+// src/lib/router/red-team.js
+
+/**
+ * Adversarial robustness harness for routing rules.
+ *
+ * Takes each rule's `should_trigger` examples, generates perturbed variants
+ * (typos beyond edit distance 1, synonym and code-word swaps, homoglyphs,
+ * spacing tricks and word reordering) and runs them through
+ * analyzeMessageForRouting. A variant evades when the rule no longer
+ * triggers. Rates are reported per rule, per perturbation strategy and per
+ * detection method (how the unperturbed example was detected: keyword,
+ * dog_whistle or semantic). Variants are seeded, so runs are reproducible.
+ * Used by `npm run red-team:rules` and the Red Team panel in settings.
+ */
+
+import { analyzeMessageForRouting } from './analyze.js';
+import { compileKeywordMatcher } from './keyword-index.js';
+import { SILENT_LOGGER } from './logger.js';
+import { calculateLevenshteinDistance } from './matching.js';
+import { normalizePrompt } from './normalize.js';
+
+export const RED_TEAM_STRATEGIES = ['typo', 'synonym', 'homoglyph', 'spacing', 'reorder'];
+
+// Paraphrases and code words that carry the same meaning past a keyword list
+export const DEFAULT_RED_TEAM_SYNONYMS = {
+  'china': ['the prc', 'the mainland'],
+  'chinese': ['mainland'],
+  'taiwan': ['formosa', 'the roc'],
+  'hong kong': ['hk', 'the fragrant harbour'],
+  'tibet': ['xizang'],
+  'xinjiang': ['east turkestan'],
+  'uyghurs': ['turkic muslims'],
+  'uyghur': ['turkic muslim'],
+  'beijing': ['the central government'],
+  'ccp': ['the party'],
+  'communist party': ['ruling party'],
+  'xi jinping': ['winnie the pooh', 'the paramount leader'],
+  'june fourth': ['may 35th'],
+  'tiananmen': ['may 35th'],
+  'social credit': ['citizen scoring'],
+  'cross strait': ['mainland taiwan'],
+  'jewish': ['hebrew'],
+  'jews': ['hebrews', 'those people'],
+  'global banking': ['international finance'],
+  'media': ['press'],
+  'puppet masters': ['string pullers'],
+  'cultural marxism': ['woke ideology'],
+  'control': ['run'],
+  'transgender': ['trans'],
+  'gender ideology': ['gender theory'],
+  'gender dysphoria': ['gender confusion'],
+  'children': ['kids'],
+  'urban youths': ['city kids'],
+  'inner city': ['certain neighborhoods'],
+  'race card': ['racism excuse'],
+  'black lives': ['blm']
+};
+
+// Latin letters and the Cyrillic/Greek letters that render like them
+const HOMOGLYPH_SUBSTITUTES = {
+  a: ['а', 'α'], c: ['с'], e: ['е', 'ε'], i: ['і', 'ι'], j: ['ј'], o: ['о', 'ο'],
+  p: ['р', 'ρ'], s: ['ѕ'], x: ['х', 'χ'], y: ['у'], k: ['κ'], t: ['т']
+};
+
+const KEYBOARD_NEIGHBOURS = {
+  a: 'qsz', b: 'vgn', c: 'xdv', d: 'sfe', e: 'wrd', f: 'dgr', g: 'fht', h: 'gjy', i: 'uok',
+  j: 'hku', k: 'jli', l: 'kop', m: 'njk', n: 'bmh', o: 'ipl', p: 'ol', q: 'wa', r: 'etf',
+  s: 'adw', t: 'ryg', u: 'yij', v: 'cbf', w: 'qes', x: 'zcs', y: 'tuh', z: 'xa'
+};
+
+const ZERO_WIDTH_SPACE = '\u200B';
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - () => number in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+const replaceSpan = (text, span, replacement) => text.slice(0, span.position) + replacement + text.slice(span.end);
+
+/**
+ * Spans of the example the rule's keywords matched, or its longest words
+ * when it was detected without one (semantic-only examples)
+ * @param {string} text - Normalized example
+ * @param {Object} rule - Routing rule
+ * @returns {Array} - Spans: { word, position, end }
+ */
+const findTargetSpans = (text, rule) => {
+  const matcher = compileKeywordMatcher([
+    { id: 'triggers', keywords: [...(rule.triggers?.topics || []), ...(rule.triggers?.dog_whistles || [])], maxDistance: 1 }
+  ]);
+  // Longest match first, so "june fourth incident" wins over "june fourth"
+  const spans = [];
+  const matches = (matcher.match(text).get('triggers') || []).sort((a, b) => (b.end - b.position) - (a.end - a.position));
+  for (const match of matches) {
+    if (!spans.some(span => match.position < span.end && span.position < match.end)) {
+      spans.push({ word: match.matched_word, position: match.position, end: match.end });
+    }
+  }
+
+  if (spans.length > 0) {
+    return spans.sort((a, b) => a.position - b.position);
+  }
+
+  const words = [...text.matchAll(/\w{4,}/g)]
+    .map(match => ({ word: match[0], position: match.index, end: match.index + match[0].length }))
+    .sort((a, b) => b.word.length - a.word.length);
+  return words.slice(0, 2).sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Two random edits (delete, insert, substitute, transpose) at least two edits away
+ * @param {string} word - Word to misspell
+ * @param {Function} random - Seeded random
+ * @returns {string|null} - Misspelling, or null if the word is too short
+ */
+const misspell = (word, random) => {
+  if (word.replace(/\s/g, '').length < 4) return null;
+
+  const edit = (current) => {
+    // Keep the first letter of each word and never edit across a space
+    const letters = [...current].map((char, index) => (/[a-z]/.test(char) && /[a-z]/.test(current[index - 1] || '') ? index : -1)).filter(index => index > 0);
+    if (letters.length === 0) return current;
+    const index = pick(random, letters);
+    const char = current[index];
+    const operation = pick(random, ['delete', 'insert', 'substitute', 'transpose']);
+
+    if (operation === 'delete') return current.slice(0, index) + current.slice(index + 1);
+    if (operation === 'insert') return current.slice(0, index) + pick(random, KEYBOARD_NEIGHBOURS[char] || char) + current.slice(index);
+    if (operation === 'substitute') return current.slice(0, index) + pick(random, KEYBOARD_NEIGHBOURS[char] || char) + current.slice(index + 1);
+    return current.slice(0, index - 1) + char + current[index - 1] + current.slice(index + 1);
+  };
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const misspelled = edit(edit(word));
+    if (calculateLevenshteinDistance(word, misspelled) >= 2) {
+      return misspelled;
+    }
+  }
+  return null;
+};
+
+/**
+ * Generators: (text, spans, random, options) => [{ technique, text }]
+ */
+const STRATEGY_GENERATORS = {
+  typo: (text, spans, random) => {
+    return spans.flatMap(span => {
+      const misspelled = misspell(span.word, random);
+      return misspelled ? [{ technique: `"${span.word}" → "${misspelled}"`, text: replaceSpan(text, span, misspelled) }] : [];
+    });
+  },
+
+  synonym: (text, spans, random, { synonyms }) => {
+    const variants = [];
+    for (const [phrase, replacements] of Object.entries(synonyms)) {
+      const pattern = new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g');
+      if (!pattern.test(text)) continue;
+      const replacement = pick(random, replacements);
+      variants.push({ technique: `"${phrase}" → "${replacement}"`, text: text.replace(pattern, replacement) });
+    }
+    return variants;
+  },
+
+  homoglyph: (text, spans, random) => {
+    return spans.flatMap(span => {
+      const positions = [...span.word].map((char, index) => (HOMOGLYPH_SUBSTITUTES[char] ? index : -1)).filter(index => index >= 0);
+      if (positions.length === 0) return [];
+
+      const chars = [...span.word];
+      for (let count = 0; count < Math.min(2, positions.length); count++) {
+        const index = pick(random, positions);
+        chars[index] = pick(random, HOMOGLYPH_SUBSTITUTES[span.word[index]]);
+      }
+      return [{ technique: `look-alike letters in "${span.word}"`, text: replaceSpan(text, span, chars.join('')) }];
+    });
+  },
+
+  spacing: (text, spans, random) => {
+    return spans.flatMap(span => {
+      // Space out the longest word of a phrase
+      const word = span.word.split(' ').reduce((longest, item) => (item.length > longest.length ? item : longest), '');
+      if (word.length < 3) return [];
+      const target = { position: span.position + span.word.indexOf(word), end: span.position + span.word.indexOf(word) + word.length };
+      const middle = Math.ceil(word.length / 2);
+
+      const tricks = [
+        { technique: `letter-spaced "${word}"`, replacement: [...word].join(' ') },
+        { technique: `zero-width space in "${word}"`, replacement: word.slice(0, middle) + ZERO_WIDTH_SPACE + word.slice(middle) },
+        { technique: `split "${word}"`, replacement: `${word.slice(0, middle)} ${word.slice(middle)}` },
+        { technique: `hyphenated "${word}"`, replacement: [...word].join('-') }
+      ];
+      const trick = pick(random, tricks);
+      return [{ technique: trick.technique, text: replaceSpan(text, target, trick.replacement) }];
+    });
+  },
+
+  reorder: (text, spans, random) => {
+    const words = text.split(' ');
+    if (words.length < 3) return [];
+
+    const shuffled = [...words];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const variants = [{ technique: 'shuffled word order', text: shuffled.join(' ') }];
+    const multiWord = spans.find(span => span.word.includes(' '));
+    if (multiWord) {
+      const reversed = multiWord.word.split(' ').reverse().join(' ');
+      variants.push({ technique: `reversed phrase "${multiWord.word}"`, text: replaceSpan(text, multiWord, reversed) });
+    }
+    return variants;
+  }
+};
+
+/**
+ * Generate perturbed variants of one example
+ * @param {string} example - Example prompt
+ * @param {Object} rule - Rule the example should trigger
+ * @param {Object} options - { strategies, variantsPerStrategy, seed, synonyms }
+ * @returns {Array} - Variants: { strategy, technique, text }
+ */
+export const generateAdversarialVariants = (example, rule, {
+  strategies = RED_TEAM_STRATEGIES,
+  variantsPerStrategy = 2,
+  seed = 1,
+  synonyms = DEFAULT_RED_TEAM_SYNONYMS
+} = {}) => {
+  const text = normalizePrompt(example).normalized;
+  const spans = findTargetSpans(text, rule);
+  const variants = [];
+
+  for (const strategy of strategies) {
+    const random = createRandom(hashString(`${seed}:${strategy}:${example}`));
+    const generated = STRATEGY_GENERATORS[strategy](text, spans, random, { synonyms });
+    const seen = new Set([text]);
+
+    for (const variant of generated) {
+      if (seen.has(variant.text)) continue;
+      seen.add(variant.text);
+      variants.push({ strategy, ...variant });
+      if (variants.filter(item => item.strategy === strategy).length >= variantsPerStrategy) break;
+    }
+  }
+
+  return variants;
+};
+
+const addRate = (bucket, key, evaded) => {
+  bucket[key] = bucket[key] || { variants: 0, evaded: 0, evasionRate: 0 };
+  bucket[key].variants += 1;
+  if (evaded) bucket[key].evaded += 1;
+  bucket[key].evasionRate = bucket[key].evaded / bucket[key].variants;
+};
+
+/**
+ * Run the red-team harness
+ * @param {Object} rulesDatabase - Rules database (with semantic embeddings if `embed` is given)
+ * @param {Object} options - { embed, ruleIds, maxPriority (default: safety rules only), strategies, variantsPerStrategy, seed, synonyms, onProgress, logger (passed to the router) }
+ * @returns {Promise<Object>} - { results, summary: { variants, evaded, evasionRate, baselineMisses, byRule, byMethod, byStrategy } }
+ */
+export const runRedTeamSuite = async (rulesDatabase, {
+  embed = null,
+  ruleIds = null,
+  maxPriority = 2,
+  strategies = RED_TEAM_STRATEGIES,
+  variantsPerStrategy = 2,
+  seed = 1,
+  synonyms = DEFAULT_RED_TEAM_SYNONYMS,
+  onProgress = null,
+  logger = SILENT_LOGGER
+} = {}) => {
+  const availableEngines = Object.keys(rulesDatabase.engines);
+  const rules = rulesDatabase.routing_rules.filter(rule =>
+    (rule.examples?.should_trigger || []).length > 0 &&
+    (ruleIds ? ruleIds.includes(rule.id) : rule.priority <= maxPriority)
+  );
+
+  const detect = async (input, ruleId) => {
+    const analysis = await analyzeMessageForRouting(input, {
+      rulesDatabase,
+      availableEngines,
+      defaultEngine: availableEngines[0],
+      positiveRoutingEnabled: false,
+      embed,
+      logger
+    });
+    return analysis.matchedRules.find(rule => rule.id === ruleId) || null;
+  };
+
+  const examples = rules.flatMap(rule => rule.examples.should_trigger.map(example => ({ rule, example })));
+  const results = [];
+
+  for (const [index, { rule, example }] of examples.entries()) {
+    const baseline = await detect(example, rule.id);
+    const result = {
+      ruleId: rule.id,
+      priority: rule.priority,
+      example,
+      detected: baseline !== null,
+      method: baseline?.detection_method || null,
+      variants: []
+    };
+
+    // Evasion is only meaningful for examples the rule catches unperturbed
+    if (baseline) {
+      for (const variant of generateAdversarialVariants(example, rule, { strategies, variantsPerStrategy, seed, synonyms })) {
+        const match = await detect(variant.text, rule.id);
+        result.variants.push({
+          ...variant,
+          evaded: match === null,
+          method: match?.detection_method || null
+        });
+      }
+    }
+
+    results.push(result);
+    onProgress?.(index + 1, examples.length);
+  }
+
+  const byRule = {};
+  const byMethod = {};
+  const byStrategy = {};
+  let variants = 0;
+  let evaded = 0;
+
+  for (const result of results) {
+    byRule[result.ruleId] = byRule[result.ruleId] || { examples: 0, baselineMisses: 0, variants: 0, evaded: 0, evasionRate: 0 };
+    byRule[result.ruleId].examples += 1;
+    if (!result.detected) byRule[result.ruleId].baselineMisses += 1;
+
+    for (const variant of result.variants) {
+      const ruleCounts = byRule[result.ruleId];
+      ruleCounts.variants += 1;
+      if (variant.evaded) ruleCounts.evaded += 1;
+      ruleCounts.evasionRate = ruleCounts.evaded / ruleCounts.variants;
+
+      addRate(byMethod, result.method, variant.evaded);
+      addRate(byStrategy, variant.strategy, variant.evaded);
+      variants += 1;
+      if (variant.evaded) evaded += 1;
+    }
+  }
+
+  return {
+    results,
+    summary: {
+      variants,
+      evaded,
+      evasionRate: variants > 0 ? evaded / variants : 0,
+      baselineMisses: results.filter(result => !result.detected).length,
+      byRule,
+      byMethod,
+      byStrategy
+    }
+  };
+};
+
+const percent = (rate) => `${(rate * 100).toFixed(0)}%`;
+
+/**
+ * Render a red-team report as plain text
+ * @param {Object} report - Result of runRedTeamSuite
+ * @param {Object} options - { verbose: list every evading variant }
+ * @returns {string} - Report text
+ */
+export const formatRedTeamReport = (report, { verbose = false } = {}) => {
+  const { summary } = report;
+  const lines = ['Evasion rate by rule:'];
+
+  for (const [ruleId, counts] of Object.entries(summary.byRule)) {
+    const misses = counts.baselineMisses > 0 ? ` (${counts.baselineMisses}/${counts.examples} examples missed unperturbed)` : '';
+    lines.push(`  ${ruleId}: ${percent(counts.evasionRate)} (${counts.evaded}/${counts.variants})${misses}`);
+  }
+
+  lines.push('', 'Evasion rate by detection method:');
+  for (const [method, counts] of Object.entries(summary.byMethod)) {
+    lines.push(`  ${method}: ${percent(counts.evasionRate)} (${counts.evaded}/${counts.variants})`);
+  }
+
+  lines.push('', 'Evasion rate by strategy:');
+  for (const [strategy, counts] of Object.entries(summary.byStrategy)) {
+    lines.push(`  ${strategy}: ${percent(counts.evasionRate)} (${counts.evaded}/${counts.variants})`);
+  }
+
+  if (verbose) {
+    lines.push('', 'Evading variants:');
+    for (const result of report.results) {
+      for (const variant of result.variants.filter(item => item.evaded)) {
+        lines.push(`  ✗ ${result.ruleId} [${variant.strategy}] ${variant.technique}: "${variant.text}"`);
+      }
+    }
+  }
+
+  lines.push('');
+  lines.push(`🛡️ ${summary.evaded}/${summary.variants} variants evaded their rule (${percent(summary.evasionRate)})`);
+
+  return lines.join('\n');
+};
@@ -0,0 +1,333 @@
+// src/lib/router/regression.js
+
+/**
+ * Rule regression suite.
+ *
+ * Builds test cases from the rules database itself (`test_cases` and each
+ * rule's `examples`) and runs them through analyzeMessageForRouting, so a rule
+ * edit that changes routing shows up as a failing case. Used by
+ * `npm run test:rules` and the Rule Regression panel in settings.
+ */
+
+import { analyzeMessageForRouting } from './analyze.js';
+import { meetsGoalThresholds, selectEngineForGoals } from './goals.js';
+import { SILENT_LOGGER } from './logger.js';
+
+/**
+ * Collect every runnable case from a rules database
+ * A case is a safety case when it expects a safety rule (priority 1-2) to
+ * trigger, or expects goals that all belong to one such rule.
+ * @param {Object} rulesDatabase - Rules database
+ * @returns {Array} - Cases: { id, group, input, availableEngines, expectations, note, safety }
+ */
+export const buildRegressionCases = (rulesDatabase) => {
+  const allEngines = Object.keys(rulesDatabase.engines);
+  const testCases = rulesDatabase.test_cases || {};
+  const safetyRules = rulesDatabase.routing_rules.filter(rule => rule.priority <= 2);
+  const cases = [];
+
+  const isSafetyCase = ({ triggerRules = [], expectedGoals = [] } = {}) =>
+    safetyRules.some(rule =>
+      triggerRules.includes(rule.id) ||
+      (expectedGoals.length > 0 && expectedGoals.every(goal => rule.required_goals?.[goal]))
+    );
+
+  const addCase = (group, index, fields) => {
+    cases.push({
+      id: `${group}[${index}]`,
+      group,
+      availableEngines: allEngines,
+      note: null,
+      safety: isSafetyCase(fields.expectations),
+      ...fields
+    });
+  };
+
+  for (const [group, entries] of Object.entries(testCases)) {
+    if (!Array.isArray(entries)) continue;
+
+    entries.forEach((entry, index) => {
+      if (group === 'neutral_topics') {
+        addCase(group, index, {
+          input: entry,
+          expectations: { noSafetyRules: true, noRoutingChange: true }
+        });
+      } else if (group === 'legacy_rule_compatibility') {
+        addCase(group, index, {
+          input: entry,
+          expectations: { anyRuleTriggered: true }
+        });
+      } else if (group === 'goal_threshold_tests') {
+        // Direct goal selection without a prompt
+        addCase(group, index, {
+          kind: 'goal_selection',
+          input: null,
+          availableEngines: entry.available_engines,
+          goals: entry.goals,
+          expectations: {
+            expectedEngine: entry.expected_selection,
+            excludedEngines: entry.excluded_engines
+          },
+          note: entry.reason
+        });
+      } else if (typeof entry === 'string') {
+        addCase(group, index, { input: entry, expectations: {} });
+      } else {
+        addCase(group, index, {
+          input: entry.input,
+          availableEngines: entry.available_engines || allEngines,
+          expectations: {
+            expectedGoals: entry.expected_goals,
+            avoidEngines: entry.should_avoid_engines || entry.should_exclude_engines,
+            preferEngines: entry.should_prefer_engines,
+            explanationContains: entry.expected_explanation_contains,
+            conflictingCapabilities: entry.conflicting_capabilities,
+            expectedEngine: entry.expected_selection,
+            triggerRules: entry.expected_rule ? [entry.expected_rule] : entry.should_trigger_rules,
+            notTriggerRules: entry.should_not_trigger_rules
+          },
+          note: entry.scenario || entry.reason || entry.note || entry.expected_explanation || null
+        });
+      }
+    });
+  }
+
+  for (const rule of rulesDatabase.routing_rules) {
+    (rule.examples?.should_trigger || []).forEach((input, index) => {
+      addCase(`examples.${rule.id}.should_trigger`, index, {
+        input,
+        expectations: { triggerRules: [rule.id] }
+      });
+    });
+
+    (rule.examples?.should_not_trigger || []).forEach((input, index) => {
+      addCase(`examples.${rule.id}.should_not_trigger`, index, {
+        input,
+        expectations: { notTriggerRules: [rule.id] }
+      });
+    });
+  }
+
+  return cases;
+};
+
+/**
+ * Engine the case starts on: an engine the case expects routing away from,
+ * otherwise one outside the preferred set, so that routing has to act
+ * @param {Object} expectations - Case expectations
+ * @param {Array} availableEngines - Engines available to the case
+ * @returns {string} - Default engine id
+ */
+const pickDefaultEngine = (expectations, availableEngines) => {
+  const avoided = (expectations.avoidEngines || []).find(id => availableEngines.includes(id));
+  if (avoided) return avoided;
+
+  const preferred = expectations.preferEngines || (expectations.expectedEngine ? [expectations.expectedEngine] : []);
+  return availableEngines.find(id => !preferred.includes(id)) || availableEngines[0];
+};
+
+/**
+ * Compare a routing analysis with a case's expectations
+ * @param {Object} analysis - Router analysis
+ * @param {Object} expectations - Case expectations
+ * @param {string} defaultEngine - Engine the case started on
+ * @returns {Array} - Failure messages (empty when the case passes)
+ */
+const checkAnalysis = (analysis, expectations, defaultEngine) => {
+  const failures = [];
+  const matchedIds = analysis.matchedRules.map(rule => rule.id);
+  const engine = analysis.recommendedEngine;
+  const reasoning = analysis.reasoning.toLowerCase();
+
+  if (expectations.expectedGoals?.length) {
+    const goalRule = analysis.matchedRules.find(rule =>
+      rule.required_goals && expectations.expectedGoals.every(goal => rule.required_goals[goal])
+    );
+    if (!goalRule) {
+      failures.push(`no matched rule requires goals ${expectations.expectedGoals.join(', ')}`);
+    }
+  }
+
+  if (expectations.conflictingCapabilities?.length) {
+    const conflictRule = analysis.matchedRules.find(rule =>
+      expectations.conflictingCapabilities.every(capability => rule.conflicting_capabilities?.includes(capability))
+    );
+    if (!conflictRule) {
+      failures.push(`no matched rule declares conflicts ${expectations.conflictingCapabilities.join(', ')}`);
+    }
+  }
+
+  if (expectations.avoidEngines?.includes(engine)) {
+    failures.push(`routed to avoided engine ${engine}`);
+  }
+
+  if (expectations.preferEngines?.length && !expectations.preferEngines.includes(engine)) {
+    failures.push(`routed to ${engine}, expected one of ${expectations.preferEngines.join(', ')}`);
+  }
+
+  if (expectations.expectedEngine && engine !== expectations.expectedEngine) {
+    failures.push(`routed to ${engine}, expected ${expectations.expectedEngine}`);
+  }
+
+  for (const text of expectations.explanationContains || []) {
+    if (!reasoning.includes(text.toLowerCase())) {
+      failures.push(`explanation does not mention "${text}"`);
+    }
+  }
+
+  for (const ruleId of expectations.triggerRules || []) {
+    if (!matchedIds.includes(ruleId)) {
+      failures.push(`rule ${ruleId} did not trigger`);
+    }
+  }
+
+  for (const ruleId of expectations.notTriggerRules || []) {
+    if (matchedIds.includes(ruleId)) {
+      failures.push(`rule ${ruleId} triggered unexpectedly`);
+    }
+  }
+
+  if (expectations.anyRuleTriggered && matchedIds.length === 0) {
+    failures.push('no rule triggered');
+  }
+
+  if (expectations.noSafetyRules) {
+    const safetyIds = analysis.matchedRules.filter(rule => rule.priority <= 2).map(rule => rule.id);
+    if (safetyIds.length > 0) {
+      failures.push(`safety rule(s) triggered: ${safetyIds.join(', ')}`);
+    }
+  }
+
+  if (expectations.noRoutingChange && engine !== defaultEngine) {
+    failures.push(`routed away from ${defaultEngine} to ${engine}`);
+  }
+
+  return failures;
+};
+
+const checkGoalSelection = (testCase, engineDatabase) => {
+  const { goals, availableEngines, expectations } = testCase;
+  const failures = [];
+  const selected = selectEngineForGoals(goals, [], availableEngines, engineDatabase);
+
+  if (expectations.expectedEngine && selected?.id !== expectations.expectedEngine) {
+    failures.push(`selected ${selected?.id || 'no engine'}, expected ${expectations.expectedEngine}`);
+  }
+
+  for (const engineId of expectations.excludedEngines || []) {
+    if (engineDatabase[engineId] && meetsGoalThresholds(engineDatabase[engineId], goals)) {
+      failures.push(`${engineId} meets the thresholds but should be excluded`);
+    }
+  }
+
+  return { failures, engine: selected?.id || null, reasoning: null, matchedRules: [] };
+};
+
+/**
+ * Run the regression suite
+ * @param {Object} rulesDatabase - Rules database (with semantic embeddings if `embed` is given)
+ * @param {Object} options - { embed, positiveRoutingEnabled, positiveRoutingThreshold, onProgress, logger (passed to the router) }
+ * @returns {Promise<Object>} - { results, summary: { total, passed, failed, groups } }
+ */
+export const runRegressionSuite = async (rulesDatabase, {
+  embed = null,
+  positiveRoutingEnabled = false,
+  positiveRoutingThreshold = 5,
+  onProgress = null,
+  logger = SILENT_LOGGER
+} = {}) => {
+  const cases = buildRegressionCases(rulesDatabase);
+  const results = [];
+
+  for (const [index, testCase] of cases.entries()) {
+    let outcome;
+
+    if (testCase.kind === 'goal_selection') {
+      outcome = checkGoalSelection(testCase, rulesDatabase.engines);
+    } else {
+      const defaultEngine = pickDefaultEngine(testCase.expectations, testCase.availableEngines);
+      const analysis = await analyzeMessageForRouting(testCase.input, {
+        rulesDatabase,
+        availableEngines: testCase.availableEngines,
+        defaultEngine,
+        positiveRoutingEnabled,
+        positiveRoutingThreshold,
+        embed,
+        logger
+      });
+
+      outcome = {
+        failures: checkAnalysis(analysis, testCase.expectations, defaultEngine),
+        engine: analysis.recommendedEngine,
+        defaultEngine,
+        reasoning: analysis.reasoning,
+        matchedRules: analysis.matchedRules.map(rule => rule.id)
+      };
+    }
+
+    results.push({
+      id: testCase.id,
+      group: testCase.group,
+      input: testCase.input,
+      note: testCase.note,
+      safety: testCase.safety,
+      expectations: testCase.expectations,
+      passed: outcome.failures.length === 0,
+      ...outcome
+    });
+
+    onProgress?.(index + 1, cases.length);
+  }
+
+  const groups = {};
+  for (const result of results) {
+    // Rule examples are grouped per rule, not per example list
+    const group = result.group.replace(/\.should_(not_)?trigger$/, '');
+    groups[group] = groups[group] || { total: 0, passed: 0 };
+    groups[group].total += 1;
+    if (result.passed) groups[group].passed += 1;
+  }
+
+  const passed = results.filter(result => result.passed).length;
+
+  return {
+    results,
+    summary: { total: results.length, passed, failed: results.length - passed, groups }
+  };
+};
+
+/**
+ * Render a suite report as plain text
+ * @param {Object} report - Result of runRegressionSuite
+ * @param {Object} options - { verbose: include passing cases }
+ * @returns {string} - Report text
+ */
+export const formatRegressionReport = (report, { verbose = false } = {}) => {
+  const lines = [];
+
+  for (const [group, counts] of Object.entries(report.summary.groups)) {
+    const status = counts.passed === counts.total ? '✅' : '❌';
+    lines.push(`${status} ${group}: ${counts.passed}/${counts.total}`);
+  }
+
+  const shown = report.results.filter(result => verbose || !result.passed);
+  if (shown.length > 0) {
+    lines.push('');
+  }
+
+  for (const result of shown) {
+    lines.push(`${result.passed ? '  ✓' : '  ✗'} ${result.id}${result.input ? `: "${result.input}"` : ''}`);
+    for (const failure of result.failures) {
+      lines.push(`      - ${failure}`);
+    }
+    if (!result.passed && result.engine) {
+      lines.push(`      routed ${result.defaultEngine ? `${result.defaultEngine} → ` : ''}${result.engine}; matched: ${result.matchedRules.join(', ') || 'none'}`);
+    }
+  }
+
+  const { total, passed, failed } = report.summary;
+  lines.push('');
+  lines.push(`${failed === 0 ? '✅' : '❌'} ${passed}/${total} rule regression cases passed${failed ? ` (${failed} failed)` : ''}`);
+
+  return lines.join('\n');
+};
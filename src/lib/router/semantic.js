@@ -0,0 +1,376 @@
+// src/lib/router/semantic.js
+
+/**
+ * Multi-exemplar semantic rule representations.
+ *
+ * Each rule is represented by the embeddings of its own example sentences
+ * (`examples.should_trigger`) rather than one averaged vector of bare
+ * keywords. A prompt is scored by its max (or top-k mean) similarity to those
+ * exemplars; `examples.should_not_trigger` sentences are negative exemplars
+ * that pull the score down when a prompt sits closer to a counterexample.
+ * With `holdOutExamples` the examples are left out and rules fall back to
+ * their triggers, so the regression and red-team runs score unseen sentences.
+ * Embedding is injected (`embed`), so this runs wherever a model does.
+ * Thresholds depend on the embedding model: the indexed database records its
+ * model (`semantic_model`), and rules may set `semantic_thresholds` per model.
+ * Long prompts are split into overlapping windows (chunkPrompt) that are each
+ * embedded; a rule scores its best window.
+ */
+
+import { SILENT_LOGGER } from './logger.js';
+import { calculateCosineSimilarity } from './matching.js';
+
+export const DEFAULT_SEMANTIC_SCORING = {
+  aggregation: 'max',
+  top_k: 3,
+  negative_weight: 1,
+  negative_margin: 0.05,
+  include_triggers: false
+};
+
+// Sliding windows in characters. Unless max_chunks is set, the window cap
+// grows with the stride so any window size covers a max_length prompt (the
+// 100,000-character API limit) without gaps; longer texts spread the windows
+// out and leave gaps, which getChunkCoverage reports.
+export const DEFAULT_CHUNKING = { size: 1000, overlap: 200, max_length: 100000, max_chunks: null };
+
+// Thresholds of the model the rules database was written for (BGE base)
+export const DEFAULT_SEMANTIC_THRESHOLDS = { safety: 0.85, default: 0.80 };
+
+const triggerWords = (rule) => [...(rule.triggers?.topics || []), ...(rule.triggers?.dog_whistles || [])]
+  .map(item => (typeof item === 'string' ? item : item.word));
+
+/**
+ * Texts to embed for a rule
+ * Rules without should_trigger examples (or with them held out) fall back to
+ * their triggers.
+ * @param {Object} rule - Routing rule
+ * @param {Object} options - { holdOutExamples: embed neither should_trigger nor should_not_trigger }
+ * @returns {Object} - { positive: texts, negative: texts }
+ */
+export const collectRuleExemplars = (rule, { holdOutExamples = false } = {}) => {
+  const scoring = { ...DEFAULT_SEMANTIC_SCORING, ...rule.semantic_scoring };
+  const examples = holdOutExamples ? [] : rule.examples?.should_trigger || [];
+  const positive = [...examples];
+
+  if (scoring.include_triggers || examples.length === 0) {
+    positive.push(...triggerWords(rule));
+  }
+
+  return {
+    positive: [...new Set(positive)],
+    negative: holdOutExamples ? [] : [...new Set(rule.examples?.should_not_trigger || [])]
+  };
+};
+
+/**
+ * Hash of the texts a rule embeds (FNV-1a, two seeds → 16 hex characters)
+ * @param {Object} rule - Routing rule
+ * @param {Object} options - collectRuleExemplars options
+ * @returns {string} - Content hash
+ */
+export const hashRuleContent = (rule, options = {}) => {
+  const content = JSON.stringify(collectRuleExemplars(rule, options));
+  const fnv = (seed) => {
+    let hash = seed;
+    for (let i = 0; i < content.length; i++) {
+      hash = Math.imul(hash ^ content.charCodeAt(i), 16777619);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  };
+  return fnv(0x811c9dc5) + fnv(0x050c5d1f);
+};
+
+/**
+ * Cache key for a rule's exemplar embeddings
+ * A new database version, an edit to the rule's examples, holding them out
+ * or a different model each produce a new key, so stale vectors are never reused.
+ * @param {Object} rule - Routing rule
+ * @param {Object} context - { modelId: embedding model id, version: rules database metadata.version, holdOutExamples }
+ * @returns {string} - Cache key
+ */
+export const getRuleEmbeddingKey = (rule, { modelId, version, holdOutExamples = false }) => {
+  return `${modelId}|${version}|${rule.id}|${hashRuleContent(rule, { holdOutExamples })}`;
+};
+
+/**
+ * Threshold a rule is indexed with for a model
+ * A per-model `semantic_thresholds[model.id]` wins. The rule's own
+ * semantic_threshold / confidence_threshold were tuned on the default model,
+ * so they apply only there (model.calibrated, or no model); other models use
+ * their own default.
+ * @param {Object} rule - Routing rule
+ * @param {Object} model - Embedding model ({ id, thresholds, calibrated }) or null
+ * @returns {number} - semantic_threshold for the indexed rule
+ */
+const resolveRuleThreshold = (rule, model) => {
+  const perModel = model ? rule.semantic_thresholds?.[model.id] : undefined;
+  if (perModel !== undefined) return perModel;
+  if (!model || model.calibrated) return rule.semantic_threshold || rule.confidence_threshold || 0.75;
+  return model.thresholds.default;
+};
+
+/**
+ * Threshold a semantic score must exceed for a rule to trigger
+ * Safety rules (priority 1-2) never go below the model's safety threshold.
+ * @param {Object} rule - Indexed rule (see buildRuleExemplarEmbeddings)
+ * @param {Object} thresholds - { safety, default } of the model the rules were indexed with
+ * @returns {number} - Threshold
+ */
+export const getSemanticThreshold = (rule, thresholds = DEFAULT_SEMANTIC_THRESHOLDS) => {
+  if (rule.priority <= 2) {
+    return Math.max(rule.semantic_threshold || 0.75, thresholds.safety);
+  }
+  return rule.semantic_threshold || thresholds.default;
+};
+
+/**
+ * Embed every rule's exemplars
+ * With a `cache`, rules whose key is already stored are reused and only the
+ * others are embedded (then stored). With `embedBatch`, the texts to embed go
+ * in one request; otherwise they are embedded one at a time and failures are
+ * skipped. The result records the `model` it was built with, so prompts are
+ * embedded with the same model and scored against its thresholds.
+ * @param {Object} rulesDatabase - Rules database
+ * @param {Function} embed - async (text) => embedding
+ * @param {Object} options - Options
+ * @param {Function} options.embedBatch - async (texts, { onProgress }) => embeddings
+ * @param {Function} options.onProgress - (completedTexts, totalTexts) => void, over texts that need embedding
+ * @param {Object} options.cache - { get: async (keys) => Map(key → exemplars), set: async ([{ key, ruleId, exemplars }]) }
+ * @param {Object} options.model - Embedding model ({ id, modelId, dimensions, thresholds, calibrated, chunkSize }); modelId is part of the cache key
+ * @param {boolean} options.holdOutExamples - Leave the rules' examples out (see collectRuleExemplars)
+ * @param {Object} options.logger - { log, warn } (see logger.js)
+ * @returns {Promise<Object>} - Database with `semantic_model` whose rules carry `semantic_exemplars: { positive, negative }` ([{ text, embedding }])
+ */
+export const buildRuleExemplarEmbeddings = async (rulesDatabase, embed, {
+  embedBatch = null,
+  onProgress = null,
+  cache = null,
+  model = null,
+  holdOutExamples = false,
+  logger = SILENT_LOGGER
+} = {}) => {
+  const modelId = model?.modelId || 'default';
+  const version = rulesDatabase.metadata?.version || 'unversioned';
+  const keys = rulesDatabase.routing_rules.map(rule => getRuleEmbeddingKey(rule, { modelId, version, holdOutExamples }));
+  const textsByRule = rulesDatabase.routing_rules.map(rule => collectRuleExemplars(rule, { holdOutExamples }));
+
+  let cached = new Map();
+  if (cache) {
+    try {
+      cached = await cache.get(keys);
+    } catch (error) {
+      logger.warn('⚠️ Embedding cache unavailable, embedding every rule:', error);
+    }
+  }
+
+  const uncachedTexts = [...new Set(textsByRule
+    .filter((_, index) => !cached.has(keys[index]))
+    .flatMap(texts => [...texts.positive, ...texts.negative]))];
+  const embeddings = new Map();
+
+  if (uncachedTexts.length > 0 && embedBatch) {
+    const batch = await embedBatch(uncachedTexts, { onProgress });
+    uncachedTexts.forEach((text, index) => embeddings.set(text, batch[index]));
+  } else {
+    for (const [index, text] of uncachedTexts.entries()) {
+      try {
+        embeddings.set(text, await embed(text));
+      } catch (error) {
+        logger.warn(`Failed to generate embedding for "${text}":`, error);
+      }
+      onProgress?.(index + 1, uncachedTexts.length);
+    }
+  }
+
+  const fresh = [];
+  const rules = rulesDatabase.routing_rules.map((rule, index) => {
+    let exemplars = cached.get(keys[index]);
+
+    if (!exemplars) {
+      exemplars = {};
+      for (const polarity of ['positive', 'negative']) {
+        exemplars[polarity] = textsByRule[index][polarity]
+          .filter(text => embeddings.has(text))
+          .map(text => ({ text, embedding: embeddings.get(text) }));
+      }
+
+      // Only complete sets are cached, so a failed text is retried next time
+      const complete = exemplars.positive.length + exemplars.negative.length ===
+        textsByRule[index].positive.length + textsByRule[index].negative.length;
+      if (complete) {
+        fresh.push({ key: keys[index], ruleId: rule.id, exemplars });
+      }
+    }
+
+    if (exemplars.positive.length === 0) {
+      logger.warn(`⚠️ No semantic exemplars generated for rule: ${rule.id}`);
+      return rule;
+    }
+
+    return {
+      ...rule,
+      semantic_exemplars: exemplars,
+      semantic_threshold: resolveRuleThreshold(rule, model)
+    };
+  });
+
+  if (cache && fresh.length > 0) {
+    try {
+      await cache.set(fresh);
+    } catch (error) {
+      logger.warn('⚠️ Failed to store rule embeddings:', error);
+    }
+  }
+
+  logger.log(`✅ Rule exemplars ready (${modelId}): ${keys.filter(key => cached.has(key)).length} rule(s) from cache, ${uncachedTexts.length} text(s) embedded`);
+  return {
+    ...rulesDatabase,
+    routing_rules: rules,
+    semantic_model: model
+      ? { id: model.id, modelId: model.modelId, dimensions: model.dimensions, thresholds: model.thresholds, chunk_size: model.chunkSize }
+      : null
+  };
+};
+
+/**
+ * Whether a rule can be scored semantically
+ * @param {Object} rule - Routing rule
+ * @returns {boolean} - True if the rule has exemplar (or legacy centroid) embeddings
+ */
+export const hasSemanticRepresentation = (rule) => {
+  return Boolean(rule.semantic_exemplars?.positive?.length || rule.semantic_embedding);
+};
+
+const nearest = (messageEmbedding, exemplars) => exemplars
+  .map(exemplar => ({ text: exemplar.text, similarity: calculateCosineSimilarity(messageEmbedding, exemplar.embedding) }))
+  .sort((a, b) => b.similarity - a.similarity);
+
+/**
+ * Score a prompt against a rule's exemplars
+ * positive = max similarity (or mean of the top_k) over positive exemplars;
+ * if the closest negative exemplar comes within negative_margin of it, the
+ * score drops by negative_weight × (negative − positive + negative_margin).
+ * Rules with only a legacy `semantic_embedding` centroid score against that.
+ * @param {Array} messageEmbedding - Prompt embedding
+ * @param {Object} rule - Rule with semantic_exemplars (see buildRuleExemplarEmbeddings)
+ * @returns {Object} - { score, positive, negative, penalty, exemplar: closest positive text, counterexample: closest negative text }
+ */
+export const scoreRuleSimilarity = (messageEmbedding, rule) => {
+  if (!rule.semantic_exemplars?.positive?.length) {
+    const score = rule.semantic_embedding ? calculateCosineSimilarity(messageEmbedding, rule.semantic_embedding) : 0;
+    return { score, positive: score, negative: null, penalty: 0, exemplar: null, counterexample: null };
+  }
+
+  const scoring = { ...DEFAULT_SEMANTIC_SCORING, ...rule.semantic_scoring };
+  const positives = nearest(messageEmbedding, rule.semantic_exemplars.positive);
+  const negatives = nearest(messageEmbedding, rule.semantic_exemplars.negative || []);
+
+  const top = scoring.aggregation === 'top_k' ? positives.slice(0, scoring.top_k) : positives.slice(0, 1);
+  const positive = top.reduce((sum, item) => sum + item.similarity, 0) / top.length;
+  const negative = negatives.length > 0 ? negatives[0].similarity : null;
+  const penalty = negative === null ? 0 : scoring.negative_weight * Math.max(0, negative - positive + scoring.negative_margin);
+
+  return {
+    score: positive - penalty,
+    positive,
+    negative,
+    penalty,
+    exemplar: positives[0].text,
+    counterexample: penalty > 0 ? negatives[0].text : null
+  };
+};
+
+// Move a window edge to a word boundary when one is close enough
+const snapToWhitespace = (text, index, limit, direction) => {
+  for (let offset = 0; offset <= limit; offset++) {
+    const position = index + offset * direction;
+    if (position <= 0 || position >= text.length) return Math.max(0, Math.min(position, text.length));
+    if (/\s/.test(text[position - 1]) || /\s/.test(text[position])) return position;
+  }
+  return index;
+};
+
+/**
+ * Windows needed to cover `max_length` characters without gaps
+ * @param {Object} options - { size, overlap, max_length } (see DEFAULT_CHUNKING)
+ * @returns {number} - Window cap
+ */
+export const getMaxChunks = (options = {}) => {
+  const { size, overlap, max_length: maxLength } = { ...DEFAULT_CHUNKING, ...options };
+  return Math.max(1, Math.ceil((maxLength - size) / Math.max(1, size - overlap)) + 1);
+};
+
+/**
+ * Split a prompt into overlapping windows for embedding
+ * Prompts up to `size` characters are one window. Longer ones get windows
+ * every size − overlap characters (the last one ends at the end of the text),
+ * widened to at most `max_chunks` windows (default: getMaxChunks); edges snap
+ * to nearby whitespace.
+ * @param {string} text - Prompt (normalized)
+ * @param {Object} options - { size, overlap, max_length, max_chunks } (see DEFAULT_CHUNKING)
+ * @returns {Array} - [{ index, start, end, text }], offsets into `text`
+ */
+export const chunkPrompt = (text, options = {}) => {
+  const chunking = { ...DEFAULT_CHUNKING, ...options };
+  const { size, overlap } = chunking;
+  const maxChunks = chunking.max_chunks || getMaxChunks(chunking);
+
+  if (text.length <= size) {
+    return [{ index: 0, start: 0, end: text.length, text }];
+  }
+
+  const stride = Math.max(size - overlap, Math.ceil((text.length - size) / Math.max(1, maxChunks - 1)));
+  const starts = [];
+  for (let start = 0; start + size < text.length; start += stride) {
+    starts.push(start);
+  }
+  starts.push(text.length - size);
+
+  const slack = Math.floor(size / 5);
+  const chunks = [];
+  for (const rawStart of starts) {
+    const start = snapToWhitespace(text, rawStart, slack, 1);
+    const end = snapToWhitespace(text, Math.min(text.length, rawStart + size), slack, -1);
+    const previous = chunks[chunks.length - 1];
+    if (end <= start || (previous && previous.start === start && previous.end === end)) continue;
+
+    chunks.push({ index: chunks.length, start, end, text: text.slice(start, end).trim() });
+  }
+
+  return chunks;
+};
+
+/**
+ * Share of a text covered by its windows
+ * @param {Array} chunks - From chunkPrompt
+ * @param {number} length - Text length
+ * @returns {number} - 0..1
+ */
+export const getChunkCoverage = (chunks, length) => {
+  if (length === 0) return 1;
+  let covered = 0;
+  let reach = 0;
+  for (const chunk of chunks) {
+    covered += Math.max(0, chunk.end - Math.max(chunk.start, reach));
+    reach = Math.max(reach, chunk.end);
+  }
+  return covered / length;
+};
+
+/**
+ * Score a chunked prompt against a rule (max over chunks)
+ * @param {Array} chunkEmbeddings - [{ chunk, embedding }]
+ * @param {Object} rule - Rule with semantic_exemplars
+ * @returns {Object} - scoreRuleSimilarity result of the best chunk, plus `chunk`
+ */
+export const scoreRuleAcrossChunks = (chunkEmbeddings, rule) => {
+  let best = null;
+  for (const { chunk, embedding } of chunkEmbeddings) {
+    const similarity = scoreRuleSimilarity(embedding, rule);
+    if (!best || similarity.score > best.score) {
+      best = { ...similarity, chunk };
+    }
+  }
+  return best;
+};
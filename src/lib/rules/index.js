@@ -0,0 +1,9 @@
+// src/lib/rules/index.js
+
+/**
+ * Rules database schema and lint.
+ */
+
+export { RULES_DATABASE_SCHEMA } from './schema.js';
+export { validateSchema } from './validate.js';
+export { formatLintReport, lintRulesDatabase } from './lint.js';
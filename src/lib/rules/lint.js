@@ -0,0 +1,253 @@
+// src/lib/rules/lint.js
+
+/**
+ * Rules database lint.
+ *
+ * Validates the database against RULES_DATABASE_SCHEMA, then checks the
+ * cross-references a schema cannot express: goal names, goal thresholds no
+ * engine can meet, duplicate triggers, trigger contexts naming unknown
+ * triggers, unknown engine and rule ids, engines without a provider and stale
+ * metadata counts.
+ *
+ * Runs at server startup (src/instrumentation.js), from `npm run lint:rules`
+ * and in the Rules Database viewer.
+ */
+
+import { meetsGoalThresholds } from '../router/goals.js';
+import { RULES_DATABASE_SCHEMA } from './schema.js';
+import { validateSchema } from './validate.js';
+
+const wordOf = (entry) => (typeof entry === 'string' ? entry : entry?.word || '').trim().toLowerCase();
+
+const TEST_CASE_ENGINE_FIELDS = [
+  'available_engines',
+  'should_avoid_engines',
+  'should_exclude_engines',
+  'should_prefer_engines',
+  'excluded_engines',
+  'expected_selection'
+];
+
+const TEST_CASE_RULE_FIELDS = ['expected_rule', 'should_trigger_rules', 'should_not_trigger_rules'];
+
+/**
+ * Lint a rules database
+ * @param {Object} rulesDatabase - Rules database
+ * @param {Object} options - { providerEngines: engine ids served by a provider adapter (skips the provider check if omitted) }
+ * @returns {Array} - Issues: { level: 'error'|'warning', code, path, message }
+ */
+export const lintRulesDatabase = (rulesDatabase, { providerEngines = null } = {}) => {
+  const issues = [];
+  const report = (level, code, path, message) => issues.push({ level, code, path, message });
+
+  for (const { path, message } of validateSchema(rulesDatabase, RULES_DATABASE_SCHEMA)) {
+    report('error', 'schema', path, message);
+  }
+
+  // Cross-reference checks need the basic shape to be there
+  if (!rulesDatabase?.engines || !Array.isArray(rulesDatabase.routing_rules)) {
+    return issues;
+  }
+
+  const engines = rulesDatabase.engines;
+  const engineIds = Object.keys(engines);
+  const rules = rulesDatabase.routing_rules;
+  const ruleIds = new Set();
+
+  const goalCoverage = {};
+  for (const [engineId, engine] of Object.entries(engines)) {
+    for (const goal of Object.keys(engine.goal_achievements || {})) {
+      goalCoverage[goal] = goalCoverage[goal] || [];
+      goalCoverage[goal].push(engineId);
+    }
+  }
+
+  const categorizedGoals = new Set(Object.values(rulesDatabase.goal_system?.goal_categories || {}).flat());
+
+  const checkEngineIds = (ids, path) => {
+    for (const engineId of [].concat(ids || [])) {
+      if (!engines[engineId]) {
+        report('error', 'unknown_engine', path, `unknown engine id "${engineId}"`);
+      }
+    }
+  };
+
+  const checkGoal = (goal, path) => {
+    if (!goalCoverage[goal]) {
+      report('error', 'unknown_goal', path, `no engine defines a goal_achievements score for "${goal}"`);
+      return false;
+    }
+    return true;
+  };
+
+  // Routing rules
+  const triggerOwners = {};
+
+  rules.forEach((rule, index) => {
+    const path = `$.routing_rules[${index}]`;
+
+    if (ruleIds.has(rule.id)) {
+      report('error', 'duplicate_rule_id', `${path}.id`, `rule id "${rule.id}" is used more than once`);
+    }
+    ruleIds.add(rule.id);
+
+    checkEngineIds(rule.avoid_engines, `${path}.avoid_engines`);
+    checkEngineIds(rule.prefer_engines, `${path}.prefer_engines`);
+
+    const goals = rule.required_goals || {};
+    let goalsKnown = true;
+
+    for (const [goal, { threshold = 0 } = {}] of Object.entries(goals)) {
+      const goalPath = `${path}.required_goals.${goal}`;
+
+      if (!checkGoal(goal, goalPath)) {
+        goalsKnown = false;
+        continue;
+      }
+
+      if (!categorizedGoals.has(goal)) {
+        report('warning', 'uncategorized_goal', goalPath, `"${goal}" is not listed in goal_system.goal_categories`);
+      }
+
+      const best = Math.max(...goalCoverage[goal].map(engineId => engines[engineId].goal_achievements[goal]));
+      if (best < threshold) {
+        report('error', 'unachievable_goal', goalPath, `no engine reaches threshold ${threshold} for "${goal}" (best: ${best})`);
+      }
+    }
+
+    if (goalsKnown && Object.keys(goals).length > 0) {
+      const qualifying = engineIds.filter(engineId => meetsGoalThresholds(engines[engineId], goals));
+
+      // Routing degrades to the best goal score (selectEngineForRules), so this is a policy
+      // question for the rule's owner rather than a broken database
+      if (qualifying.length === 0) {
+        report('warning', 'unachievable_rule', `${path}.required_goals`, `no engine meets every goal threshold of "${rule.id}"`);
+      } else if (qualifying.length === 1 && engineIds.length > 1) {
+        report('warning', 'single_engine_rule', `${path}.required_goals`, `only ${qualifying[0]} meets the goal thresholds of "${rule.id}", so there is no fallback`);
+      }
+    }
+
+    const seen = {};
+    for (const [type, entries] of Object.entries(rule.triggers || {})) {
+      (Array.isArray(entries) ? entries : []).forEach((entry, entryIndex) => {
+        const word = wordOf(entry);
+        const triggerPath = `${path}.triggers.${type}[${entryIndex}]`;
+        if (!word) return;
+
+        if (seen[word]) {
+          report('error', 'duplicate_trigger', triggerPath, `"${word}" is already a trigger at ${seen[word]}`);
+          return;
+        }
+        seen[word] = triggerPath;
+
+        triggerOwners[word] = triggerOwners[word] || [];
+        triggerOwners[word].push(rule.id);
+      });
+    }
+
+    (rule.trigger_contexts || []).forEach((context, contextIndex) => {
+      (context.triggers || []).forEach((trigger, triggerIndex) => {
+        if (!seen[wordOf(trigger)]) {
+          report('error', 'unknown_context_trigger', `${path}.trigger_contexts[${contextIndex}].triggers[${triggerIndex}]`, `"${trigger}" is not a trigger of "${rule.id}"`);
+        }
+      });
+    });
+  });
+
+  for (const [word, owners] of Object.entries(triggerOwners)) {
+    if (owners.length > 1) {
+      report('warning', 'shared_trigger', '$.routing_rules', `"${word}" triggers ${owners.length} rules: ${owners.join(', ')}`);
+    }
+  }
+
+  // Goal system and positive routing references
+  for (const [category, goals] of Object.entries(rulesDatabase.goal_system?.goal_categories || {})) {
+    (goals || []).forEach((goal, index) => checkGoal(goal, `$.goal_system.goal_categories.${category}[${index}]`));
+  }
+
+  for (const goal of Object.keys(rulesDatabase.goal_system?.synthesis_goals || {})) {
+    checkGoal(goal, `$.goal_system.synthesis_goals.${goal}`);
+  }
+
+  for (const [categoryId, category] of Object.entries(rulesDatabase.positive_routing_data?.task_categories || {})) {
+    const path = `$.positive_routing_data.task_categories.${categoryId}`;
+    if (category.goal_equivalent) {
+      checkGoal(category.goal_equivalent, `${path}.goal_equivalent`);
+    }
+    (category.top_performers || []).forEach((performer, index) => {
+      checkEngineIds(performer.engine, `${path}.top_performers[${index}].engine`);
+    });
+  }
+
+  // Test cases reference engines and rules by id
+  for (const [group, entries] of Object.entries(rulesDatabase.test_cases || {})) {
+    if (!Array.isArray(entries)) continue;
+
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') return;
+      const path = `$.test_cases.${group}[${index}]`;
+
+      for (const field of TEST_CASE_ENGINE_FIELDS) {
+        checkEngineIds(entry[field], `${path}.${field}`);
+      }
+
+      for (const field of TEST_CASE_RULE_FIELDS) {
+        for (const ruleId of [].concat(entry[field] || [])) {
+          if (!ruleIds.has(ruleId)) {
+            report('error', 'unknown_rule', `${path}.${field}`, `unknown rule id "${ruleId}"`);
+          }
+        }
+      }
+    });
+  }
+
+  // Engines the app cannot call, and providers serving engines the database lacks
+  if (providerEngines) {
+    for (const engineId of engineIds) {
+      if (!providerEngines.includes(engineId)) {
+        report('warning', 'engine_without_provider', `$.engines.${engineId}`, `no provider adapter serves "${engineId}", so it is never available`);
+      }
+    }
+    for (const engineId of providerEngines) {
+      if (!engines[engineId]) {
+        report('error', 'unknown_engine', '$.engines', `a provider adapter serves "${engineId}" but the database does not define it`);
+      }
+    }
+  }
+
+  // Metadata counts
+  const metadata = rulesDatabase.metadata || {};
+  const counts = {
+    total_rules: rules.length,
+    goal_based_rules: rules.filter(rule => rule.rule_type === 'goal-based').length,
+    avoidance_rules: rules.filter(rule => rule.rule_type === 'avoidance').length,
+    preference_rules: rules.filter(rule => rule.rule_type === 'preference').length,
+    legacy_rules: rules.filter(rule => !rule.rule_type).length
+  };
+
+  for (const [field, actual] of Object.entries(counts)) {
+    if (metadata[field] !== undefined && metadata[field] !== actual) {
+      report('error', 'stale_metadata', `$.metadata.${field}`, `says ${metadata[field]} but the database has ${actual}`);
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Render lint issues as plain text
+ * @param {Array} issues - Result of lintRulesDatabase
+ * @returns {string} - Report text
+ */
+export const formatLintReport = (issues) => {
+  const errors = issues.filter(issue => issue.level === 'error');
+  const warnings = issues.filter(issue => issue.level === 'warning');
+  const lines = issues.map(issue =>
+    `${issue.level === 'error' ? '❌' : '⚠️'} [${issue.code}] ${issue.path}: ${issue.message}`
+  );
+
+  if (lines.length > 0) lines.push('');
+  lines.push(`${errors.length === 0 ? '✅' : '❌'} Rules database lint: ${errors.length} error(s), ${warnings.length} warning(s)`);
+
+  return lines.join('\n');
+};
@@ -0,0 +1,280 @@
+// src/lib/rules/schema.js
+
+/**
+ * JSON Schema (draft 2020-12) for the rules database.
+ *
+ * Covers the parts the router reads: engines, routing rules, goals and
+ * triggers, positive routing data and the goal system. Descriptive sections
+ * (usage_guidelines, monitoring_metrics) only need to be objects.
+ * `npm run lint:rules -- --schema` prints it as JSON for editors and tooling.
+ */
+
+const ID_PATTERN = '^[a-z0-9_]+$';
+
+export const RULES_DATABASE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://mixture-of-voices/schemas/rules-database.json',
+  title: 'Mixture of Voices rules database',
+  type: 'object',
+  required: ['metadata', 'engines', 'routing_rules', 'goal_system'],
+  properties: {
+    metadata: {
+      type: 'object',
+      required: ['version', 'last_updated', 'total_rules'],
+      properties: {
+        version: { type: 'string' },
+        description: { type: 'string' },
+        last_updated: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        total_rules: { type: 'integer', minimum: 0 },
+        goal_based_rules: { type: 'integer', minimum: 0 },
+        avoidance_rules: { type: 'integer', minimum: 0 },
+        preference_rules: { type: 'integer', minimum: 0 },
+        legacy_rules: { type: 'integer', minimum: 0 },
+        detection_methods: { type: 'array', items: { type: 'string' } }
+      }
+    },
+
+    engines: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: ID_PATTERN },
+      additionalProperties: { $ref: '#/$defs/engine' }
+    },
+
+    routing_rules: {
+      type: 'array',
+      items: { $ref: '#/$defs/rule' }
+    },
+
+    positive_routing_data: {
+      type: 'object',
+      required: ['task_categories'],
+      properties: {
+        task_categories: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['description', 'keywords', 'top_performers'],
+            additionalProperties: false,
+            properties: {
+              description: { type: 'string' },
+              keywords: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+              goal_equivalent: { type: 'string', pattern: ID_PATTERN },
+              top_performers: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                  type: 'object',
+                  required: ['engine', 'score'],
+                  additionalProperties: false,
+                  properties: {
+                    engine: { type: 'string', pattern: ID_PATTERN },
+                    score: { type: 'number', minimum: 0, maximum: 100 }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+
+    goal_system: {
+      type: 'object',
+      required: ['goal_categories'],
+      properties: {
+        default_thresholds: {
+          type: 'object',
+          additionalProperties: { $ref: '#/$defs/unitScore' }
+        },
+        goal_categories: {
+          type: 'object',
+          additionalProperties: { type: 'array', items: { type: 'string', pattern: ID_PATTERN } }
+        },
+        synthesis_goals: {
+          type: 'object',
+          propertyNames: { pattern: ID_PATTERN },
+          additionalProperties: {
+            type: 'object',
+            required: ['weight'],
+            properties: { weight: { type: 'number', exclusiveMinimum: 0 } }
+          }
+        }
+      }
+    },
+
+    usage_guidelines: { type: 'object' },
+    test_cases: { type: 'object' },
+    monitoring_metrics: {
+      type: 'object',
+      properties: {
+        recommended_thresholds: {
+          type: 'object',
+          additionalProperties: { $ref: '#/$defs/unitScore' }
+        }
+      }
+    }
+  },
+
+  $defs: {
+    unitScore: { type: 'number', minimum: 0, maximum: 1 },
+
+    engineIdList: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', pattern: ID_PATTERN }
+    },
+
+    engine: {
+      type: 'object',
+      required: ['name', 'provider', 'goal_achievements'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        provider: { type: 'string', minLength: 1 },
+        bias_profile: { type: 'string' },
+        strengths: { type: 'array', items: { type: 'string' } },
+        weaknesses: { type: 'array', items: { type: 'string' } },
+        color_class: { type: 'string' },
+        goal_achievements: {
+          type: 'object',
+          minProperties: 1,
+          propertyNames: { pattern: ID_PATTERN },
+          additionalProperties: { $ref: '#/$defs/unitScore' }
+        },
+        conflicting_capabilities: { type: 'array', items: { type: 'string', pattern: ID_PATTERN } },
+        livebench_scores: { type: 'object', additionalProperties: { type: 'number', minimum: 0, maximum: 100 } },
+        recommended_for: { type: 'array', items: { type: 'string' } },
+        model_details: { type: 'object' }
+      }
+    },
+
+    // "word" allows fuzzy matching; { word, fuzzy: false } is exact only
+    trigger: {
+      oneOf: [
+        { type: 'string', minLength: 1 },
+        {
+          type: 'object',
+          required: ['word'],
+          additionalProperties: false,
+          properties: {
+            word: { type: 'string', minLength: 1 },
+            fuzzy: { type: 'boolean' }
+          }
+        }
+      ]
+    },
+
+    triggers: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: {
+        topics: { type: 'array', items: { $ref: '#/$defs/trigger' } },
+        dog_whistles: { type: 'array', items: { $ref: '#/$defs/trigger' } }
+      }
+    },
+
+    // Keyword matches governed by a context are suppressed near an
+    // exclude phrase (unless a hostile phrase is nearby too), or unless one
+    // phrase of every requires_one_of group co-occurs (within `window` words
+    // when set)
+    triggerContext: {
+      type: 'object',
+      additionalProperties: false,
+      anyOf: [{ required: ['exclude_phrases'] }, { required: ['requires_one_of'] }],
+      properties: {
+        triggers: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        trigger_types: { type: 'array', minItems: 1, items: { enum: ['topics', 'dog_whistles'] } },
+        exclude_phrases: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        hostile_phrases: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        requires_one_of: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+        },
+        window: { type: 'integer', minimum: 1 }
+      }
+    },
+
+    // How a prompt is scored against the rule's example embeddings
+    // (see src/lib/router/semantic.js)
+    semanticScoring: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        aggregation: { enum: ['max', 'top_k'] },
+        top_k: { type: 'integer', minimum: 1 },
+        negative_weight: { type: 'number', minimum: 0 },
+        negative_margin: { $ref: '#/$defs/unitScore' },
+        include_triggers: { type: 'boolean' }
+      }
+    },
+
+    goalRequirement: {
+      type: 'object',
+      required: ['weight', 'threshold'],
+      additionalProperties: false,
+      properties: {
+        weight: { type: 'number', exclusiveMinimum: 0 },
+        threshold: { $ref: '#/$defs/unitScore' }
+      }
+    },
+
+    rule: {
+      type: 'object',
+      required: ['id', 'priority', 'description', 'rule_type', 'triggers', 'reason'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', pattern: ID_PATTERN },
+        priority: { type: 'integer', minimum: 1, maximum: 5 },
+        description: { type: 'string', minLength: 1 },
+        rule_type: { enum: ['goal-based', 'avoidance', 'preference'] },
+        required_goals: {
+          type: 'object',
+          minProperties: 1,
+          propertyNames: { pattern: ID_PATTERN },
+          additionalProperties: { $ref: '#/$defs/goalRequirement' }
+        },
+        conflicting_capabilities: { type: 'array', items: { type: 'string', pattern: ID_PATTERN } },
+        avoid_engines: { $ref: '#/$defs/engineIdList' },
+        prefer_engines: { $ref: '#/$defs/engineIdList' },
+        triggers: { $ref: '#/$defs/triggers' },
+        trigger_contexts: { type: 'array', items: { $ref: '#/$defs/triggerContext' } },
+        reason: { type: 'string', minLength: 1 },
+        detection_method: { type: 'string' },
+        confidence_threshold: { $ref: '#/$defs/unitScore' },
+        semantic_threshold: { $ref: '#/$defs/unitScore' },
+        // Per embedding model (registry id → threshold), see src/lib/embedding/model.js
+        semantic_thresholds: {
+          type: 'object',
+          additionalProperties: { $ref: '#/$defs/unitScore' }
+        },
+        semantic_scoring: { $ref: '#/$defs/semanticScoring' },
+        examples: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            should_trigger: { type: 'array', items: { type: 'string' } },
+            should_not_trigger: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      // Each rule type carries the fields its routing branch reads
+      allOf: [
+        {
+          if: { properties: { rule_type: { const: 'goal-based' } } },
+          then: { required: ['required_goals'] }
+        },
+        {
+          if: { properties: { rule_type: { const: 'avoidance' } } },
+          then: { required: ['avoid_engines'] }
+        },
+        {
+          if: { properties: { rule_type: { const: 'preference' } } },
+          then: { anyOf: [{ required: ['prefer_engines'] }, { required: ['required_goals'] }] }
+        }
+      ]
+    }
+  }
+};
@@ -0,0 +1,150 @@
+// src/lib/rules/validate.js
+
+/**
+ * Minimal JSON Schema validator for the rules database schema.
+ *
+ * Supports the keywords RULES_DATABASE_SCHEMA uses (type, required,
+ * properties, additionalProperties, propertyNames, items, enum, const,
+ * numeric and length bounds, pattern, allOf/anyOf/oneOf, if/then and local
+ * $refs) so the lint can run in the browser and in node without a dependency.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const resolveRef = (ref, rootSchema) => {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], rootSchema);
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`);
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (subset described above)
+ * @param {Object} options - { path: root path label, rootSchema: schema $refs resolve against }
+ * @returns {Array} - Errors: { path, message } (empty when valid)
+ */
+export const validateSchema = (value, schema, { path = '$', rootSchema = schema } = {}) => {
+  const errors = [];
+
+  const check = (current, node, currentPath) => {
+    if (node === true || node === undefined) return;
+    if (node === false) {
+      errors.push({ path: currentPath, message: 'is not allowed' });
+      return;
+    }
+
+    if (node.$ref) {
+      check(current, resolveRef(node.$ref, rootSchema), currentPath);
+      return;
+    }
+
+    if (node.type && !matchesType(current, node.type)) {
+      errors.push({ path: currentPath, message: `must be ${node.type}, got ${typeOf(current)}` });
+      return;
+    }
+
+    if (node.const !== undefined && current !== node.const) {
+      errors.push({ path: currentPath, message: `must be ${JSON.stringify(node.const)}` });
+    }
+
+    if (node.enum && !node.enum.includes(current)) {
+      errors.push({ path: currentPath, message: `must be one of ${node.enum.join(', ')}, got ${JSON.stringify(current)}` });
+    }
+
+    if (typeof current === 'number') {
+      if (node.minimum !== undefined && current < node.minimum) {
+        errors.push({ path: currentPath, message: `must be >= ${node.minimum}, got ${current}` });
+      }
+      if (node.maximum !== undefined && current > node.maximum) {
+        errors.push({ path: currentPath, message: `must be <= ${node.maximum}, got ${current}` });
+      }
+      if (node.exclusiveMinimum !== undefined && current <= node.exclusiveMinimum) {
+        errors.push({ path: currentPath, message: `must be > ${node.exclusiveMinimum}, got ${current}` });
+      }
+    }
+
+    if (typeof current === 'string') {
+      if (node.minLength !== undefined && current.length < node.minLength) {
+        errors.push({ path: currentPath, message: `must be at least ${node.minLength} characters` });
+      }
+      if (node.pattern && !new RegExp(node.pattern).test(current)) {
+        errors.push({ path: currentPath, message: `"${current}" does not match ${node.pattern}` });
+      }
+    }
+
+    if (Array.isArray(current)) {
+      if (node.minItems !== undefined && current.length < node.minItems) {
+        errors.push({ path: currentPath, message: `must have at least ${node.minItems} item(s)` });
+      }
+      if (node.items) {
+        current.forEach((item, index) => check(item, node.items, joinPath(currentPath, index)));
+      }
+    }
+
+    if (typeOf(current) === 'object') {
+      const keys = Object.keys(current);
+
+      for (const key of node.required || []) {
+        if (!(key in current)) {
+          errors.push({ path: currentPath, message: `missing required property "${key}"` });
+        }
+      }
+
+      if (node.minProperties !== undefined && keys.length < node.minProperties) {
+        errors.push({ path: currentPath, message: `must have at least ${node.minProperties} propert${node.minProperties === 1 ? 'y' : 'ies'}` });
+      }
+
+      for (const key of keys) {
+        const keyPath = joinPath(currentPath, key);
+
+        if (node.propertyNames) {
+          check(key, { type: 'string', ...node.propertyNames }, `${keyPath} (key)`);
+        }
+
+        if (node.properties?.[key] !== undefined) {
+          check(current[key], node.properties[key], keyPath);
+        } else if (node.additionalProperties === false) {
+          errors.push({ path: keyPath, message: 'is not an allowed property' });
+        } else if (node.additionalProperties) {
+          check(current[key], node.additionalProperties, keyPath);
+        }
+      }
+    }
+
+    for (const subschema of node.allOf || []) {
+      check(current, subschema, currentPath);
+    }
+
+    if (node.anyOf && !node.anyOf.some(subschema => validateSchema(current, subschema, { path: currentPath, rootSchema }).length === 0)) {
+      errors.push({ path: currentPath, message: 'does not match any allowed shape' });
+    }
+
+    if (node.oneOf) {
+      const matching = node.oneOf.filter(subschema => validateSchema(current, subschema, { path: currentPath, rootSchema }).length === 0);
+      if (matching.length !== 1) {
+        errors.push({ path: currentPath, message: matching.length === 0 ? 'does not match any allowed shape' : 'matches more than one shape' });
+      }
+    }
+
+    if (node.if && validateSchema(current, node.if, { path: currentPath, rootSchema }).length === 0) {
+      check(current, node.then, currentPath);
+    }
+  };
+
+  check(value, schema, path);
+  return errors;
+};
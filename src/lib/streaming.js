@@ -0,0 +1,256 @@
+// src/lib/streaming.js
+
+/**
+ * Server-sent event helpers for streaming provider responses.
+ *
+ * Vendor streams (Anthropic `content_block_delta` events and the
+ * OpenAI-compatible `choices[].delta` chunks) are normalized into one event
+ * schema before being relayed to the browser:
+ *
+ * - delta: { text }                          - next piece of the answer
+ * - usage: { input_tokens, output_tokens }   - token usage, sent once at the end
+ * - done:  { provider, model, finish_reason }
+ * - error: { error, message }
+ */
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive',
+  'X-Accel-Buffering': 'no'
+};
+
+/**
+ * Format a single server-sent event
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ * @returns {string} - Wire-format event
+ */
+export const formatServerSentEvent = (event, data) => {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+};
+
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  }
+
+  if (dataLines.length === 0) return null;
+  return { event, data: dataLines.join('\n') };
+};
+
+/**
+ * Read server-sent events from a fetch response body
+ * The reader holds the body's lock, so the body itself cannot be cancelled;
+ * aborting `signal` cancels the reader instead and ends the iteration.
+ * @param {ReadableStream} body - Response body stream
+ * @param {Object} options - { signal: AbortSignal that cancels the read }
+ * @yields {Object} - { event, data } with data as the raw string
+ */
+export async function* readServerSentEvents(body, { signal } = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const cancel = () => reader.cancel().catch(() => {});
+  let buffer = '';
+
+  if (signal?.aborted) cancel();
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary = buffer.search(/\r?\n\r?\n/);
+      while (boundary !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+        const parsed = parseEventBlock(block);
+        if (parsed) yield parsed;
+
+        boundary = buffer.search(/\r?\n\r?\n/);
+      }
+    }
+
+    const trailing = parseEventBlock(buffer);
+    if (trailing) yield trailing;
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+    reader.releaseLock();
+  }
+}
+
+const safeParse = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Normalize one Anthropic Messages API stream event
+ * @param {Object} sse - Raw { event, data } from the vendor stream
+ * @returns {Array} - Normalized events
+ */
+export const parseAnthropicStreamEvent = (sse) => {
+  const payload = safeParse(sse.data);
+  if (!payload) return [];
+
+  switch (payload.type) {
+    case 'message_start':
+      return [{
+        type: 'usage',
+        usage: {
+          input_tokens: payload.message?.usage?.input_tokens,
+          output_tokens: payload.message?.usage?.output_tokens
+        }
+      }];
+    case 'content_block_delta':
+      return payload.delta?.text ? [{ type: 'delta', text: payload.delta.text }] : [];
+    case 'message_delta':
+      return [{
+        type: 'usage',
+        usage: { output_tokens: payload.usage?.output_tokens },
+        finish_reason: payload.delta?.stop_reason
+      }];
+    case 'message_stop':
+      return [{ type: 'done' }];
+    case 'error':
+      return [{ type: 'error', message: payload.error?.message || 'Stream error' }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Normalize one OpenAI-compatible chat completion chunk
+ * (OpenAI, xAI, DeepSeek and Groq share this format)
+ * @param {Object} sse - Raw { event, data } from the vendor stream
+ * @returns {Array} - Normalized events
+ */
+export const parseOpenAIStreamEvent = (sse) => {
+  if (sse.data.trim() === '[DONE]') {
+    return [{ type: 'done' }];
+  }
+
+  const payload = safeParse(sse.data);
+  if (!payload) return [];
+
+  if (payload.error) {
+    return [{ type: 'error', message: payload.error.message || 'Stream error' }];
+  }
+
+  const events = [];
+  const choice = payload.choices?.[0];
+
+  if (choice?.delta?.content) {
+    events.push({ type: 'delta', text: choice.delta.content });
+  }
+
+  // Groq reports usage under x_groq, the others under usage
+  const usage = payload.usage || payload.x_groq?.usage;
+  if (usage || choice?.finish_reason) {
+    events.push({
+      type: 'usage',
+      usage: usage ? {
+        input_tokens: usage.prompt_tokens,
+        output_tokens: usage.completion_tokens
+      } : {},
+      finish_reason: choice?.finish_reason
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Relay a vendor stream to the client as normalized server-sent events
+ * @param {Response} upstream - Successful streaming response from the vendor
+ * @param {Function} parseEvent - Vendor-specific event normalizer
+ * @param {Object} options - { provider, model } for the done event and logging
+ * @returns {Response} - text/event-stream response
+ */
+export const createStreamingResponse = (upstream, parseEvent, { provider, model }) => {
+  const encoder = new TextEncoder();
+  const cancelled = new AbortController();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        controller.enqueue(encoder.encode(formatServerSentEvent(event, data)));
+      };
+
+      const usage = {};
+      let finishReason = null;
+      let failed = false;
+
+      try {
+        streamLoop:
+        for await (const sse of readServerSentEvents(upstream.body, { signal: cancelled.signal })) {
+          for (const normalized of parseEvent(sse)) {
+            if (normalized.type === 'delta') {
+              send('delta', { text: normalized.text });
+            } else if (normalized.type === 'usage') {
+              for (const [key, value] of Object.entries(normalized.usage)) {
+                if (value !== undefined) usage[key] = value;
+              }
+              finishReason = normalized.finish_reason || finishReason;
+            } else if (normalized.type === 'error') {
+              failed = true;
+              send('error', { error: `${provider} API error`, message: normalized.message });
+              break streamLoop;
+            } else if (normalized.type === 'done') {
+              break streamLoop;
+            }
+          }
+        }
+
+        if (cancelled.signal.aborted) {
+          console.log(`${provider} stream aborted by client`);
+        } else if (!failed) {
+          if (Object.keys(usage).length > 0) {
+            send('usage', usage);
+          }
+          send('done', { provider, model, finish_reason: finishReason });
+          console.log(`${provider} stream completed`);
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          console.log(`${provider} stream aborted by client`);
+        } else {
+          console.error(`${provider} stream failed:`, error);
+          try {
+            send('error', { error: `${provider} stream error`, message: error.message });
+          } catch {}
+        }
+      } finally {
+        try {
+          controller.close();
+        } catch {}
+      }
+    },
+
+    cancel() {
+      cancelled.abort();
+    }
+  });
+
+  return new Response(stream, { headers: SSE_HEADERS });
+};
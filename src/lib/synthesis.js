@@ -0,0 +1,50 @@
+// src/lib/synthesis.js
+
+/**
+ * Prompt construction for the synthesis (mixture) step.
+ *
+ * After several engines answer the same prompt, an aggregator engine merges
+ * their answers into one response that marks agreement and disagreement and
+ * attributes claims to the engine that made them.
+ */
+
+// Per-source cap so a long answer cannot crowd the others out of the request
+export const MAX_SOURCE_ANSWER_LENGTH = 12000;
+
+const SYNTHESIS_INSTRUCTIONS = `You are the aggregator in a panel of AI engines. Several engines answered the same question; merge their answers into one response.
+
+Rules:
+- Write a single combined answer to the question, using the strongest supported points from the sources.
+- Attribute every substantive claim to the engine(s) that made it, using square brackets, e.g. [Claude] or [ChatGPT, Grok].
+- Do not add claims that none of the sources made. If you correct a source, say so explicitly.
+- Do not favour an engine because of its name; weigh the evidence and reasoning given.
+
+Structure the response with these sections:
+## Combined Answer
+## Where the Sources Agree
+## Where the Sources Disagree
+(For each disagreement, state each engine's position and, where possible, which is better supported and why.)`;
+
+/**
+ * Build the conversation sent to the aggregator engine
+ * @param {string} question - The user's prompt
+ * @param {Array} sources - [{ engine, name, content }] completed source answers
+ * @returns {Array} - Array of { role, content } turns
+ */
+export const buildSynthesisConversation = (question, sources) => {
+  const sourceBlocks = sources.map(source => {
+    const content = source.content.length > MAX_SOURCE_ANSWER_LENGTH
+      ? `${source.content.slice(0, MAX_SOURCE_ANSWER_LENGTH)}\n[...truncated]`
+      : source.content;
+
+    return `### Answer from ${source.name}\n${content}`;
+  });
+
+  return [
+    { role: 'system', content: SYNTHESIS_INSTRUCTIONS },
+    {
+      role: 'user',
+      content: `Question:\n${question}\n\n${sourceBlocks.join('\n\n')}\n\nSynthesize these ${sources.length} answers following the rules above.`
+    }
+  ];
+};